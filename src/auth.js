@@ -0,0 +1,277 @@
+/**
+ * Copyright 2022 Justin Randall, Cisco Systems Inc. All Rights Reserved.
+ * 
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU
+ * General Public License as published by the Free Software Foundation, either version 3 of the License, or 
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without 
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. 
+ * See the GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License along with this program. If not, 
+ * see <https://www.gnu.org/licenses/>.
+ */
+
+// Define Authentication Constants.
+const DEFAULT_AUTH_POLICY = 'default';
+const VALIDATION_PENDING = 'pending';
+const VALIDATION_PASSED = 'passed';
+const VALIDATION_FAILED = 'failed';
+
+/**
+ * This class represents an authentication policy deciding whether a sequence is authorized,
+ * which sequence authenticates the user, and what happens when validation fails.
+ * 
+ * The defaults implement the authentication sequence flow, where the authentication context's
+ * validationStatus is '1' once validated and '2' once validation has failed.
+ */
+class AuthPolicy {
+
+    /**
+     * Constructor for AuthPolicy objects.
+     * 
+     * @example
+     * const { AuthPolicy } = require(codingforconvos);
+     * const authPolicy = new AuthPolicy({
+     *     name: 'banking',
+     *     authSequence: 'bankingauth',
+     *     isAuthorized: (dialogContext, sequence) => dialogContext.params.bankingPinValidated === '1',
+     *     getValidationStatus: (dialogContext) => {
+     *         const context = dialogContext.getOrCreateCtx('bankingauth');
+     *         return (context.parameters.pinAttempts === '3') ? 'failed' : 'pending';
+     *     },
+     *     onValidationFailed: (dialogContext, sequence) => {
+     *         dialogContext.respondWithEvent('EscalateToAgent');
+     *         return true;
+     *     }
+     * });
+     * 
+     * @param {Object} params The constructor parameters.
+     */
+    constructor(params) {
+        // Validate the input parameters.
+        if (params == undefined) { throw new Error('parameters object for creating AuthPolicy objects is missing.'); }
+        if (params.name == undefined) { throw new Error('name is a required parameter for creating AuthPolicy objects.'); }
+
+        /**
+         * The name of the policy.  Must be unique.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._name = params.name;
+
+        /**
+         * The name of the sequence pushed to authenticate the user.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._authSequence = (params.authSequence != undefined) ? params.authSequence : 'authentication';
+
+        /**
+         * The event offering to speak to an agent after validation fails.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._offerAgentEvent = (params.offerAgentEvent != undefined) ? params.offerAgentEvent : 'OfferSpeakToAgent';
+
+        /**
+         * The event escalating to an agent after the offer is accepted.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._escalateEvent = (params.escalateEvent != undefined) ? params.escalateEvent : 'EscalateToAgent';
+
+        /**
+         * The function checking if the session is authorized for a sequence.
+         * 
+         * @private
+         * @type {Function}
+         */
+        this._isAuthorized = (params.isAuthorized != undefined) ? params.isAuthorized : (dialogContext, sequence) => {
+            const context = dialogContext.getOrCreateCtx(this._authSequence);
+            return !(dialogContext.params.customerIdentified === '0' || dialogContext.params.customerValidated === '0' || context.parameters.validationStatus !== '1');
+        };
+
+        /**
+         * The function returning the validation status: 'pending', 'passed', or 'failed'.
+         * 
+         * @private
+         * @type {Function}
+         */
+        this._getValidationStatus = (params.getValidationStatus != undefined) ? params.getValidationStatus : (dialogContext) => {
+            const context = dialogContext.getOrCreateCtx(this._authSequence);
+            if (context.parameters.validationStatus === '1') {
+                return VALIDATION_PASSED;
+            }
+            return (context.parameters.validationStatus === '2') ? VALIDATION_FAILED : VALIDATION_PENDING;
+        };
+
+        /**
+         * The function handling a session that passed validation but is flagged as unvalidated.
+         * 
+         * @private
+         * @type {Function}
+         */
+        this._onValidationPassed = (params.onValidationPassed != undefined) ? params.onValidationPassed : (dialogContext, sequence) => {
+            dialogContext.setParam(dialogContext.sessionParams, 'customerValidated', '1');
+            sequence.navigate(dialogContext);
+        };
+
+        /**
+         * The function handling failed validation.  Returns true if it responded, or false to
+         * push the authentication sequence again.
+         * 
+         * @private
+         * @type {Function}
+         */
+        this._onValidationFailed = (params.onValidationFailed != undefined) ? params.onValidationFailed : (dialogContext, sequence) => {
+            if (dialogContext.params.offeredAgent === '0') {
+                dialogContext.setParam(dialogContext.sessionParams, 'lastFulfillmentText', dialogContext.renderTemplate('authValidationFailed', { sequence: { name: sequence.name, activity: dialogContext.getSequenceActivity(sequence) } }));
+                dialogContext.respondWithEvent(this._offerAgentEvent, dialogContext.params.lastFulfillmentText);
+                return true;
+            }
+            if (dialogContext.params.offeredAgentAccepted === '1') {
+                dialogContext.respondWithEvent(this._escalateEvent, dialogContext.params.lastFulfillmentText);
+                return true;
+            }
+            if (dialogContext.params.offeredAgentDeclined === '1') {
+                dialogContext.resetOfferedAgentFlags();
+                dialogContext.popSequenceAndNavigate(sequence.name);
+                return true;
+            }
+            return false;
+        };
+    }
+
+    /**
+     * Gets the name.
+     * 
+     * @return The name.
+     */
+    get name() { return this._name; }
+
+    /**
+     * Gets the authentication sequence name.
+     * 
+     * @return The authentication sequence name.
+     */
+    get authSequence() { return this._authSequence; }
+
+    /**
+     * Check if the session is authorized for a sequence.
+     * 
+     * @param {DialogContext} dialogContext The dialog context.
+     * @param {Sequence} sequence           The sequence requiring authentication.
+     * @returns true if the session is authorized, otherwise false.
+     */
+    isAuthorized(dialogContext, sequence) {
+        return this._isAuthorized(dialogContext, sequence);
+    }
+
+    /**
+     * Get the validation status of the session.
+     * 
+     * @param {DialogContext} dialogContext The dialog context.
+     * @returns the validation status: 'pending', 'passed', or 'failed'.
+     */
+    getValidationStatus(dialogContext) {
+        return this._getValidationStatus(dialogContext);
+    }
+
+    /**
+     * Handle checking and enforcing authentication for a sequence.
+     * 
+     * @param {DialogContext} dialogContext The dialog context.
+     * @param {Sequence} sequence           The sequence requiring authentication.
+     */
+    handleRequireAuthentication(dialogContext, sequence) {
+        const validationStatus = this.getValidationStatus(dialogContext);
+
+        if (validationStatus === VALIDATION_PASSED) { // Should never occur, so correct application state to pass authentication check.
+            this._onValidationPassed(dialogContext, sequence);
+            return;
+        }
+
+        if (validationStatus === VALIDATION_FAILED && this._onValidationFailed(dialogContext, sequence) === true) {
+            return;
+        }
+
+        const sequenceAuth = dialogContext.contextManager.sequenceManager.get(this._authSequence);
+        if (sequenceAuth === undefined) {
+            throw new Error('Authentication sequence '+this._authSequence+' for policy '+this._name+' is not registered.');
+        }
+
+        dialogContext.logger.info('handleRequireAuthentication', 'Pushing '+this._authSequence+' for policy '+this._name, dialogContext);
+        dialogContext.pushSequence(this._authSequence);
+        sequenceAuth.navigate(dialogContext);
+    }
+}
+
+/**
+ * Class for managing registered authentication policies.
+ */
+class AuthPolicyManager {
+
+    /**
+     * Constructor for AuthPolicyManager objects.
+     * 
+     * @example
+     * const { AuthPolicyManager } = require(codingforconvos);
+     * const authPolicyManager = new AuthPolicyManager();
+     */
+    constructor() {
+        /**
+         * The map of actively registered policies.
+         * 
+         * @private
+         * @type {Map}
+         */
+        this._policies = new Map();
+
+        this._policies.set(DEFAULT_AUTH_POLICY, new AuthPolicy({ name: DEFAULT_AUTH_POLICY }));
+    }
+
+    /**
+     * Retrieve a policy by registered name.
+     * 
+     * @param {string} name The policy name.
+     * @returns the registered policy.
+     */
+    get(name) {
+        return this._policies.get(name);
+    }
+
+    /**
+     * Retrieve the policy for a sequence, falling back to the default policy.
+     * 
+     * @param {Sequence} sequence The sequence.
+     * @returns the policy for the sequence.
+     */
+    getForSequence(sequence) {
+        const name = (sequence.authPolicy != undefined) ? sequence.authPolicy : DEFAULT_AUTH_POLICY;
+        const policy = this._policies.get(name);
+        if (policy === undefined) {
+            throw new Error('Authentication policy '+name+' for sequence '+sequence.name+' is not registered.');
+        }
+        return policy;
+    }
+
+    /**
+     * Registers a policy.  Registering a policy named 'default' replaces the default policy.
+     * 
+     * @param {AuthPolicy} policy The policy object.
+     */
+    registerAuthPolicy(policy) {
+        if (this._policies.has(policy.name) && policy.name !== DEFAULT_AUTH_POLICY) {
+            throw new Error('Authentication policy '+policy.name+' is already registered.');
+        }
+        this._policies.set(policy.name, policy);
+    }
+}
+
+module.exports = {AuthPolicy,AuthPolicyManager};
\ No newline at end of file
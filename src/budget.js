@@ -0,0 +1,270 @@
+/**
+ * Copyright 2022 Justin Randall, Cisco Systems Inc. All Rights Reserved.
+ * 
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU
+ * General Public License as published by the Free Software Foundation, either version 3 of the License, or 
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without 
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. 
+ * See the GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License along with this program. If not, 
+ * see <https://www.gnu.org/licenses/>.
+ */
+
+// Define Context Budget Constants.
+const DEF_BUDGET = 20480;
+const DEF_WARN_RATIO = 0.8;
+const DEF_LARGE_VALUE_SIZE = 1024;
+const RULE_DROP_DEFAULTS = 'dropDefaults';
+const RULE_OFFLOAD_LARGE_VALUES = 'offloadLargeValues';
+const OFFLOADED_STATE_KEY = '_offloadedParams';
+const OFFLOADED_PARAMS = Symbol('offloadedParams');
+const TIMESTAMP_FIELDS = ['enteredAt'];
+
+/**
+ * Get the serialized size of a value in bytes.
+ * 
+ * @param {*} value The value.
+ * @returns the size in bytes.
+ */
+function _byteSize(value) {
+    return Buffer.byteLength(JSON.stringify(value !== undefined ? value : null), 'utf8');
+}
+
+/**
+ * Serialize a value as JSON without its timestamp fields, such as the entry time of sequence stack
+ * frames, so that values differing only in when they were created compare as equal.
+ * 
+ * @param {*} value The value.
+ * @returns the JSON string.
+ */
+function _stringifyWithoutTimestamps(value) {
+    return JSON.stringify(value, (key, field) => (TIMESTAMP_FIELDS.includes(key)) ? undefined : field);
+}
+
+/**
+ * This class measures the contexts set on each turn against a size budget, and compacts the session props.
+ * 
+ * Compaction rules run on the session props at the end of each turn, and are reversed at the start
+ * of the next turn:
+ * 
+ * dropDefaults         - Parameters equal to their registered default, ignoring timestamps, are dropped, and restored from the defaults.
+ * offloadLargeValues   - Parameters larger than largeValueSize are moved to the session store, and restored from it.
+ * 
+ * Offloaded parameters are saved with the session state, but are kept out of dialogContext.state,
+ * so handlers never see them.
+ * 
+ * Dialogflow ES merges the parameters of a context with those it already holds, so a dropped parameter
+ * keeps its previous value on the platform.  Only parameters the platform doesn't hold are dropped, and
+ * offloaded parameters are overwritten with an empty value.
+ * 
+ * A rule may also be a function taking the session props context and the dialog context, for
+ * compaction that the application reverses itself.
+ */
+class ContextBudget {
+
+    /**
+     * Constructor for ContextBudget objects.
+     * 
+     * @example
+     * const { ContextBudget } = require(codingforconvos);
+     * const contextBudget = new ContextBudget({
+     *     budget: 16384,                  // Bytes of serialized contexts, defaults to 20480.
+     *     warnRatio: 0.75,                // Share of the budget logging a warning, defaults to 0.8.
+     *     rules: ['dropDefaults', 'offloadLargeValues'],
+     *     largeValueSize: 2048            // Bytes of a parameter offloaded to the session store, defaults to 1024.
+     * });
+     * 
+     * @param {Object} params The optional constructor parameters.
+     */
+    constructor(params) {
+        const options = (params != undefined) ? params : {};
+        const rules = (options.rules != undefined) ? options.rules : [];
+        rules.forEach((rule) => {
+            if (typeof rule !== 'function' && ![RULE_DROP_DEFAULTS, RULE_OFFLOAD_LARGE_VALUES].includes(rule)) { throw new Error('Unknown compaction rule '+rule+' for creating ContextBudget objects.'); }
+        });
+
+        /**
+         * The budget in bytes of the serialized contexts set on a turn.
+         * 
+         * @private
+         * @type {number}
+         */
+        this._budget = (options.budget != undefined) ? options.budget : DEF_BUDGET;
+
+        /**
+         * The share of the budget from which a warning is logged.
+         * 
+         * @private
+         * @type {number}
+         */
+        this._warnRatio = (options.warnRatio != undefined) ? options.warnRatio : DEF_WARN_RATIO;
+
+        /**
+         * The compaction rules, in the order they are applied.
+         * 
+         * @private
+         * @type {Array}
+         */
+        this._rules = rules;
+
+        /**
+         * The size in bytes from which a parameter is offloaded to the session store.
+         * 
+         * @private
+         * @type {number}
+         */
+        this._largeValueSize = (options.largeValueSize != undefined) ? options.largeValueSize : DEF_LARGE_VALUE_SIZE;
+
+        this.measure = this.measure.bind(this);
+        this.check = this.check.bind(this);
+        this.compact = this.compact.bind(this);
+        this.restore = this.restore.bind(this);
+        this.toStoredState = this.toStoredState.bind(this);
+    }
+
+    /**
+     * Gets the budget.
+     * 
+     * @return The budget.
+     */
+    get budget() { return this._budget; }
+
+    /**
+     * Gets the compaction rules.
+     * 
+     * @return The compaction rules.
+     */
+    get rules() { return this._rules; }
+
+    /**
+     * Measure the serialized size of the active contexts of an agent.
+     * 
+     * @param {Object} agent The agent, whose contexts are iterable.
+     * @returns the total size in bytes, and the size of each context by name.
+     */
+    measure(agent) {
+        let sizes = { total: 0, contexts: {} };
+        for (const context of agent.context) {
+            if (context.lifespan === 0) {
+                continue;
+            }
+            const size = _byteSize({ name: context.name, lifespanCount: context.lifespan, parameters: context.parameters });
+            sizes.contexts[context.name] = size;
+            sizes.total += size;
+        }
+        return sizes;
+    }
+
+    /**
+     * Measure the contexts set on the turn, and log a warning when they are near the budget, or an
+     * error when they exceed it.
+     * 
+     * @param {DialogContext} dialogContext The dialog context.
+     * @returns the measured sizes.
+     */
+    check(dialogContext) {
+        const sizes = this.measure(dialogContext.dialogflowAgent);
+        if (sizes.total >= this._warnRatio * this._budget) {
+            const level = (sizes.total > this._budget) ? 'error' : 'warn';
+            dialogContext.logger[level]('contextBudget', () => 'Contexts use '+sizes.total+' of '+this._budget+' bytes: '+JSON.stringify(sizes.contexts), dialogContext, { contextBytes: sizes.total });
+        }
+        return sizes;
+    }
+
+    /**
+     * Apply the compaction rules to the session props at the end of a turn.
+     * 
+     * @param {DialogContext} dialogContext The dialog context.
+     * @param {Object} defaults             The default session parameters.
+     * @param {Object} sessionStore         The session store, or undefined if the client has none.
+     * @param {Array} absentParams          The parameters the platform doesn't hold, as returned by restore().
+     */
+    compact(dialogContext, defaults, sessionStore, absentParams = []) {
+        const parameters = dialogContext.sessionParams.parameters;
+        this._rules.forEach((rule) => {
+            if (typeof rule === 'function') {
+                rule(dialogContext.sessionParams, dialogContext);
+            } else if (rule === RULE_DROP_DEFAULTS) {
+                for (var param in defaults) {
+                    if (absentParams.includes(param) && Object.prototype.hasOwnProperty.call(parameters, param) && _stringifyWithoutTimestamps(parameters[param]) === _stringifyWithoutTimestamps(defaults[param])) {
+                        delete parameters[param];
+                    }
+                }
+            } else if (rule === RULE_OFFLOAD_LARGE_VALUES) {
+                if (sessionStore == undefined) {
+                    dialogContext.logger.warn('contextBudget', 'The offloadLargeValues rule requires a session store, skipping it.', dialogContext);
+                    return;
+                }
+                let offloaded = {};
+                for (var name in parameters) {
+                    if (Object.prototype.hasOwnProperty.call(parameters, name) && _byteSize(parameters[name]) > this._largeValueSize) {
+                        offloaded[name] = parameters[name];
+                        parameters[name] = '';
+                    }
+                }
+                dialogContext.state[OFFLOADED_PARAMS] = offloaded;
+            }
+        });
+        dialogContext.dialogflowAgent.context.set(dialogContext.sessionParams);
+    }
+
+    /**
+     * Restore the session props compacted on the previous turn, from the session state and the defaults.
+     * 
+     * @param {Object} sessionProps     The session props context.
+     * @param {Object} defaults         The default session parameters.
+     * @param {Object} sessionState     The session state.
+     * @param {boolean} created         true if the session props were created on this turn, so the platform holds none of them.
+     * @returns the names of the parameters the platform doesn't hold, which may be dropped again.
+     */
+    restore(sessionProps, defaults, sessionState, created = false) {
+        const parameters = sessionProps.parameters;
+
+        // Take the offloaded parameters out of the session state, so that handlers never see them.
+        const offloaded = (sessionState != undefined && sessionState[OFFLOADED_STATE_KEY] != undefined) ? sessionState[OFFLOADED_STATE_KEY] : {};
+        if (sessionState != undefined) {
+            delete sessionState[OFFLOADED_STATE_KEY];
+        }
+
+        if (this._rules.length === 0) {
+            return [];
+        }
+        if (created) {
+            return Object.keys(parameters);
+        }
+        for (var name in offloaded) {
+            if (Object.prototype.hasOwnProperty.call(offloaded, name)) {
+                parameters[name] = offloaded[name];
+            }
+        }
+        let absentParams = [];
+        if (this._rules.includes(RULE_DROP_DEFAULTS)) {
+            for (var param in defaults) {
+                if (!Object.prototype.hasOwnProperty.call(parameters, param)) {
+                    parameters[param] = defaults[param];
+                    absentParams.push(param);
+                }
+            }
+        }
+        return absentParams;
+    }
+
+    /**
+     * Get the session state to save to the session store, with the parameters offloaded on the turn.
+     * 
+     * @param {Object} sessionState The session state.
+     * @returns the session state to save.
+     */
+    toStoredState(sessionState) {
+        const offloaded = sessionState[OFFLOADED_PARAMS];
+        if (offloaded == undefined) {
+            return sessionState;
+        }
+        return Object.assign({}, sessionState, { [OFFLOADED_STATE_KEY]: offloaded });
+    }
+}
+
+module.exports = {ContextBudget};
\ No newline at end of file
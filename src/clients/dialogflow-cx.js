@@ -0,0 +1,463 @@
+/**
+ * Copyright 2022 Justin Randall, Cisco Systems Inc. All Rights Reserved.
+ * 
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU
+ * General Public License as published by the Free Software Foundation, either version 3 of the License, or 
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without 
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. 
+ * See the GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License along with this program. If not, 
+ * see <https://www.gnu.org/licenses/>.
+ */
+
+const { ConvoClient } = require('../convos');
+const { Payload, Card, Image, Suggestion } = require('dialogflow-fulfillment');
+const { TelephonySpeech } = require('../ssml');
+
+// Define Global Context Constants.
+const FOLLOWUP_EVENT_PARAM = 'followupEvent';
+const DEF_CTX_LIFESPAN = 99;
+const CTX_PARAM_PREFIX = 'ctx_';
+
+// Define Request Source Constants.
+const SOURCE_TELEPHONY = 'GOOGLE_TELEPHONY';
+
+/**
+ * Build the map of received input parameters from the CX form and intent parameters.
+ * 
+ * @param {Object} body The Dialogflow CX webhook request body.
+ * @returns the map of input parameter names to values.
+ */
+function _getInputParameters(body) {
+    let parameters = {};
+
+    if (body.intentInfo && body.intentInfo.parameters) {
+        for (var intentParam in body.intentInfo.parameters) {
+            if (Object.prototype.hasOwnProperty.call(body.intentInfo.parameters, intentParam)) {
+                parameters[intentParam] = body.intentInfo.parameters[intentParam].resolvedValue;
+            }
+        }
+    }
+
+    if (body.pageInfo && body.pageInfo.formInfo && body.pageInfo.formInfo.parameterInfo) {
+        body.pageInfo.formInfo.parameterInfo
+            .filter((parameterInfo) => parameterInfo.value !== undefined)
+            .forEach((parameterInfo) => parameters[parameterInfo.displayName] = parameterInfo.value);
+    }
+
+    return parameters;
+}
+
+/**
+ * Build the console messages from the CX response messages queued before the webhook call.
+ * 
+ * @param {Object} body The Dialogflow CX webhook request body.
+ * @returns the console messages.
+ */
+function _getConsoleMessages(body) {
+    let consoleMessages = (body.messages || [])
+        .filter((message) => message.text && message.text.text)
+        .map((message) => { return { text: message.text.text.join(' ') }; });
+    return (consoleMessages.length > 0) ? consoleMessages : [{ text: '' }];
+}
+
+/**
+ * Convert a dialogflow-fulfillment rich response to Dialogflow Messenger richContent items.
+ * 
+ * @param {Object} message The Card, Image, or Suggestion rich response.
+ * @returns the richContent items.
+ */
+function _toRichContentItems(message) {
+    if (message instanceof Card) {
+        let info = { type: 'info', title: message.title };
+        if (message.text != undefined) { info.subtitle = message.text; }
+        if (message.imageUrl != undefined) { info.image = { src: { rawUrl: message.imageUrl } }; }
+        return (message.buttonText != undefined) ? [info, { type: 'button', text: message.buttonText, link: message.buttonUrl }] : [info];
+    }
+    if (message instanceof Image) {
+        return [{ type: 'image', rawUrl: message.imageUrl }];
+    }
+    return [{ type: 'chips', options: message.replies.map((reply) => ({ text: reply })) }];
+}
+
+/**
+ * Context store backed by the CX session parameters.
+ * 
+ * Dialogflow CX has no contexts, so each context is persisted as a session parameter named
+ * with the ctx_ prefix, for example ctx_sessionprops, holding an object of the context
+ * parameters.  Other session parameters are left alone, even if their values are objects.
+ * Lifespans are tracked but not enforced.
+ */
+class CxContexts {
+
+    /**
+     * Constructor for CxContexts objects.
+     * 
+     * @param {Object} sessionParameters The CX session parameters.
+     */
+    constructor(sessionParameters) {
+        /**
+         * The map of known contexts.
+         * 
+         * @private
+         * @type {Map}
+         */
+        this._contexts = new Map();
+
+        /**
+         * The set of deleted context names.
+         * 
+         * @private
+         * @type {Set}
+         */
+        this._deleted = new Set();
+
+        for (var param in sessionParameters) {
+            const value = sessionParameters[param];
+            if (param.startsWith(CTX_PARAM_PREFIX) && value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                const name = param.substring(CTX_PARAM_PREFIX.length);
+                this._contexts.set(name, { name: name, lifespan: DEF_CTX_LIFESPAN, parameters: value });
+            }
+        }
+    }
+
+    /**
+     * Retrieve a context.
+     * 
+     * @param {string} name The context name.
+     * @returns the context, or undefined if not found.
+     */
+    get(name) {
+        return this._contexts.get(name);
+    }
+
+    /**
+     * Set a context.
+     * 
+     * @param {Object} context The context object.
+     */
+    set(context) {
+        let existing = this._contexts.get(context.name);
+        if (existing === undefined) {
+            existing = { name: context.name };
+            this._contexts.set(context.name, existing);
+        }
+        existing.lifespan = (context.lifespan !== undefined) ? context.lifespan : DEF_CTX_LIFESPAN;
+        if (context.parameters !== undefined) {
+            existing.parameters = context.parameters;
+        }
+        this._deleted.delete(context.name);
+    }
+
+    /**
+     * Delete a context.
+     * 
+     * @param {string} name The context name.
+     */
+    delete(name) {
+        this._contexts.delete(name);
+        this._deleted.add(name);
+    }
+
+    /**
+     * Iterate over the contexts, like the dialogflow-fulfillment-nodejs contexts.
+     * 
+     * @returns the iterator of the contexts.
+     */
+    [Symbol.iterator]() {
+        return Array.from(this._contexts.values())[Symbol.iterator]();
+    }
+
+    /**
+     * Build the CX session parameters representing the contexts.
+     * 
+     * @returns the CX session parameters.
+     */
+    toSessionParameters() {
+        let parameters = {};
+        this._contexts.forEach((context, name) => {
+            parameters[CTX_PARAM_PREFIX+name] = (context.lifespan === 0) ? null : context.parameters;
+        });
+        this._deleted.forEach((name) => parameters[CTX_PARAM_PREFIX+name] = null);
+        return parameters;
+    }
+}
+
+/**
+ * Agent adapter exposing a Dialogflow CX webhook request through the same interface
+ * as the dialogflow-fulfillment-nodejs WebhookClient used by the ConvoClient.
+ */
+class DialogflowCxAgent {
+
+    /**
+     * Constructor for DialogflowCxAgent objects.
+     * 
+     * @example
+     * const agent = new DialogflowCxAgent({ request, response, logger });
+     * 
+     * @param {Object} options The HTTP request and response objects, and the logger.
+     */
+    constructor(options) {
+        // Validate the input parameters.
+        if (options == undefined) { throw new Error('parameters object for creating DialogflowCxAgent objects is missing.'); }
+        if (options.request == undefined) { throw new Error('request is a required parameter for creating DialogflowCxAgent objects.'); }
+        if (options.response == undefined) { throw new Error('response is a required parameter for creating DialogflowCxAgent objects.'); }
+
+        const body = options.request.body;
+        const sessionInfo = body.sessionInfo || {};
+        const sessionParameters = sessionInfo.parameters || {};
+
+        /**
+         * The original CX webhook request body.
+         * 
+         * @type {Object}
+         */
+        this.body = body;
+
+        /**
+         * The request shaped like a Dialogflow ES request for session and payload lookups.
+         * 
+         * @private
+         * @type {Object}
+         */
+        this.request_ = {
+            body: {
+                session: (sessionInfo.session !== undefined) ? sessionInfo.session : '',
+                originalDetectIntentRequest: { payload: body.payload || {} }
+            }
+        };
+
+        /**
+         * The HTTP response object.
+         * 
+         * @private
+         * @type {Object}
+         */
+        this.response_ = options.response;
+
+        /**
+         * The logger, warning about responses that CX can't render.
+         * 
+         * @private
+         * @type {Logger}
+         */
+        this.logger_ = options.logger;
+
+        /**
+         * The request source, GOOGLE_TELEPHONY for calls through the CX phone gateway, like the
+         * dialogflow-fulfillment-nodejs WebhookClient, otherwise null.
+         * 
+         * @type {string}
+         */
+        this.requestSource = (body.payload != undefined && body.payload.telephony != undefined) ? SOURCE_TELEPHONY : null;
+
+        /**
+         * The fulfillment tag, used as the action.
+         * 
+         * @type {string}
+         */
+        this.action = (body.fulfillmentInfo && body.fulfillmentInfo.tag) ? body.fulfillmentInfo.tag : '';
+
+        /**
+         * The matched intent display name.
+         * 
+         * @type {string}
+         */
+        this.intent = (body.intentInfo) ? body.intentInfo.displayName : undefined;
+
+        /**
+         * The received input parameters.
+         * 
+         * @type {Object}
+         */
+        this.parameters = _getInputParameters(body);
+
+        /**
+         * The page information.
+         * 
+         * @type {Object}
+         */
+        this.pageInfo = body.pageInfo || {};
+
+        /**
+         * The user utterance.
+         * 
+         * @type {string}
+         */
+        this.query = (body.text !== undefined) ? body.text : body.transcript;
+
+        /**
+         * The request language code.
+         * 
+         * @type {string}
+         */
+        this.locale = body.languageCode;
+
+        /**
+         * The response messages queued by the agent before the webhook was called.
+         * 
+         * @type {Array}
+         */
+        this.consoleMessages = _getConsoleMessages(body);
+
+        /**
+         * The contexts stored in the session parameters.
+         * 
+         * @type {CxContexts}
+         */
+        this.context = new CxContexts(sessionParameters);
+
+        /**
+         * The fulfillment response texts.
+         * 
+         * @private
+         * @type {Array}
+         */
+        this.responseMessages_ = [];
+
+        /**
+         * The follow-up event name.
+         * 
+         * @private
+         * @type {string}
+         */
+        this.followupEvent_ = null;
+    }
+
+    /**
+     * Add a fulfillment response text.
+     * 
+     * @param {string|Array} responses The response text or list of response texts.
+     */
+    add(responses) {
+        if (responses instanceof Array) {
+            responses.forEach((response) => this.responseMessages_.push(response));
+            return;
+        }
+        this.responseMessages_.push(responses);
+    }
+
+    /**
+     * Set a follow-up event.  CX webhooks cannot trigger events, so the event name is
+     * written to the followupEvent session parameter for the page routes to act on.
+     * 
+     * @param {string|Object} event The event name, or an object with the event name.
+     * @returns the follow-up event name.
+     */
+    setFollowupEvent(event) {
+        this.followupEvent_ = (typeof event === 'string') ? event : event.name;
+        return this.followupEvent_;
+    }
+
+    /**
+     * Run the handler and send the CX webhook response.
+     * 
+     * @param {Function} handler The request handler.
+     */
+    async handleRequest(handler) {
+        await handler(this);
+        this.response_.json(this.buildWebhookResponse());
+    }
+
+    /**
+     * Build the Dialogflow CX WebhookResponse.
+     * 
+     * @returns the CX webhook response body.
+     */
+    buildWebhookResponse() {
+        let sessionParameters = this.context.toSessionParameters();
+        sessionParameters[FOLLOWUP_EVENT_PARAM] = this.followupEvent_;
+
+        // The routed page prompts for the follow-up event, so don't utter the placeholder text.
+        // Custom payloads and speech are passed through, and cards, images and suggestions are
+        // converted to a Dialogflow Messenger richContent payload.
+        let messages = [];
+        let richContentItems = [];
+        if (this.followupEvent_ === null) {
+            this.responseMessages_.forEach((message) => {
+                if (typeof message === 'string') {
+                    if (message !== '') {
+                        messages.push({ text: { text: [message] } });
+                    }
+                } else if (message instanceof TelephonySpeech) {
+                    messages.push({ outputAudioText: { ssml: message.ssml } });
+                } else if (message instanceof Payload) {
+                    messages.push({ payload: message.payload });
+                } else if (message instanceof Card || message instanceof Image || message instanceof Suggestion) {
+                    _toRichContentItems(message).forEach((item) => {
+                        // Merge consecutive suggestions into a single set of chips.
+                        const last = richContentItems[richContentItems.length-1];
+                        if (item.type === 'chips' && last !== undefined && last.type === 'chips') {
+                            last.options = last.options.concat(item.options);
+                        } else {
+                            richContentItems.push(item);
+                        }
+                    });
+                } else if (this.logger_ != undefined) {
+                    this.logger_.warn('buildWebhookResponse', 'Dropping a '+message.constructor.name+' response, which Dialogflow CX can\'t render.', undefined, { sessionId: this.request_.body.session.split('/').pop() });
+                }
+            });
+        }
+        if (richContentItems.length > 0) {
+            messages.push({ payload: { richContent: [richContentItems] } });
+        }
+
+        return {
+            fulfillmentResponse: {
+                messages: messages,
+                mergeBehavior: 'REPLACE'
+            },
+            sessionInfo: {
+                parameters: sessionParameters
+            }
+        };
+    }
+}
+
+/**
+ * This class handles all of the state objects representing the conversation
+ * for Dialogflow CX webhook requests.
+ * 
+ * The fulfillment tag is used as the intent action, and follow-up events are returned
+ * in the followupEvent session parameter for page routes to condition on.  Contexts are
+ * returned in ctx_ prefixed session parameters, for example $session.params.ctx_sessionprops.
+ */
+class DialogflowCxClient extends ConvoClient {
+
+    /**
+     * Constructor for DialogflowCxClient objects.
+     * 
+     * @example
+     * const { DialogflowCxClient } = require(codingforconvos);
+     * const agent = new DialogflowCxClient({ baseParams: {...} });
+     * 
+     * @param {Object} params The constructor parameters.
+     */
+    constructor(params) {
+        super('Dialogflow CX', params);
+
+        this.handleRequest = this.handleRequest.bind(this);
+    }
+
+    /**
+     * Handle the Dialogflow CX webhook fulfillment request.
+     * 
+     * @example
+     * const client = new DialogflowCxClient({ baseParams: {...} });
+     * await client.handleRequest(request, response);
+     * 
+     * @param {Object} request The HTTP request object.
+     * @param {Object} response The HTTP response object.
+     */
+    async handleRequest(request, response) {
+        // Create the dialogflow CX API client.
+        const agent = new DialogflowCxAgent({ request, response, logger: this.logger });
+
+        await this.executeHandler(agent, this.intentHandler);
+    }
+}
+
+module.exports = {DialogflowCxClient,DialogflowCxAgent};
\ No newline at end of file
@@ -14,10 +14,27 @@
  */
 
 const {DialogFlowEsClient} = require('./clients/dialogflow-es');
+const {DialogflowCxClient} = require('./clients/dialogflow-cx');
+const {DialogFlowEsSimulator} = require('./simulators/dialogflow-es');
+const {DialogflowCxSimulator} = require('./simulators/dialogflow-cx');
+const {TranscriptRunner,loadTranscript} = require('./simulators/transcripts');
 const {Sequence,SequenceManager} = require('./sequences');
+const {Turn} = require('./turns');
 const {Intent,IntentManager} = require('./intents');
-const {Connector,ConnectorManager,DefaultParameterManager} = require('./connectors');
+const {Connector,ConnectorUnavailableError,ConnectorManager,DefaultParameterManager} = require('./connectors');
+const {HttpConnector} = require('./http');
+const {FixtureStore} = require('./fixtures');
 const {ContextManager} = require('./contexts');
+const {AuthPolicy,AuthPolicyManager} = require('./auth');
+const {Middleware,MiddlewareManager} = require('./middleware');
+const {Logger} = require('./logging');
+const {Redactor} = require('./redaction');
+const {ParamSchema} = require('./schema');
+const {SessionStore,MemorySessionStore,FileSessionStore} = require('./stores');
+const {ContextBudget} = require('./budget');
+const {ResponseBuilder} = require('./responses');
+const {SsmlBuilder,TelephonySpeech} = require('./ssml');
+const {TemplateManager} = require('./templates');
 const {fmtLog} = require('./common');
 
-module.exports = {DialogFlowEsClient,Sequence,SequenceManager,Intent,IntentManager,ContextManager,DefaultParameterManager,Connector,ConnectorManager,fmtLog};
\ No newline at end of file
+module.exports = {DialogFlowEsClient,DialogflowCxClient,Sequence,SequenceManager,Turn,Intent,IntentManager,ContextManager,AuthPolicy,AuthPolicyManager,Middleware,MiddlewareManager,DefaultParameterManager,Connector,ConnectorUnavailableError,ConnectorManager,HttpConnector,FixtureStore,DialogFlowEsSimulator,DialogflowCxSimulator,TranscriptRunner,loadTranscript,Logger,Redactor,ParamSchema,SessionStore,MemorySessionStore,FileSessionStore,ContextBudget,ResponseBuilder,SsmlBuilder,TelephonySpeech,TemplateManager,fmtLog};
\ No newline at end of file
@@ -13,6 +13,16 @@
  * see <https://www.gnu.org/licenses/>.
  */
 
+/**
+ * Format a log line prefixed with the session ID.
+ * 
+ * @deprecated Use the convo client's Logger, available as dialogContext.logger, for structured logging.
+ * 
+ * @param {string} logPrefix                The log prefix, usually the name of the logging function.
+ * @param {string} logMessage               The log message.
+ * @param {DialogContext} dialogContext     The optional dialog context.
+ * @returns the formatted log line.
+ */
 function fmtLog(logPrefix, logMessage, dialogContext) {
     if (dialogContext !== undefined) {
         return dialogContext.sessionId+'|'+logPrefix+': '+logMessage;
@@ -20,4 +30,29 @@ function fmtLog(logPrefix, logMessage, dialogContext) {
     return 'sessionId-unset|'+logPrefix+': '+logMessage;
 }
 
-module.exports = {fmtLog};
\ No newline at end of file
+/**
+ * Deep copy a parameter value, so that copies never share nested objects or arrays.
+ * 
+ * @param {*} value The value.
+ * @returns the copy.
+ */
+function deepCopy(value) {
+    if (Array.isArray(value)) {
+        return value.map((item) => deepCopy(item));
+    }
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+    if (value != undefined && typeof value === 'object') {
+        let copy = {};
+        for (var key in value) {
+            if (Object.prototype.hasOwnProperty.call(value, key)) {
+                copy[key] = deepCopy(value[key]);
+            }
+        }
+        return copy;
+    }
+    return value;
+}
+
+module.exports = {fmtLog,deepCopy};
\ No newline at end of file
@@ -13,8 +13,115 @@
  * see <https://www.gnu.org/licenses/>.
  */
 
+const { FixtureStore } = require('./fixtures');
+const { deepCopy } = require('./common');
+
+// Define Connector Status Constants.
+const STATUS_HEALTHY = 0;
+const STATUS_UNHEALTHY = 1;
+const STATUS_INACTIVE = 2;
+const STATUS_HALF_OPEN = 3;
+
+// Define Connector Default Constants.
+const DEF_TIMEOUT = 3000;
+const DEF_RETRIES = 0;
+const DEF_RETRY_BACKOFF = 100;
+const DEF_FAILURE_THRESHOLD = 5;
+const DEF_RESET_TIMEOUT = 30000;
+const DEF_CACHE_TTL = 60000;
+
+// Define Connector Cache Scope Constants.
+const CACHE_SCOPE_SESSION = 'session';
+const CACHE_SCOPE_GLOBAL = 'global';
+
+/**
+ * This class represents an error invoking a connector that is unavailable because its circuit breaker is open.
+ */
+class ConnectorUnavailableError extends Error {
+
+    /**
+     * Constructor for ConnectorUnavailableError objects.
+     * 
+     * @param {string} connectorName The connector name.
+     */
+    constructor(connectorName) {
+        super('Connector '+connectorName+' is unavailable because its circuit breaker is open.');
+        this.name = 'ConnectorUnavailableError';
+        this.connectorName = connectorName;
+    }
+}
+
+/**
+ * Wait for a number of milliseconds.
+ * 
+ * @param {number} ms The number of milliseconds.
+ * @returns a promise resolved after the wait.
+ */
+function _sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Start a call, and reject if it doesn't settle within a timeout.  The call is given an abort signal,
+ * aborted on timeout, or undefined where the Node version has no AbortController.
+ * 
+ * @param {Function} start      The function starting the call, taking the abort signal and returning a promise.
+ * @param {number} timeout      The timeout in milliseconds.
+ * @param {string} description  The description of the call, used in the timeout error.
+ * @returns the call result.
+ */
+function _withTimeout(start, timeout, description) {
+    const controller = (typeof AbortController !== 'undefined') ? new AbortController() : undefined;
+    let timer;
+    const timeoutPromise = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            if (controller !== undefined) {
+                controller.abort();
+            }
+            reject(new Error(description+' timed out after '+timeout+'ms.'));
+        }, timeout);
+    });
+    const promise = start((controller !== undefined) ? controller.signal : undefined);
+    return Promise.race([promise, timeoutPromise]).then((result) => {
+        clearTimeout(timer);
+        return result;
+    }, (err) => {
+        clearTimeout(timer);
+        throw err;
+    });
+}
+
+/**
+ * Prefix the keys of a set of parameters with a namespace.
+ * 
+ * @param {Object} params       The parameters.
+ * @param {string} namespace    The namespace, or undefined to keep the keys as is.
+ * @returns the namespaced parameters.
+ */
+function _qualifyKeys(params, namespace) {
+    if (namespace == undefined) {
+        return params;
+    }
+    let qualified = {};
+    for (var param in params) {
+        if (Object.prototype.hasOwnProperty.call(params, param)) {
+            qualified[namespace+'_'+param] = params[param];
+        }
+    }
+    return qualified;
+}
+
 /**
  * This class represents a Connector to external API interfaces.
+ * 
+ * Calls made through invoke() are bounded by a timeout, retried with exponential backoff, and
+ * guarded by a circuit breaker that opens after failureThreshold consecutive failed invocations.
+ * While open, invocations fail fast until resetTimeout has elapsed, then the breaker is half-open:
+ * a single trial call is let through, and the others fail fast until it closes or reopens the breaker.
+ * 
+ * Endpoint methods are given an AbortSignal after their arguments, aborted when the attempt times
+ * out, which they can pass on to axios or fetch to cancel the request.  Endpoints ignoring the signal
+ * keep running after the timeout, so a slow backend still receives every retried call.
  */
 class Connector {
 
@@ -24,9 +131,58 @@ class Connector {
      * @example
      * const { Connector } = require(codingforconvos);
      * const someApiEndpoint = new SomeApiEndpoint({...});
-     * let params = { 'name': 'test', 'endpoint': someApiEndpoint };
+     * let params = { 'name': 'test', 'endpoint': someApiEndpoint, 'sessionParams': { 'accountId': '' }, 'sensitiveParams': ['accountId'] };
      * const connector = new Connector(params);
      * 
+     * @example
+     * const connector = new Connector({
+     *     name: 'banking',
+     *     endpoint: bankingApi,
+     *     params: {},
+     *     paramSchema: {
+     *         accountId: { type: 'string', description: 'The customer\'s account number.' },
+     *         overdrawn: { type: 'boolean', default: false, description: 'The account balance is negative.' }
+     *     }
+     * });
+     * 
+     * @example
+     * // The session parameters are stored as crm_customerId and crm_segment.
+     * const connector = new Connector({
+     *     name: 'crm',
+     *     endpoint: crmApi,
+     *     params: {},
+     *     namespace: 'crm',
+     *     sessionParams: { customerId: '', segment: '' }
+     * });
+     * const customerId = dialogContext.params[connector.qualifyParamName('customerId')];
+     * 
+     * @example
+     * const connector = new Connector({
+     *     name: 'banking',
+     *     endpoint: bankingApi,
+     *     params: {},
+     *     timeout: 2000,                  // Milliseconds per attempt, defaults to 3000.
+     *     retries: 1,                     // Defaults to 0.
+     *     retryBackoff: 200,              // Milliseconds before the first retry, doubled for each retry.  Defaults to 100.
+     *     failureThreshold: 3,            // Consecutive failures opening the breaker, defaults to 5.
+     *     resetTimeout: 60000,            // Milliseconds the breaker stays open, defaults to 30000.
+     *     fallbackSequence: 'escalation'  // Sequence the conversation is sent to when invocations fail.
+     * });
+     * const balance = await connector.invoke('getBalance', [accountId]);
+     * 
+     * @example
+     * const connector = new Connector({
+     *     name: 'crm',
+     *     endpoint: crmApi,
+     *     params: {},
+     *     cache: {
+     *         ttl: 300000,                            // Milliseconds results are reused, defaults to 60000.
+     *         scope: 'session',                       // session or global, defaults to session.
+     *         methods: ['getCustomer'],               // Defaults to all methods.
+     *         key: (method, args) => method+':'+args[0].customerId
+     *     }
+     * });
+     * 
      * @param {Object} params The constructor parameters.
      */
     constructor(params) {
@@ -35,8 +191,11 @@ class Connector {
         if (params.name == undefined) { throw new Error('name is a required parameter for creating Connector objects.'); }
         if (params.endpoint == undefined) { throw new Error('endpoint is a required parameter for creating Connector objects.'); }
         if (params.params == undefined) { throw new Error('params is a required parameter for creating Connector objects.'); }
+        if (params.cache != undefined && params.cache.scope != undefined && ![CACHE_SCOPE_SESSION, CACHE_SCOPE_GLOBAL].includes(params.cache.scope)) { throw new Error('cache scope must be session or global for creating Connector objects.'); }
 
-        let defaultSessionParams = (params.sessionParams != undefined) ? params.sessionParams : {};
+        let defaultSessionParams = _qualifyKeys((params.sessionParams != undefined) ? params.sessionParams : {}, params.namespace);
+        let defaultSensitiveParams = ((params.sensitiveParams != undefined) ? params.sensitiveParams : []).map((param) => (params.namespace != undefined) ? params.namespace+'_'+param : param);
+        let defaultParamSchema = _qualifyKeys((params.paramSchema != undefined) ? params.paramSchema : {}, params.namespace);
         let defaultPopulateFromPayload = (params.populateFromPayload != undefined) ? params.populateFromPayload : (context, dialogContext) => { return context; };
         
         /**
@@ -64,13 +223,37 @@ class Connector {
         this._params = params.params;
 
         /**
-         * The session parameters for the connector.
+         * The namespace prefixing the connector's session parameter names, or undefined for none.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._namespace = params.namespace;
+
+        /**
+         * The session parameters for the connector, with their namespaced names.
          * 
          * @private
          * @type {Object}
          */
         this._sessionParams = defaultSessionParams;
 
+        /**
+         * The names of the session parameters holding sensitive values, masked in logs and transcripts.
+         * 
+         * @private
+         * @type {Array}
+         */
+        this._sensitiveParams = defaultSensitiveParams;
+
+        /**
+         * The declared types of the connector's session parameters.
+         * 
+         * @private
+         * @type {Object}
+         */
+        this._paramSchema = defaultParamSchema;
+
         /**
          * The populate from payload function handler.
          * 
@@ -79,12 +262,77 @@ class Connector {
          */
         this._populateFromPayload = defaultPopulateFromPayload;
 
-         /**
+        /**
+         * The timeout in milliseconds for each attempt to invoke the endpoint.
+         * 
+         * @private
+         * @type {number}
+         */
+        this._timeout = (params.timeout != undefined) ? params.timeout : DEF_TIMEOUT;
+
+        /**
+         * The number of times a failed invocation is retried.
+         * 
+         * @private
+         * @type {number}
+         */
+        this._retries = (params.retries != undefined) ? params.retries : DEF_RETRIES;
+
+        /**
+         * The delay in milliseconds before the first retry, doubled for each further retry.
+         * 
+         * @private
+         * @type {number}
+         */
+        this._retryBackoff = (params.retryBackoff != undefined) ? params.retryBackoff : DEF_RETRY_BACKOFF;
+
+        /**
+         * The number of consecutive failed invocations opening the circuit breaker.
+         * 
+         * @private
+         * @type {number}
+         */
+        this._failureThreshold = (params.failureThreshold != undefined) ? params.failureThreshold : DEF_FAILURE_THRESHOLD;
+
+        /**
+         * The time in milliseconds the circuit breaker stays open before a trial invocation is let through.
+         * 
+         * @private
+         * @type {number}
+         */
+        this._resetTimeout = (params.resetTimeout != undefined) ? params.resetTimeout : DEF_RESET_TIMEOUT;
+
+        /**
+         * The name of the sequence the conversation is sent to when invocations fail, or undefined for none.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._fallbackSequence = params.fallbackSequence;
+
+        /**
+         * The number of consecutive failed invocations.
+         * 
+         * @private
+         * @type {number}
+         */
+        this._consecutiveFailures = 0;
+
+        /**
+         * The time the circuit breaker opened, in milliseconds since the epoch.
+         * 
+         * @private
+         * @type {number}
+         */
+        this._openedAt = 0;
+
+        /**
          * The status of the connector.
          * 
          * 0 - active-healthy
          * 1 - active-unhealthy
-         * 2 - inactive
+         * 2 - inactive, the circuit breaker is open
+         * 3 - half-open, a trial invocation is in flight
          * 
          * @private
          * @type {number}
@@ -106,6 +354,42 @@ class Connector {
          * @type {number}
          */
         this._failureCount = 0;
+
+        /**
+         * The cache options, or undefined when results are not cached.
+         * 
+         * @private
+         * @type {Object}
+         */
+        this._cacheOptions = (params.cache != undefined) ? {
+            ttl: (params.cache.ttl != undefined) ? params.cache.ttl : DEF_CACHE_TTL,
+            scope: (params.cache.scope != undefined) ? params.cache.scope : CACHE_SCOPE_SESSION,
+            methods: params.cache.methods,
+            key: (params.cache.key != undefined) ? params.cache.key : (method, args) => method+' '+JSON.stringify(args)
+        } : undefined;
+
+        /**
+         * The cached results, by session ID and cache key.  Each entry holds the session ID, method,
+         * result and expiry time.
+         * 
+         * @private
+         * @type {Map}
+         */
+        this._cache = new Map();
+
+        /**
+         * The fixture store recording or replaying the endpoint calls, set by the connector manager.
+         * 
+         * @private
+         * @type {FixtureStore}
+         */
+        this._fixtureStore = undefined;
+
+        this.invoke = this.invoke.bind(this);
+        this.invokeWithContext = this.invokeWithContext.bind(this);
+        this.isAvailable = this.isAvailable.bind(this);
+        this.invalidateCache = this.invalidateCache.bind(this);
+        this.qualifyParamName = this.qualifyParamName.bind(this);
     }
 
     /**
@@ -147,6 +431,13 @@ class Connector {
      */
     set params(value) { this._params = value; }
 
+    /**
+     * Gets the namespace.
+     * 
+     * @return The namespace.
+     */
+    get namespace() { return this._namespace; }
+
     /**
      * Gets the injected session parameters.
      * 
@@ -160,6 +451,32 @@ class Connector {
      */
     set sessionParams(value) { this._sessionParams = value; }
 
+    /**
+     * Gets the sensitive session parameter names.
+     * 
+     * @return The sensitive session parameter names.
+     */
+    get sensitiveParams() { return this._sensitiveParams; }
+    /**
+     * Sets the sensitive session parameter names.
+     * 
+     * @param {Array} value The value.
+     */
+    set sensitiveParams(value) { this._sensitiveParams = value; }
+
+    /**
+     * Gets the session parameter schema.
+     * 
+     * @return The session parameter schema.
+     */
+    get paramSchema() { return this._paramSchema; }
+    /**
+     * Sets the session parameter schema.
+     * 
+     * @param {Object} value The value.
+     */
+    set paramSchema(value) { this._paramSchema = value; }
+
     /**
      * Gets the payload function handler.
      * 
@@ -211,6 +528,200 @@ class Connector {
      * @param {number} value The value.
      */
     set failureCount(value) { this._failureCount = value; }
+
+    /**
+     * Gets the fixture store.
+     * 
+     * @return The fixture store.
+     */
+    get fixtureStore() { return this._fixtureStore; }
+    /**
+     * Sets the fixture store.
+     * 
+     * @param {FixtureStore} value The value.
+     */
+    set fixtureStore(value) { this._fixtureStore = value; }
+
+    /**
+     * Gets the fallback sequence name.
+     * 
+     * @return The fallback sequence name.
+     */
+    get fallbackSequence() { return this._fallbackSequence; }
+
+    /**
+     * Get the session parameter name of one of the connector's parameters, prefixed with its namespace.
+     * 
+     * @param {string} param The parameter name, without the namespace.
+     * @returns the session parameter name.
+     */
+    qualifyParamName(param) {
+        return (this._namespace != undefined) ? this._namespace+'_'+param : param;
+    }
+
+    /**
+     * Check if the connector accepts invocations, which is when the circuit breaker is closed,
+     * or open for longer than the reset timeout without a trial invocation in flight.
+     * 
+     * @returns true if the connector accepts invocations, otherwise false.
+     */
+    isAvailable() {
+        if (this._status === STATUS_HALF_OPEN) {
+            return false;
+        }
+        return this._status !== STATUS_INACTIVE || (Date.now() - this._openedAt) >= this._resetTimeout;
+    }
+
+    /**
+     * Get the cache key of an invocation, or undefined if its result is not cached.  Session scoped
+     * results are only cached for invocations made on behalf of a session.
+     * 
+     * @private
+     * @param {string} method       The endpoint method name.
+     * @param {Array} args          The method arguments.
+     * @param {string} sessionId    The optional session ID.
+     * @returns the cache key.
+     */
+    _getCacheKey(method, args, sessionId) {
+        const options = this._cacheOptions;
+        if (options == undefined || (options.methods != undefined && !options.methods.includes(method))) {
+            return undefined;
+        }
+        if (options.scope === CACHE_SCOPE_GLOBAL) {
+            return options.key(method, args);
+        }
+        return (sessionId != undefined) ? sessionId+'|'+options.key(method, args) : undefined;
+    }
+
+    /**
+     * Remove cached results, for a session or a method, or all of them.  Results shared across
+     * sessions are removed regardless of the session ID.
+     * 
+     * @example
+     * // After a payment, the next getBalance() call goes back to the backend.
+     * connector.invalidateCache(dialogContext.sessionId, 'getBalance');
+     * 
+     * @param {string} sessionId    The optional session ID.
+     * @param {string} method       The optional endpoint method name.
+     */
+    invalidateCache(sessionId, method) {
+        const shared = (this._cacheOptions != undefined && this._cacheOptions.scope === CACHE_SCOPE_GLOBAL);
+        this._cache.forEach((entry, key) => {
+            if ((shared || sessionId == undefined || entry.sessionId === sessionId) && (method == undefined || entry.method === method)) {
+                this._cache.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Invoke a method of the API endpoint with a timeout, retries, and circuit breaking.  When the
+     * connector has a cache, unexpired results are returned without invoking the endpoint.  Cached
+     * results are copied when stored and when returned, so callers changing a result don't change the cache.
+     * 
+     * @example
+     * try {
+     *     const balance = await connector.invoke('getBalance', [accountId]);
+     * } catch (err) {
+     *     // err is a ConnectorUnavailableError when the breaker is open, or the last attempt's error.
+     * }
+     * 
+     * @param {string} method       The endpoint method name.
+     * @param {Array} args          The method arguments.
+     * @param {string} sessionId    The optional ID of the session the invocation is made for.
+     * @returns the method result.
+     */
+    async invoke(method, args = [], sessionId) {
+        const cacheKey = this._getCacheKey(method, args, sessionId);
+        if (cacheKey !== undefined) {
+            const entry = this._cache.get(cacheKey);
+            if (entry !== undefined && Date.now() < entry.expiresAt) {
+                return deepCopy(entry.result);
+            }
+            this._cache.delete(cacheKey);
+        }
+
+        const result = await this._invokeEndpoint(method, args);
+        if (cacheKey !== undefined) {
+            const now = Date.now();
+            this._cache.forEach((entry, key) => {
+                if (now >= entry.expiresAt) {
+                    this._cache.delete(key);
+                }
+            });
+            this._cache.set(cacheKey, { sessionId: sessionId, method: method, result: deepCopy(result), expiresAt: now + this._cacheOptions.ttl });
+        }
+        return result;
+    }
+
+    /**
+     * Invoke a method of the API endpoint with a timeout, retries, and circuit breaking.
+     * 
+     * @private
+     * @param {string} method   The endpoint method name.
+     * @param {Array} args      The method arguments.
+     * @returns the method result.
+     */
+    async _invokeEndpoint(method, args) {
+        // Replayed calls return the recorded outcome directly, without the breaker, timeout or retries, so that replays are deterministic.
+        if (this._fixtureStore != undefined && this._fixtureStore.isReplaying()) {
+            return this._fixtureStore.replay(this._name, method, args);
+        }
+        if (!this.isAvailable()) {
+            throw new ConnectorUnavailableError(this._name);
+        }
+        if (typeof this._endpoint[method] !== 'function') {
+            throw new Error('Connector '+this._name+' endpoint has no method '+method+'.');
+        }
+
+        // Only a single trial invocation, without retries, is let through a breaker that was open.
+        const trial = (this._status === STATUS_INACTIVE);
+        if (trial) {
+            this._status = STATUS_HALF_OPEN;
+        }
+        const attempts = (trial) ? 1 : this._retries+1;
+        let lastError;
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            if (attempt > 0) {
+                await _sleep(this._retryBackoff * Math.pow(2, attempt-1));
+            }
+            try {
+                const result = await _withTimeout((signal) => {
+                    const call = () => Promise.resolve(this._endpoint[method](...((signal !== undefined) ? args.concat([signal]) : args)));
+                    return (this._fixtureStore != undefined) ? this._fixtureStore.call(this._name, method, args, call) : call();
+                }, this._timeout, 'Connector '+this._name+' '+method);
+                this._successCount++;
+                this._consecutiveFailures = 0;
+                this._status = STATUS_HEALTHY;
+                return result;
+            } catch (err) {
+                lastError = err;
+            }
+        }
+
+        this._failureCount++;
+        this._consecutiveFailures++;
+        // Invocations started before the breaker opened leave a trial in flight to settle it.
+        if (trial || (this._status !== STATUS_HALF_OPEN && this._consecutiveFailures >= this._failureThreshold)) {
+            this._status = STATUS_INACTIVE;
+            this._openedAt = Date.now();
+        } else if (this._status !== STATUS_HALF_OPEN) {
+            this._status = STATUS_UNHEALTHY;
+        }
+        throw lastError;
+    }
+
+    /**
+     * Invoke a method of the API endpoint on behalf of a conversation turn.  Connectors override this
+     * to read their arguments from, or write their results to, the dialog context.
+     * 
+     * @param {DialogContext} dialogContext The dialog context.
+     * @param {string} method               The endpoint method name.
+     * @param {Array} args                  The method arguments.
+     * @returns the method result.
+     */
+    async invokeWithContext(dialogContext, method, args) {
+        return this.invoke(method, args, dialogContext.sessionId);
+    }
 }
 
 /**
@@ -222,8 +733,15 @@ class ConnectorManager {
      * Constructor for ConnectorManager objects.
      * 
      * @example
-     * const { ConnectorManager } = require(codingforconvos);
-     * const connectorManager = new ConnectorManager();
+     * const { ConnectorManager, DefaultParameterManager } = require(codingforconvos);
+     * const connectorManager = new ConnectorManager({
+     *     defaultParameterManager: new DefaultParameterManager(),
+     *     fixtureMode: 'replay',          // live, record, or replay.  Defaults to CFC_CONNECTOR_MODE, else live.
+     *     fixturesDir: path.join(__dirname, 'fixtures'),
+     *     redactor: redactor              // Masks the recorded fixtures.
+     * });
+     * 
+     * @param {Object} params The constructor parameters.
      */
     constructor(params) {
         // Validate the input parameters.
@@ -245,8 +763,27 @@ class ConnectorManager {
          * @type {DefaultParameterManager}
          */
         this._defaultParameterManager = params.defaultParameterManager;
+
+        /**
+         * The fixture store recording or replaying the endpoint calls of the registered connectors.
+         * 
+         * @private
+         * @type {FixtureStore}
+         */
+        this._fixtureStore = (params.fixtureStore != undefined) ? params.fixtureStore : new FixtureStore({
+            mode: params.fixtureMode,
+            fixturesDir: params.fixturesDir,
+            redactor: params.redactor
+        });
     }
 
+    /**
+     * Gets the fixture store.
+     * 
+     * @return The fixture store.
+     */
+    get fixtureStore() { return this._fixtureStore; }
+
     /**
      * Retrieve a connector by registered name.
      * 
@@ -279,6 +816,7 @@ class ConnectorManager {
 
         this._defaultParameterManager.registerSessionParameters(connector.name, connector.sessionParams);
         this._defaultParameterManager.registerPayloadHandler(connector.name, connector.populateFromPayload);
+        connector.fixtureStore = this._fixtureStore;
         this._connectors.set(connector.name, connector);
     }
 }
@@ -329,6 +867,52 @@ class ConnectorManager {
          * @type {Map}
          */
         this._populateFromPayloadHandlerMap = new Map();
+
+        /**
+         * The owner of each registered or reserved session parameter, by parameter name.
+         * 
+         * @private
+         * @type {Map}
+         */
+        this._paramOwners = new Map();
+    }
+
+    /**
+     * Record the owner of a set of session parameter names, throwing if another owner has any of them.
+     * Names the same owner already has are skipped, so that clients sharing the manager can reserve them again.
+     * 
+     * @private
+     * @param {string} owner    The description of the owner.
+     * @param {Array} names     The parameter names.
+     */
+    _claimParams(owner, names) {
+        names.forEach((name) => {
+            if (this._paramOwners.has(name) && this._paramOwners.get(name) !== owner) {
+                throw new Error('Session parameter '+name+' of '+owner+' collides with the same parameter of '+this._paramOwners.get(name)+'.  Rename it, or register the connector with a namespace.');
+            }
+        });
+        names.forEach((name) => this._paramOwners.set(name, owner));
+    }
+
+    /**
+     * Reserve session parameter names that aren't registered as a parameter set, such as the core
+     * session props and the client's baseParams, so that parameter sets can't collide with them.
+     * 
+     * @param {string} owner    The description of the owner.
+     * @param {Array} names     The parameter names.
+     */
+    reserveParams(owner, names) {
+        this._claimParams(owner, names);
+    }
+
+    /**
+     * Retrieve the owner of a session parameter.
+     * 
+     * @param {string} name The parameter name.
+     * @returns the description of the owner, or undefined if the parameter isn't registered.
+     */
+    getParamOwner(name) {
+        return this._paramOwners.get(name);
     }
 
     /**
@@ -394,10 +978,11 @@ class ConnectorManager {
         if (this._parameterMap.has(name)) {
             throw new Error('Registered parameter set '+name+' is already exists.');
         }
+        this._claimParams('connector '+name, Object.keys(params));
         this._parameterMap.set(name, params);
         this._parameterSets.push(params);
     }
 
 }
 
-module.exports = {Connector,ConnectorManager,DefaultParameterManager};
\ No newline at end of file
+module.exports = {Connector,ConnectorUnavailableError,ConnectorManager,DefaultParameterManager};
\ No newline at end of file
@@ -13,20 +13,14 @@
  * see <https://www.gnu.org/licenses/>.
  */
 
-const { Sequence, SequenceManager } = require("./sequences");
-const { ConnectorManager } = require("./connectors");
-const { fmtLog } = require("./common");
-const { WebhookClient } = require("dialogflow-fulfillment");
+const { createSequenceFrame, migrateSequenceStack } = require("./stacks");
+const { deepCopy } = require("./common");
+const { ResponseBuilder } = require("./responses");
+const { SsmlBuilder, TelephonySpeech } = require("./ssml");
+const { Text } = require("dialogflow-fulfillment");
 
 const DEF_CTX_LIFESPAN = 99;
 
-// Define Sequence Name Constants.
-// FIXME: Find a better way to embed these.
-const CTX_WELCOME = 'welcome';
-const CTX_RFC = 'reasonforcontact';
-const CTX_AUTH = 'authentication';
-const CTX_PWRESET = 'passwordreset';
-
 /**
  * Class for representing global and local contexts.
  */
@@ -117,6 +111,14 @@ class DialogContext {
          */
         this._connectorManager = params.connectorManager;
 
+        /**
+         * The server-side session state, loaded from and saved to the client's session store.
+         * 
+         * @private
+         * @type {Object}
+         */
+        this._state = (params.sessionState != undefined) ? params.sessionState : {};
+
         this.setFulfillmentText = this.setFulfillmentText.bind(this);
         this.appendFulfillmentText = this.appendFulfillmentText.bind(this);
         this.setFulfillmentCourseCorrect = this.setFulfillmentCourseCorrect.bind(this);
@@ -124,8 +126,30 @@ class DialogContext {
         this.updateDialogflowEsContext = this.updateDialogflowEsContext.bind(this);
         this.setParam = this.setParam.bind(this);
         this.setParams = this.setParams.bind(this);
+        this.getSessionParam = this.getSessionParam.bind(this);
+        this.setSessionParam = this.setSessionParam.bind(this);
+        this.setSessionParams = this.setSessionParams.bind(this);
         this.isAuthRequired = this.isAuthRequired.bind(this);
         this.getOrCreateCtx = this.getOrCreateCtx.bind(this);
+        this.getDefaultFulfillmentText = this.getDefaultFulfillmentText.bind(this);
+        this.trackTurnPrompt = this.trackTurnPrompt.bind(this);
+        this.incrementFallbackCounters = this.incrementFallbackCounters.bind(this);
+        this.setSequenceStep = this.setSequenceStep.bind(this);
+        this.setSequenceResult = this.setSequenceResult.bind(this);
+        this.rewriteResponseTexts = this.rewriteResponseTexts.bind(this);
+        this.buildResponse = this.buildResponse.bind(this);
+        this.respondWithPrompt = this.respondWithPrompt.bind(this);
+        this.queueResponse = this.queueResponse.bind(this);
+        this.setLocale = this.setLocale.bind(this);
+        this.getSequenceActivity = this.getSequenceActivity.bind(this);
+        this.getMessage = this.getMessage.bind(this);
+        this.renderTemplate = this.renderTemplate.bind(this);
+        this.renderText = this.renderText.bind(this);
+        this.respondWithTemplate = this.respondWithTemplate.bind(this);
+        this.takeFulfillmentBuffer = this.takeFulfillmentBuffer.bind(this);
+        this.flushResponses = this.flushResponses.bind(this);
+        this.invokeConnector = this.invokeConnector.bind(this);
+        this.invalidateConnectorCache = this.invalidateConnectorCache.bind(this);
         
         this.pushSequence = this.pushSequence.bind(this);
         this.popSequence = this.popSequence.bind(this);
@@ -158,6 +182,13 @@ class DialogContext {
      */
     set dialogflowClient(value) { this._dialogflowClient = value; }
 
+    /**
+     * Gets the logger of the convo client.
+     * 
+     * @return The logger.
+     */
+    get logger() { return this._dialogflowClient.logger; }
+
     /**
      * Gets the dialogflowAgent.
      * 
@@ -223,6 +254,23 @@ class DialogContext {
      */
     set params(value) { this._sessionParams.parameters = value; }
 
+    /**
+     * Gets the server-side session state.  Changes are saved to the session store at the end of the
+     * turn, when the client has one, and are kept out of the Dialogflow contexts.
+     * 
+     * @example
+     * dialogContext.state.transactions = await dialogContext.invokeConnector('banking', 'getTransactions', [accountId]);
+     * 
+     * @return The server-side session state.
+     */
+    get state() { return this._state; }
+    /**
+     * Sets the server-side session state.
+     * 
+     * @param {Object} value The value.
+     */
+    set state(value) { this._state = value; }
+
     /**
      * Gets the agent-received input parameters.
      * 
@@ -303,8 +351,76 @@ class DialogContext {
      */
     set payload(value) { this._dialogflowAgent.request_.body.originalDetectIntentRequest.payload = value; }
 
+    /**
+     * Gets the current turn of the current sequence.
+     * 
+     * @return The current turn, or undefined if no turn has been prompted.
+     */
+    get currentTurn() { return this._currentSequence.getTurn(this._sessionParams.parameters.turnCurrent); }
+
+    /**
+     * Gets the number of times the current turn has been prompted.
+     * 
+     * @return The number of times the current turn has been prompted.
+     */
+    get turnPromptCount() { return parseInt(this._sessionParams.parameters.turnPromptCount, 10) || 0; }
+
+    /**
+     * Gets the number of fallbacks on the current turn.
+     * 
+     * @return The number of fallbacks on the current turn.
+     */
+    get turnFallbackCount() { return parseInt(this._sessionParams.parameters.turnFallbackCount, 10) || 0; }
+
+    /**
+     * Get the default fulfillment text, using the current turn's paraphrases when its prompt is repeated.
+     * 
+     * @returns the default fulfillment text.
+     */
+    getDefaultFulfillmentText() {
+        const turn = this.currentTurn;
+        if (turn !== undefined && turn.promptAction === this.currentAction) {
+            const paraphrase = turn.getParaphrase(this.turnPromptCount);
+            if (paraphrase !== undefined) {
+                return paraphrase;
+            }
+        }
+        return this._dialogflowAgent.consoleMessages[0].text;
+    }
+
+    /**
+     * Record a turn prompt, counting repeated prompts of the same turn.
+     * 
+     * @example
+     * dialogContext.trackTurnPrompt(sequence.getTurnByPromptAction(dialogContext.currentAction));
+     * 
+     * @param {Turn} turn The prompted turn.
+     */
+    trackTurnPrompt(turn) {
+        if (this._sessionParams.parameters.turnCurrent === turn.name) {
+            this.setParam(this._sessionParams, 'turnPromptCount', (this.turnPromptCount+1).toString());
+            return;
+        }
+        this.setParams(this._sessionParams, {
+            'turnCurrent': turn.name,
+            'turnPromptCount': '1',
+            'turnFallbackCount': '0'
+        });
+    }
+
+    /**
+     * Increment the session and current turn fallback counters.
+     */
+    incrementFallbackCounters() {
+        this.setParams(this._sessionParams, {
+            'fallbackCounter': ((parseInt(this._sessionParams.parameters.fallbackCounter, 10) || 0)+1).toString(),
+            'turnFallbackCount': (this.turnFallbackCount+1).toString()
+        });
+    }
+
     /**
      * Sets the fulfillment text response according to the provided text, or the Dialogflow default response.
+     * When the current turn's prompt is repeated, the default response is replaced by the turn's next paraphrase.
      * 
      * @example
      * dialogContext.setFulfillmentText('Hi there!');            // lastFulfillmentText = 'Hi there!'
@@ -315,7 +431,7 @@ class DialogContext {
      */
     setFulfillmentText (fulfillmentText='|') {
         this._sessionParams.parameters.lastFulfillmentText =
-            (fulfillmentText !== '|') ? fulfillmentText : this._dialogflowAgent.consoleMessages[0].text;
+            (fulfillmentText !== '|') ? fulfillmentText : this.getDefaultFulfillmentText();
         this.updateDialogflowEsContext(this._sessionParams);
         return;
     }
@@ -332,7 +448,7 @@ class DialogContext {
      */
     appendFulfillmentText (fulfillmentText='|') {
         this._sessionParams.parameters.lastFulfillmentText = this._sessionParams.parameters.lastFulfillmentText + '  ' + 
-            ((fulfillmentText !== '|') ? fulfillmentText : this._dialogflowAgent.consoleMessages[0].text);
+            ((fulfillmentText !== '|') ? fulfillmentText : this.getDefaultFulfillmentText());
         this.updateDialogflowEsContext(this._sessionParams);
         return;
     }
@@ -347,12 +463,339 @@ class DialogContext {
      * @param {string} fulfillmentText  The fulfillment response text, or lastFulfillmentText is not provided.
      */
     respondWithText(fulfillmentText = '|') {
-        this._dialogflowAgent.add(
-            ((fulfillmentText !== '|') ? fulfillmentText : this._sessionParams.parameters.lastFulfillmentText)
-        );
+        const responseText = (fulfillmentText !== '|') ? fulfillmentText : this._sessionParams.parameters.lastFulfillmentText;
+        this._addResponseTexts(this.takeFulfillmentBuffer().concat([responseText]));
+        this.setParam(this._sessionParams, 'responseAlreadySet', '1');
+    }
+
+    /**
+     * Gets the messages queued for the next response.
+     * 
+     * @return The queued messages.
+     */
+    get fulfillmentBuffer() {
+        const buffer = this._sessionParams.parameters.fulfillmentBuffer;
+        if (Array.isArray(buffer)) {
+            return buffer.slice();
+        }
+        // Live sessions may hold the legacy text buffer.
+        return (typeof buffer === 'string' && buffer !== '') ? [buffer] : [];
+    }
+
+    /**
+     * Queue a message for the next response.  Queued messages are sent before the response text as
+     * separate messages, or joined for voice, and survive follow-up events until a response is sent.
+     * 
+     * @example
+     * dialogContext.queueResponse('Got it.');
+     * dialogContext.queueResponse('Your payment of $50.00 is scheduled for tomorrow.');
+     * dialogContext.respondWithText('Is there anything else?');
+     * 
+     * @param {string} fulfillmentText  The message, or the Dialogflow default response if not provided.
+     */
+    queueResponse(fulfillmentText = '|') {
+        let buffer = this.fulfillmentBuffer;
+        buffer.push((fulfillmentText !== '|') ? fulfillmentText : this.getDefaultFulfillmentText());
+        this.setParam(this._sessionParams, 'fulfillmentBuffer', buffer);
+    }
+
+    /**
+     * Take the queued messages, emptying the buffer.
+     * 
+     * @returns the queued messages.
+     */
+    takeFulfillmentBuffer() {
+        const buffer = this.fulfillmentBuffer;
+        if (buffer.length > 0) {
+            this.setParam(this._sessionParams, 'fulfillmentBuffer', []);
+        }
+        return buffer;
+    }
+
+    /**
+     * Respond to the conversation turn with the queued messages alone.
+     */
+    flushResponses() {
+        const buffer = this.takeFulfillmentBuffer();
+        if (buffer.length === 0) {
+            return;
+        }
+        this._addResponseTexts(buffer);
         this.setParam(this._sessionParams, 'responseAlreadySet', '1');
     }
 
+    /**
+     * Add response texts as separate messages, or joined into one message for voice.
+     * 
+     * @private
+     * @param {Array} texts The response texts.
+     */
+    _addResponseTexts(texts) {
+        if (texts.length > 1 && this.voiceMode) {
+            this._dialogflowAgent.add(texts.join('  '));
+            return;
+        }
+        texts.forEach((text) => this._dialogflowAgent.add(text));
+    }
+
+    /**
+     * Gets the response texts added so far this turn.
+     * 
+     * @return The response texts.
+     */
+    get responseTexts() {
+        return this._dialogflowAgent.responseMessages_
+            .map((message) => (message instanceof Text) ? message.text : message)
+            .filter((message) => typeof message === 'string');
+    }
+
+    /**
+     * Rewrite the response texts added so far this turn, leaving rich responses untouched.
+     * 
+     * @example
+     * dialogContext.rewriteResponseTexts((text) => text.replace(/darn/gi, '****'));
+     * 
+     * @param {Function} rewrite The function mapping each response text to its replacement.
+     */
+    rewriteResponseTexts(rewrite) {
+        this._dialogflowAgent.responseMessages_ = this._dialogflowAgent.responseMessages_.map((message) => {
+            if (message instanceof Text) {
+                return message.setText(rewrite(message.text));
+            }
+            return (typeof message === 'string') ? rewrite(message) : message;
+        });
+    }
+
+    /**
+     * Build a rich response of text, cards, images, quick replies and custom payloads.  Facebook
+     * requests get Facebook rich responses, and other requests are rendered for the client's response channel.
+     * 
+     * @example
+     * dialogContext.buildResponse()
+     *     .text('Here is your savings account.')
+     *     .card({ title: 'Savings', subtitle: 'Balance $1,024.00', buttons: [{ text: 'Details', url: 'https://example.com/savings' }] })
+     *     .quickReplies(['Transfer', 'Pay a bill'])
+     *     .send();
+     * 
+     * @param {string} channel  The optional channel: dialogflow, messenger, webex, or facebook.
+     * @returns the response builder.
+     */
+    buildResponse(channel) {
+        let responseChannel = channel;
+        if (responseChannel == undefined) {
+            responseChannel = (this._dialogflowAgent.requestSource === 'FACEBOOK') ? 'facebook' : this._dialogflowClient.responseChannel;
+        }
+        return new ResponseBuilder({ dialogContext: this, channel: responseChannel });
+    }
+
+    /**
+     * Gets the locale of the conversation turn: the session locale if set, otherwise the request
+     * languageCode, otherwise the default locale of the template manager.
+     * 
+     * @return The locale.
+     */
+    get locale() {
+        const sessionLocale = this._sessionParams.parameters.sessionLocale;
+        if (sessionLocale != undefined && sessionLocale !== '') {
+            return sessionLocale;
+        }
+        const requestLocale = this._dialogflowAgent.locale;
+        return (requestLocale != undefined && requestLocale !== '') ? requestLocale : this._dialogflowClient.templateManager.defaultLocale;
+    }
+
+    /**
+     * Set the session locale, overriding the request languageCode for the rest of the session.
+     * 
+     * @example
+     * dialogContext.setLocale('fr-CA');   // The caller chose French.
+     * dialogContext.setLocale('');        // Follow the request languageCode again.
+     * 
+     * @param {string} locale The locale.
+     */
+    setLocale(locale) {
+        this.setParam(this._sessionParams, 'sessionLocale', locale);
+    }
+
+    /**
+     * Get the activity description of a sequence, localized by the sequence.<name>.activity message of
+     * the current locale if registered.
+     * 
+     * @example
+     * convoClient.registerCatalog('fr', { 'sequence.billing.activity': 'le paiement de votre facture' });
+     * dialogContext.getSequenceActivity(billingSequence); // 'le paiement de votre facture' for French sessions.
+     * 
+     * @param {Sequence} sequence The sequence.
+     * @returns the activity description.
+     */
+    getSequenceActivity(sequence) {
+        const activity = this._dialogflowClient.templateManager.get('sequence.'+sequence.name+'.activity', this.locale);
+        return (activity !== undefined) ? activity : sequence.activity;
+    }
+
+    /**
+     * Resolve a message key from the catalogs of the current locale and render it.  Unknown keys throw
+     * in strict template mode, otherwise they are logged as warnings and the key is returned.
+     * 
+     * @example
+     * dialogContext.getMessage('balance', { accountBalance: '1024.50' });
+     * 
+     * @param {string} key      The message key.
+     * @param {Object} values   The optional values, overriding the parameters.
+     * @returns the rendered message.
+     */
+    getMessage(key, values) {
+        const templateManager = this._dialogflowClient.templateManager;
+        if (!templateManager.has(key, this.locale)) {
+            const message = 'Missing message '+key+' for locale '+this.locale+'.';
+            if (templateManager.strict === true) {
+                throw new Error(message);
+            }
+            this.logger.warn('getMessage', message, this);
+            return key;
+        }
+        return this.renderTemplate(key, values);
+    }
+
+    /**
+     * Render a registered response template, resolved from the catalogs of the current locale.
+     * Unregistered templates throw in strict template mode, otherwise they are logged as warnings and
+     * the name is returned.  Values are filled as for renderText.
+     * 
+     * @example
+     * convoClient.registerTemplates({ paymentDue: 'Your payment of {amountDue|currency} is due {dueDate|date}.' });
+     * dialogContext.renderTemplate('paymentDue', { amountDue: '50' });
+     * 
+     * @param {string} name     The template name.
+     * @param {Object} values   The optional values, overriding the parameters.
+     * @returns the rendered text.
+     */
+    renderTemplate(name, values) {
+        const templateManager = this._dialogflowClient.templateManager;
+        if (!templateManager.has(name, this.locale)) {
+            const message = 'Missing template '+name+' for locale '+this.locale+'.';
+            if (templateManager.strict === true) {
+                throw new Error(message);
+            }
+            this.logger.warn('renderTemplate', message, this);
+            return name;
+        }
+        return this._render(templateManager.get(name, this.locale), 'template '+name, values);
+    }
+
+    /**
+     * Render template text.  Placeholders are filled from the values, then the current sequence's name
+     * and localized activity as sequence.name and sequence.activity, then the current context parameters,
+     * and then the session parameters.  Dotted names read nested values.  Missing values throw in strict
+     * template mode, otherwise they are logged as warnings and render empty.
+     * 
+     * @example
+     * dialogContext.renderText('I can help with {sequence.activity}, {customerName}.');
+     * 
+     * @param {string} text     The template text.
+     * @param {Object} values   The optional values, overriding the parameters.
+     * @returns the rendered text.
+     */
+    renderText(text, values) {
+        return this._render(text, 'template text', values);
+    }
+
+    /**
+     * Render template text, reporting missing values against a description of the template.
+     * 
+     * @private
+     * @param {string} text         The template text.
+     * @param {string} description  The template description, for errors and warnings.
+     * @param {Object} values       The optional values, overriding the parameters.
+     * @returns the rendered text.
+     */
+    _render(text, description, values = {}) {
+        const templateManager = this._dialogflowClient.templateManager;
+        const scopes = [
+            values,
+            { sequence: { name: this._currentSequence.name, activity: this.getSequenceActivity(this._currentSequence) } },
+            (this._currentContext.parameters != undefined) ? this._currentContext.parameters : {},
+            this._sessionParams.parameters
+        ];
+        const lookup = (name) => {
+            const path = name.split('.');
+            for (const scope of scopes) {
+                if (scope[path[0]] != undefined) {
+                    return path.slice(1).reduce((value, key) => (value != undefined) ? value[key] : undefined, scope[path[0]]);
+                }
+            }
+            return undefined;
+        };
+
+        const rendered = templateManager.render(text, lookup, this.locale);
+        if (rendered.missing.length > 0) {
+            const message = 'Missing values for '+description+': '+rendered.missing.join(', ')+'.';
+            if (templateManager.strict === true) {
+                throw new Error(message);
+            }
+            this.logger.warn('renderTemplate', message, this, { missing: rendered.missing });
+        }
+        if (rendered.unknownFormatters.length > 0) {
+            const message = 'Unknown formatters for '+description+': '+rendered.unknownFormatters.join(', ')+'.';
+            if (templateManager.strict === true) {
+                throw new Error(message);
+            }
+            this.logger.warn('renderTemplate', message, this, { unknownFormatters: rendered.unknownFormatters });
+        }
+        return rendered.text;
+    }
+
+    /**
+     * Respond to the conversation turn with a rendered response template, keeping it as lastFulfillmentText.
+     * 
+     * @example
+     * dialogContext.respondWithTemplate('paymentDue', { amountDue: '50' });
+     * 
+     * @param {string} name     The template name.
+     * @param {Object} values   The optional values, overriding the parameters.
+     */
+    respondWithTemplate(name, values) {
+        const text = this.renderTemplate(name, values);
+        this.setParam(this._sessionParams, 'lastFulfillmentText', text);
+        this.respondWithText(text);
+    }
+
+    /**
+     * Gets whether the conversation turn is spoken, according to the client's voice mode.
+     * 
+     * @return true if the turn is spoken, otherwise false.
+     */
+    get voiceMode() {
+        const voiceMode = this._dialogflowClient.voiceMode;
+        return (typeof voiceMode === 'function') ? voiceMode(this) === true : voiceMode === true;
+    }
+
+    /**
+     * Respond to the conversation turn with a prompt.  In voice mode, the prompt's SSML is sent as a
+     * telephony speech response, and the plain text is kept for the other integrations.  Otherwise the
+     * prompt is sent as plain text.  Queued messages are sent first.
+     * 
+     * @example
+     * dialogContext.respondWithPrompt(new SsmlBuilder().say('Your balance is').sayAs('$1,024.00', 'currency'));
+     * 
+     * @param {SsmlBuilder|string} prompt The prompt, or plain text.
+     */
+    respondWithPrompt(prompt) {
+        const ssmlPrompt = (prompt instanceof SsmlBuilder) ? prompt : new SsmlBuilder().say(prompt);
+        const text = ssmlPrompt.toText();
+        if (this.voiceMode) {
+            let speech = new SsmlBuilder();
+            const buffer = this.takeFulfillmentBuffer();
+            buffer.forEach((queued) => speech.say(queued));
+            speech.append(ssmlPrompt);
+            this._dialogflowAgent.add(buffer.concat([text]).join('  '));
+            this._dialogflowAgent.add(new TelephonySpeech(speech.toSsml()));
+            this.setParams(this._sessionParams, { 'lastFulfillmentText': text, 'responseAlreadySet': '1' });
+            return;
+        }
+        this.setParam(this._sessionParams, 'lastFulfillmentText', text);
+        this.respondWithText(text);
+    }
+
     /**
      * Respond to the conversation turn with a follow-up event.
      * 
@@ -390,25 +833,25 @@ class DialogContext {
     }
 
     /**
-     * Sets a global session parameter.
+     * Sets a current context parameters.
      * 
      * @example
-     * dialogContext.setSessionParam('paramName': paramValue);
+     * dialogContext.setCurrentParam('paramName': paramValue);
      * 
      * @param {string} paramName    The parameter name.
      * @param {string} paramValue   The parameter value.
      * @returns 
      */
-    setSessionParam(paramName, paramValue) {
-        this.setParam (this._sessionParams, paramName, paramValue);
+    setCurrentParam(paramName, paramValue) {
+        this.setParam (this._currentContext, paramName, paramValue);
         return;
     }
 
     /**
-     * Sets a set of global session parameters.
+     * Sets a set of current context parameters.
      * 
      * @example
-     * dialogContext.setSessionParams({
+     * dialogContext.setCurrentParams({
      *  'paramName1': paramValue1,
      *  'paramName2': paramValue2,
      *  'paramName3': paramValue3
@@ -417,46 +860,129 @@ class DialogContext {
      * @param {Object} params   The set of parameters.
      * @returns 
      */
-    setSessionParams(params) {
-        this.setParams (this._sessionParams, params);
+    setCurrentParams(params) {
+        this.setParams (this._currentContext, params);
         return;
     }
 
     /**
-     * Sets a current context parameters.
+     * Gets a typed session parameter value, converted from context storage according to the session
+     * parameter schema.  Undeclared parameters are returned as stored.
      * 
      * @example
-     * dialogContext.setCurrentParam('paramName': paramValue);
+     * if (dialogContext.getSessionParam('customerIdentified')) {
+     *     const attempts = dialogContext.getSessionParam('pinAttempts') + 1;
+     * }
      * 
-     * @param {string} paramName    The parameter name.
-     * @param {string} paramValue   The parameter value.
-     * @returns 
+     * @param {string} name The parameter name.
+     * @returns the typed parameter value.
      */
-    setCurrentParam(paramName, paramValue) {
-        this.setParam (this._currentContext, paramName, paramValue);
-        return;
+    getSessionParam(name) {
+        const paramSchema = this._dialogflowClient.paramSchema;
+        const value = this._sessionParams.parameters[name];
+        return (paramSchema.has(name)) ? paramSchema.fromStorage(name, value) : value;
     }
 
     /**
-     * Sets a set of current context parameters.
+     * Sets a typed session parameter value.
      * 
      * @example
-     * dialogContext.setCurrentParams({
-     *  'paramName1': paramValue1,
-     *  'paramName2': paramValue2,
-     *  'paramName3': paramValue3
+     * dialogContext.setSessionParam('customerIdentified', true);     // Stored as '1'.
+     * 
+     * @param {string} name     The parameter name.
+     * @param {*} value         The typed parameter value.
+     */
+    setSessionParam(name, value) {
+        this.setSessionParams({ [name]: value });
+    }
+
+    /**
+     * Sets a set of typed session parameter values, converted to context storage according to the session
+     * parameter schema.  Undeclared or wrongly typed values throw in strict mode, otherwise they are
+     * logged as warnings and stored as is.  Untyped baseParams and connector parameters are stored as is.
+     * 
+     * @example
+     * dialogContext.setSessionParams({
+     *     'customerIdentified': true,
+     *     'pinAttempts': 0,
+     *     'callbackDate': new Date('2022-06-01')
      * });
      * 
-     * @param {Object} params   The set of parameters.
-     * @returns 
+     * @param {Object} params The set of typed parameter values.
      */
-    setCurrentParams(params) {
-        this.setParams (this._currentContext, params);
-        return;
+    setSessionParams(params) {
+        const paramSchema = this._dialogflowClient.paramSchema;
+        let stored = {};
+        for (var param in params) {
+            if (!Object.prototype.hasOwnProperty.call(params, param)) {
+                continue;
+            }
+            if (this._isUntypedSessionParam(param)) {
+                stored[param] = params[param];
+                continue;
+            }
+            try {
+                stored[param] = paramSchema.toStorage(param, params[param]);
+            } catch (err) {
+                this._onInvalidSessionParam('setSessionParams', err);
+                stored[param] = params[param];
+            }
+        }
+        this._writeParams(this._sessionParams, stored);
+    }
+
+    /**
+     * Check if a session parameter is owned by baseParams or a connector without a declared type.
+     * 
+     * @private
+     * @param {string} name The parameter name.
+     * @returns true if the parameter is known but untyped, otherwise false.
+     */
+    _isUntypedSessionParam(name) {
+        return !this._dialogflowClient.paramSchema.has(name) && this._connectorManager.getDefaultPropertyManager().getParamOwner(name) !== undefined;
+    }
+
+    /**
+     * Check stored session parameter values against the session parameter schema.  Parameters owned by
+     * baseParams or a connector are known without a declared type, so only other undeclared parameters
+     * are rejected.
+     * 
+     * @private
+     * @param {string} method   The name of the calling method, for logging.
+     * @param {Object} params   The set of stored parameter values.
+     */
+    _validateSessionParams(method, params) {
+        const paramSchema = this._dialogflowClient.paramSchema;
+        for (var param in params) {
+            if (!Object.prototype.hasOwnProperty.call(params, param) || this._isUntypedSessionParam(param)) {
+                continue;
+            }
+            try {
+                paramSchema.validateStored(param, params[param]);
+            } catch (err) {
+                this._onInvalidSessionParam(method, err);
+            }
+        }
+    }
+
+    /**
+     * Throw a session parameter validation error in strict mode, otherwise log it as a warning.
+     * 
+     * @private
+     * @param {string} method   The name of the calling method, for logging.
+     * @param {Error} err       The validation error.
+     */
+    _onInvalidSessionParam(method, err) {
+        if (this._dialogflowClient.paramSchema.strict === true) {
+            throw err;
+        }
+        this.logger.warn(method, err.message, this);
     }
 
     /**
-     * Sets a parameter on a provided context.
+     * Sets a parameter on a provided context.  Session parameters are checked against the session
+     * parameter schema, so undeclared or wrongly typed values throw in strict mode, otherwise they are
+     * logged as warnings and stored as is.
      * 
      * @example
      * let context = dialogContext.getOrCreateCtx('someContextName');
@@ -468,13 +994,13 @@ class DialogContext {
      * @returns 
      */
     setParam (context, paramName, paramValue) {
-        context.parameters[paramName] = paramValue;
-        this.updateDialogflowEsContext(context);
+        this.setParams(context, { [paramName]: paramValue });
         return;
     }
 
     /**
-     * Sets a set of parameter on a provided contexts.
+     * Sets a set of parameter on a provided contexts.  Session parameters are checked against the session
+     * parameter schema, like setParam.
      * 
      * @example
      * let context = dialogContext.getOrCreateCtx('someContextName');
@@ -489,13 +1015,27 @@ class DialogContext {
      * @returns 
      */
     setParams (context, params) {
+        if (context === this._sessionParams) {
+            this._validateSessionParams('setParams', params);
+        }
+        this._writeParams(context, params);
+        return;
+    }
+
+    /**
+     * Write a set of parameters to a provided context, without validation.
+     * 
+     * @private
+     * @param {Object} context      The provided context.
+     * @param {Object} params       The set of parameters.
+     */
+    _writeParams(context, params) {
         for (var param in params) {
             if (Object.prototype.hasOwnProperty.call(params, param)) {
                 context.parameters[param] = params[param];
             }
         }
         this.updateDialogflowEsContext(context);
-        return;
     }
 
     /**
@@ -516,13 +1056,71 @@ class DialogContext {
     }
 
     /**
-     * Check if the current dialog session requires authentication.
+     * Invoke a registered connector.  When the invocation fails, or the connector's circuit breaker is open,
+     * the conversation is sent to the connector's fallback sequence, if it has one.
+     * 
+     * @example
+     * const balance = await dialogContext.invokeConnector('banking', 'getBalance', [dialogContext.params.accountId]);
+     * if (balance === undefined) {
+     *     return; // The fallback sequence has responded.
+     * }
+     * 
+     * @param {string} name     The connector name.
+     * @param {string} method   The endpoint method name.
+     * @param {Array} args      The method arguments.
+     * @returns the method result, or undefined if the fallback sequence has responded.
+     */
+    async invokeConnector(name, method, args) {
+        const connector = this._connectorManager.get(name);
+        if (connector === undefined) {
+            throw new Error('Connector '+name+' is not registered.');
+        }
+
+        try {
+            return await connector.invokeWithContext(this, method, args);
+        } catch (err) {
+            if (connector.fallbackSequence == undefined) {
+                throw err;
+            }
+            const sequenceFallback = this._contextManager.sequenceManager.get(connector.fallbackSequence);
+            if (sequenceFallback === undefined) {
+                throw new Error('Fallback sequence '+connector.fallbackSequence+' for connector '+name+' is not registered.');
+            }
+            this.logger.warn('invokeConnector', 'Calling '+name+'.'+method+'() failed, pushing '+connector.fallbackSequence+': '+err.message, this);
+            this.pushSequence(connector.fallbackSequence);
+            sequenceFallback.navigate(this);
+            return undefined;
+        }
+    }
+
+    /**
+     * Remove a connector's cached results for the current session, for example after a handler changes
+     * the backend data.
+     * 
+     * @example
+     * await dialogContext.invokeConnector('banking', 'makePayment', [paymentDetails]);
+     * dialogContext.invalidateConnectorCache('banking', 'getBalance');
+     * 
+     * @param {string} name     The connector name.
+     * @param {string} method   The optional endpoint method name, or undefined for all methods.
+     */
+    invalidateConnectorCache(name, method) {
+        const connector = this._connectorManager.get(name);
+        if (connector === undefined) {
+            throw new Error('Connector '+name+' is not registered.');
+        }
+        connector.invalidateCache(this.sessionId, method);
+    }
+
+    /**
+     * Check if the current dialog session requires authentication, according to the current sequence's authentication policy.
      * 
      * @returns true if the current dialog session requires authentication, otherwise false.
      */
     isAuthRequired() {
-        let context = this._contextManager.getOrCreateCtx(this._dialogflowAgent, CTX_AUTH);
-        return (this._sessionParams.parameters.customerIdentified === '0' || this._sessionParams.parameters.customerValidated === '0' || context.parameters.validationStatus !== '1');
+        let sequenceCurrent = this._contextManager.sequenceManager.get(this._sessionParams.parameters.sequenceCurrent);
+        sequenceCurrent = sequenceCurrent || this._currentSequence;
+        return !this._dialogflowClient.getAuthPolicy(sequenceCurrent).isAuthorized(this, sequenceCurrent);
     }
 
     // FIXME: Separate agent assistance to its own sequence.
@@ -555,63 +1153,140 @@ class DialogContext {
         this._dialogflowAgent.context.delete(name);
     }
 
+    /**
+     * Gets the sequence stack frames, from the bottom to the top.
+     * 
+     * @return The sequence stack frames.
+     */
+    get sequenceStack() { return migrateSequenceStack(this._sessionParams.parameters.sequenceStack); }
+
+    /**
+     * Gets the frame at the top of the sequence stack.
+     * 
+     * @return The top sequence stack frame, or undefined if the stack is empty.
+     */
+    get currentFrame() {
+        const sequenceStack = this.sequenceStack;
+        return sequenceStack[sequenceStack.length-1];
+    }
+
+    /**
+     * Record the step or turn a sequence is on, if it is at the top of the stack.
+     * 
+     * @param {string} name The sequence name.
+     * @param {string} step The step or turn name.
+     */
+    setSequenceStep(name, step) {
+        const sequenceStack = this.sequenceStack;
+        const frame = sequenceStack[sequenceStack.length-1];
+        if (frame === undefined || frame.name !== name) {
+            return;
+        }
+        frame.step = step;
+        this.setParam(this._sessionParams, 'sequenceStack', sequenceStack);
+    }
+
+    /**
+     * Merge return values into the result of the sequence at the top of the stack.  The result is
+     * handed back to the calling sequence when the sequence is popped.
+     * 
+     * @example
+     * dialogContext.setSequenceResult({ 'otpValidated': '1' });
+     * dialogContext.popSequenceAndNavigate('otpvalidation');   // Calls navigate(dialogContext, { 'otpValidated': '1' }) on the caller.
+     * 
+     * @param {Object} result The return values.
+     */
+    setSequenceResult(result) {
+        const sequenceStack = this.sequenceStack;
+        const frame = sequenceStack[sequenceStack.length-1];
+        if (frame === undefined) {
+            return;
+        }
+        frame.result = Object.assign({}, frame.result, result);
+        this.setParam(this._sessionParams, 'sequenceStack', sequenceStack);
+    }
+
     /**
      * Push a sequence onto the stack.
+     * 
+     * When the stack only holds the root sequence, the root is replaced by the reason for contact
+     * sequence, if the client has one registered, so that popping the pushed sequence returns to it.
+     * 
      * @param {string} name The sequence name.
      * @returns 
      */
     pushSequence (name) {
+        const rootSequence = this._dialogflowClient.rootSequence;
+        const rfcSequence = (this._contextManager.sequenceManager.get(this._dialogflowClient.rfcSequence) !== undefined) ? this._dialogflowClient.rfcSequence : undefined;
+        let sequenceStack = this.sequenceStack;
+
         this._sessionParams.parameters.sequenceCurrent = name;
-        if (this._sessionParams.parameters.sequenceStack === CTX_WELCOME || this._sessionParams.parameters.sequenceStack === '') {
-            this._sessionParams.parameters.sequenceStack = (name === CTX_RFC) ? name : CTX_RFC + '|' + name;
-            if (name !== CTX_RFC) {
+        if (sequenceStack.length === 0 || (sequenceStack.length === 1 && sequenceStack[0].name === rootSequence)) {
+            sequenceStack = (rfcSequence == undefined || name === rfcSequence) ? [] : [ createSequenceFrame(rfcSequence, this.currentAction) ];
+            sequenceStack.push(createSequenceFrame(name, this.currentAction));
+            this._sessionParams.parameters.sequenceStack = sequenceStack;
+            if (name !== rfcSequence) {
                 this._sessionParams.parameters.triggeredSkill = '1';
             }
             this.updateDialogflowEsContext(this._sessionParams);
             return;
         }
-        this._sessionParams.parameters.sequenceStack = this._sessionParams.parameters.sequenceStack + '|' + name;
+        sequenceStack.push(createSequenceFrame(name, this.currentAction));
+        this._sessionParams.parameters.sequenceStack = sequenceStack;
         this.updateDialogflowEsContext(this._sessionParams);
         return;
     }
 
     /**
      * Pop a sequence off of the stack.
-     * @param {string} name The sequence name.
-     * @returns 
+     * 
+     * When the stack empties, the client's stack empty policy decides which sequence comes next.
+     * 
+     * @param {string} name     The sequence name.
+     * @param {Object} result   The optional return values, merged into the popped sequence's result.
+     * @returns the popped sequence's result.
      */
-    popSequence (name) {
-        // If sequence is corrupt, empty, or in welcome state, fallback to reason for calling sequence.
-        if (this._sessionParams.parameters.sequenceStack.indexOf('|') === -1) {
+    popSequence (name, result) {
+        const sequenceStack = this.sequenceStack;
+        const frame = sequenceStack[sequenceStack.length-1];
+        const sequenceResult = Object.assign({}, (frame !== undefined) ? frame.result : {}, result);
+
+        // If sequence is corrupt, empty, or in welcome state, fallback to the stack empty policy.
+        if (sequenceStack.length <= 1) {
+            const nextSequence = this._dialogflowClient.getSequenceOnStackEmpty(this, name);
             this.setParams (this._sessionParams, {
-                'sequenceCurrent': CTX_RFC,
-                'sequenceStack': (name === CTX_RFC) ? name : CTX_RFC
+                'sequenceCurrent': nextSequence,
+                'sequenceStack': [ createSequenceFrame(nextSequence, this.currentAction) ]
             });
-            return;
+            return sequenceResult;
         }
     
-        let sequenceStack = this._sessionParams.parameters.sequenceStack.split('|');
-    
-        if (sequenceStack[sequenceStack.length-1] !== name) { // Integrity check that we're removing the sequence we think we are.
-            console.error(fmtLog('popSequence', 'Error: Expecting to pop '+name+' off of Stack: '+this._sessionParams.parameters.sequenceStack, this));
+        if (frame.name !== name) { // Integrity check that we're removing the sequence we think we are.
+            this.logger.error('popSequence', 'Expecting to pop '+name+' off of Stack: '+sequenceStack.map((stackFrame) => stackFrame.name).join(', '), this);
         }
     
-        let newSequenceStack = sequenceStack.slice(0, sequenceStack.length-1);
-        let newSequence = newSequenceStack[newSequenceStack.length-1];
-        let newSequenceStackString = newSequenceStack.join('|');
+        const newSequenceStack = sequenceStack.slice(0, sequenceStack.length-1);
             
         this.setParams (this._sessionParams, {
-            'sequenceCurrent': newSequence,
-            'sequenceStack': newSequenceStackString
+            'sequenceCurrent': newSequenceStack[newSequenceStack.length-1].name,
+            'sequenceStack': newSequenceStack
         });
-        return;
+        return sequenceResult;
     }
 
-    popSequenceAndNavigate(name) {
-        this.popSequence (name);
+    /**
+     * Pop a sequence off of the stack and navigate the sequence it returns to, handing it the popped
+     * sequence's result.
+     * 
+     * @param {string} name     The sequence name.
+     * @param {Object} result   The optional return values, merged into the popped sequence's result.
+     * @returns 
+     */
+    popSequenceAndNavigate(name, result) {
+        const sequenceResult = this.popSequence (name, result);
         let sequenceUpdated = this._contextManager.sequenceManager.get(this._sessionParams.parameters.sequenceCurrent);
-        console.log(fmtLog('popSequenceAndNavigate', 'Calling '+sequenceUpdated.name+'.navigate()', this));
-        sequenceUpdated.navigate(this);
+        this.logger.debug('popSequenceAndNavigate', 'Calling '+sequenceUpdated.name+'.navigate()', this);
+        sequenceUpdated.navigate(this, sequenceResult);
         return;
     }
 }
@@ -648,7 +1323,8 @@ class ContextManager {
     set sequenceManager(value) { this._sequenceManager = value; }
 
     /**
-     * Retrieve or create a context.
+     * Retrieve or create a context.  New contexts named after a sequence start with the sequence's
+     * params, and other contexts, such as a connector's, start empty.
      * 
      * @param {WebhookClient}   agent The dialogflow-flufillment-nodejs API endpoint.
      * @param {string}          name The context name. 
@@ -658,7 +1334,7 @@ class ContextManager {
         let context = agent.context.get(name);
         if (!context) {
             let sequence = this._sequenceManager.get(name);
-            context = this.createCtx(sequence.name, sequence.params);
+            context = this.createCtx(name, (sequence != undefined) ? sequence.params : {});
             agent.context.set(context);
         }
         return context;
@@ -680,7 +1356,7 @@ class ContextManager {
 
         for (var param in params) {
             if (Object.prototype.hasOwnProperty.call(params, param)) {
-                context.parameters[param] = params[param];
+                context.parameters[param] = deepCopy(params[param]);
             }
         }
 
@@ -688,41 +1364,14 @@ class ContextManager {
     }
 
     /**
-     * Handle checking and enforcing authentication on the session.
+     * Handle checking and enforcing authentication on the session, according to the current sequence's authentication policy.
      * 
      * @param {DialogContext} dialogContext The dialog context.
      * @returns 
      */
     handleRequireAuthentication(dialogContext) {
-        let context = dialogContext.getOrCreateCtx(CTX_AUTH);
         let sequenceCurrent = this._sequenceManager.get(dialogContext.params.sequenceCurrent);
-    
-        if (context.parameters.validationStatus === '1') { // Should never occur, so correct application state to pass authentication check.
-            dialogContext.setParam(dialogContext.sessionParams, 'customerValidated', '1');
-            let sequenceCurrent = this._sequenceManager.get(dialogContext.params.sequenceCurrent);
-            sequenceCurrent.navigate(dialogContext);
-        }
-        
-        if (context.parameters.validationStatus === '2') {
-            if (dialogContext.params.offeredAgent === '0') {
-                dialogContext.setParam(dialogContext.sessionParams, 'lastFulfillmentText', 'I\'m sorry, but '+sequenceCurrent.activity+' isn\'t something I can do without validating your identity.'); // Use counters to match advisories with authentication attempt count.
-                let event = dialogContext.setFollowupEvent(dialogContext.dialogflowAgent, dialogContext.sessionParams, 'OfferSpeakToAgent', dialogContext.params.lastFulfillmentText);
-                return;
-            }
-            if (dialogContext.params.offeredAgentAccepted === '1') {
-                let event = dialogContext.setFollowupEvent(dialogContext.dialogflowAgent, dialogContext.sessionParams, 'EscalateToAgent', dialogContext.params.lastFulfillmentText);
-                return;
-            }
-            if (dialogContext.params.offeredAgentDeclined === '1') {
-                dialogContext.resetOfferedAgentFlags();
-                dialogContext.popSequenceAndNavigate(CTX_PWRESET);
-                return;
-            }
-        }
-    
-        dialogContext.pushSequence(CTX_AUTH);
-        let sequenceAuth = this._sequenceManager.get(CTX_AUTH);
-        sequenceAuth.navigate(dialogContext);
+        dialogContext.dialogflowClient.getAuthPolicy(sequenceCurrent).handleRequireAuthentication(dialogContext, sequenceCurrent);
         return;
     }
     
@@ -13,9 +13,91 @@
  * see <https://www.gnu.org/licenses/>.
  */
 
+const { Sequence, SequenceManager } = require('./sequences');
+const { IntentManager } = require('./intents');
+const { DialogContext, ContextManager } = require('./contexts');
+const { ConnectorManager, DefaultParameterManager } = require('./connectors');
+const { AuthPolicyManager } = require('./auth');
+const { MiddlewareManager } = require('./middleware');
+const { Logger, RedactingLogger } = require('./logging');
+const { Redactor } = require('./redaction');
+const { ParamSchema } = require('./schema');
+const { ContextBudget } = require('./budget');
+const { RESPONSE_CHANNELS } = require('./responses');
+const { TemplateManager } = require('./templates');
+const { createSequenceFrame, migrateSequenceStack } = require('./stacks');
+const { deepCopy } = require('./common');
+
+// Define Global Context Constants.
+const SESSION_PROPS = 'sessionprops';
+
+// Define Default Sequence Name Constants.
+const DEF_ROOT_SEQUENCE = 'welcome';
+const DEF_RFC_SEQUENCE = 'reasonforcontact';
+
+// Define Core Session Parameter Schema Constants.
+const CORE_PARAM_SCHEMA = {
+    sessionId: { type: 'string', description: 'The Dialogflow session ID.' },
+    sessionInitialized: { type: 'boolean', description: 'The session props were populated from the payload and lookup.' },
+    helpCounter: { type: 'number', description: 'The number of times the user asked for help.' },
+    responseAlreadySet: { type: 'boolean', description: 'A response was set on the current turn.' },
+    fallbackCounter: { type: 'number', description: 'The number of consecutive fallback turns.' },
+    noInputCounter: { type: 'number', description: 'The number of consecutive no-input turns.' },
+    sequenceCurrent: { type: 'string', description: 'The name of the current sequence.' },
+    sequenceStack: { type: 'object', default: [], description: 'The frames of the active sequences.' },
+    lastEvent: { type: 'string', description: 'The last event triggered.' },
+    lastAction: { type: 'string', description: 'The last intent action handled.' },
+    lastFulfillmentText: { type: 'string', description: 'The last response text.' },
+    fulfillmentBuffer: { type: 'object', default: [], description: 'The messages queued for the next response.' },
+    triggeredSkill: { type: 'boolean', description: 'The user started a sequence from the root sequence.' },
+    turnCount: { type: 'number', description: 'The number of webhook turns in the session.' },
+    turnCurrent: { type: 'string', description: 'The name of the current turn.' },
+    turnPromptCount: { type: 'number', description: 'The number of times the current turn prompted.' },
+    turnFallbackCount: { type: 'number', description: 'The number of fallbacks on the current turn.' },
+    sayGoodbye: { type: 'boolean', description: 'The bot should end the conversation.' },
+    saidGoodbye: { type: 'boolean', description: 'The bot ended the conversation.' },
+    sessionLocale: { type: 'string', description: 'The locale chosen for the session, overriding the request languageCode.' },
+    customerValidated: { type: 'boolean', description: 'The customer passed the authentication policy validation.' },
+    offeredAgent: { type: 'boolean', description: 'The bot offered to transfer the user to an agent.' },
+    offeredAgentAccepted: { type: 'boolean', description: 'The user accepted the offer of an agent.' },
+    offeredAgentDeclined: { type: 'boolean', description: 'The user declined the offer of an agent.' }
+};
+
+// Define Core Session Parameters that baseParams May Initialize Constants.
+const BASE_INITIALIZED_CORE_PARAMS = ['customerValidated', 'offeredAgent', 'offeredAgentAccepted', 'offeredAgentDeclined'];
+
+/**
+ * Initialize the sequence manager.
+ * 
+ * @param {SequenceManager} sequenceManager   The sequence manager.
+ * @return {SequenceManager} The initialized sequence manager.
+ */
+function initializeSequenceManager (sequenceManager) {
+    const newSequenceManager = (sequenceManager != undefined) ? sequenceManager : new SequenceManager();
+    newSequenceManager.registerSequence(new Sequence({
+        name: 'unassociated', // Sequence name, also used for Dialogflow context name.
+        activity: 'what we were doing', // Activity description, used in course correction.
+        identityRequired: false,
+        authRequired: false,
+        params: {
+            none: '0'
+        },
+        navigate: (dialogContext) => { // Navigate the sequence forward.
+            dialogContext.setFulfillmentText();
+            dialogContext.logger.debug('unassociated', () => 'lastFulfillmentText: '+dialogContext.params.lastFulfillmentText, dialogContext);
+            dialogContext.respondWithText();
+            return;
+        }
+    }));
+    return newSequenceManager;
+}
+
 /**
  * This class handles all of the state objects representing the conversation.
  * All navifation across sequences and steps happens within.
+ * 
+ * Platform clients extend this class and adapt their webhook requests to the agent
+ * interface used by the dialogflow-fulfillment-nodejs WebhookClient.
  */
 class ConvoClient {
  
@@ -23,10 +105,16 @@ class ConvoClient {
      * Constructor for ConvoClient objects.
      * 
      * @example
-     * const { ConvoClient } = require(codingforconvos);
-     * const agent = new ConvoClient('Dialogflow ES');
+     * class SomePlatformClient extends ConvoClient {
+     *     constructor(params) {
+     *         super('Some Platform', params);
+     *     }
+     * }
+     * 
+     * @param {string} clientType   The convo client type.
+     * @param {Object} params       The constructor parameters.
      */
-    constructor(clientType) {
+    constructor(clientType, params) {
         /**
          * The convo client type.
          * 
@@ -34,7 +122,802 @@ class ConvoClient {
          * @type {string}
          */
         this._clientType = clientType;
+
+        // Validate the input parameters.
+        if (params == undefined) { throw new Error('parameters object for creating ConvoClient objects is missing.'); }
+        if (params.baseParams == undefined) { throw new Error('baseParams is a required parameter for creating ConvoClient objects.'); }
+        if (params.responseChannel != undefined && !RESPONSE_CHANNELS.includes(params.responseChannel)) { throw new Error('responseChannel must be one of '+RESPONSE_CHANNELS.join(', ')+' for creating ConvoClient objects.'); }
+        
+        /**
+         * The sequence manager.
+         * 
+         * @private
+         * @type {SequenceManager}
+         */
+        this._sequenceManager = initializeSequenceManager(params.sequenceManager);
+
+        /**
+         * The intent manager.
+         * 
+         * @private
+         * @type {IntentManager}
+         */
+        this._intentManager = (params.intentManager != undefined) ? params.intentManager : new IntentManager();
+
+        /**
+         * The context manager.
+         * 
+         * @private
+         * @type {ContextManager}
+         */
+        this._contextManager = (params.contextManager != undefined) ? params.contextManager : new ContextManager(this._sequenceManager);
+
+        /**
+         * The redactor masking sensitive parameters and personal data in logs and recorded fixtures.
+         * 
+         * @private
+         * @type {Redactor}
+         */
+        this._redactor = (params.redactor != undefined) ? params.redactor : new Redactor();
+        this._redactor.registerSensitiveParams(params.sensitiveParams);
+
+        /**
+         * The connector manager.
+         * 
+         * @private
+         * @type {ConnectorManager}
+         */
+        this._connectorManager = (params.connectorManager != undefined) ? params.connectorManager : new ConnectorManager({
+            defaultParameterManager: new DefaultParameterManager(),
+            fixtureMode: params.fixtureMode,
+            fixturesDir: params.fixturesDir,
+            redactor: this._redactor
+        });
+
+        /**
+         * The authentication policy manager.
+         * 
+         * @private
+         * @type {AuthPolicyManager}
+         */
+        this._authPolicyManager = (params.authPolicyManager != undefined) ? params.authPolicyManager : new AuthPolicyManager();
+
+        /**
+         * The middleware manager.
+         * 
+         * @private
+         * @type {MiddlewareManager}
+         */
+        this._middlewareManager = (params.middlewareManager != undefined) ? params.middlewareManager : new MiddlewareManager();
+
+        /**
+         * The response template manager.
+         * 
+         * @private
+         * @type {TemplateManager}
+         */
+        this._templateManager = (params.templateManager != undefined) ? params.templateManager : new TemplateManager({
+            templates: params.templates,
+            catalogs: params.catalogs,
+            defaultLocale: params.defaultLocale,
+            strict: (params.strictTemplates === true)
+        });
+
+        /**
+         * The logger, masking sensitive values before records reach the configured logger.
+         * 
+         * @private
+         * @type {RedactingLogger}
+         */
+        this._logger = new RedactingLogger({
+            logger: (params.logger != undefined) ? params.logger : new Logger(),
+            redactor: this._redactor
+        });
+
+        /**
+         * The declared types of the session parameters.
+         * 
+         * @private
+         * @type {ParamSchema}
+         */
+        this._paramSchema = new ParamSchema({
+            params: CORE_PARAM_SCHEMA,
+            strict: (params.strictParams === true)
+        });
+        this._paramSchema.registerParams(params.paramSchema);
+
+        /**
+         * The store holding server-side session state, or undefined to keep all state in contexts.
+         * 
+         * @private
+         * @type {SessionStore}
+         */
+        this._sessionStore = params.sessionStore;
+
+        /**
+         * The context size budget and compaction rules.
+         * 
+         * @private
+         * @type {ContextBudget}
+         */
+        this._contextBudget = (params.contextBudget != undefined) ? params.contextBudget : new ContextBudget();
+
+        /**
+         * The default channel rich responses are rendered for.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._responseChannel = (params.responseChannel != undefined) ? params.responseChannel : 'dialogflow';
+
+        /**
+         * The voice mode flag, true if every turn is spoken, or a function of the dialog context returning
+         * whether the turn is spoken.  Defaults to voice for requests from the Dialogflow phone gateway.
+         * 
+         * @private
+         * @type {boolean|Function}
+         */
+        this._voiceMode = (params.voiceMode != undefined) ? params.voiceMode : (dialogContext) => dialogContext.dialogflowAgent.requestSource === 'GOOGLE_TELEPHONY';
+
+        /**
+         * The function to populate the session props context using the Dialogflow ES payload.
+         * 
+         * @private
+         * @type {Function}
+         */
+        this._populateFromEsPayload = (params.populateFromEsPayload != undefined) ? params.populateFromEsPayload : (sessioncontext, dialogContext) => { return sessioncontext; };
+
+        /**
+         * The function to populate the session props context using the lookup function.
+         * 
+         * @private
+         * @type {Function}
+         */
+        this._populateFromLookup = (params.populateFromLookup != undefined) ? params.populateFromLookup : async (sessioncontext, dialogContext) => { return sessioncontext; };
+
+        /**
+         * The function to initialize the sesion props base parameters.
+         * 
+         * @private
+         * @type {Object}
+         */
+        this._baseParams = (params.baseParams != undefined) ? params.baseParams : {};
+
+        // Reserve the core and base session parameter names, so that connectors can't overwrite them.
+        const defaultParameterManager = this._connectorManager.getDefaultPropertyManager();
+        const coreParamNames = Object.keys(CORE_PARAM_SCHEMA);
+        defaultParameterManager.reserveParams('the core session props', coreParamNames);
+        Object.keys(this._baseParams).filter((name) => coreParamNames.includes(name) && !BASE_INITIALIZED_CORE_PARAMS.includes(name)).forEach((name) => {
+            this._logger.warn('ConvoClient', 'baseParams '+name+' overrides the core session prop of the same name.');
+        });
+        defaultParameterManager.reserveParams('baseParams', Object.keys(this._baseParams).filter((name) => !coreParamNames.includes(name)));
+
+        /**
+         * The name of the root sequence every session starts in.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._rootSequence = (params.rootSequence != undefined) ? params.rootSequence : DEF_ROOT_SEQUENCE;
+
+        /**
+         * The name of the reason for contact sequence, or null if the bot has none.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._rfcSequence = (params.rfcSequence !== undefined) ? params.rfcSequence : DEF_RFC_SEQUENCE;
+
+        /**
+         * The function returning the name of the sequence to continue with when the sequence stack empties.
+         * 
+         * @private
+         * @type {Function}
+         */
+        this._onStackEmpty = (params.onStackEmpty != undefined) ? params.onStackEmpty : (dialogContext, name) => {
+            return (this._rfcSequence != undefined && this._sequenceManager.get(this._rfcSequence) !== undefined) ? this._rfcSequence : this._rootSequence;
+        };
+
+        /**
+         * The intent actions counted as fallbacks on the current turn.
+         * 
+         * @private
+         * @type {Array}
+         */
+        this._fallbackActions = (params.fallbackActions != undefined) ? params.fallbackActions : ['input.unknown'];
+        
+        this.executeHandler = this.executeHandler.bind(this);
+        this.intentHandler = this.intentHandler.bind(this);
+        this.routeIntent = this.routeIntent.bind(this);
+        this.handleIntentAndNavigate = this.handleIntentAndNavigate.bind(this);
+        this._populateFromEsPayload = this._populateFromEsPayload.bind(this);
+        this._populateFromLookup = this._populateFromLookup.bind(this);
+        this.getOrCreateEsSessionProps = this.getOrCreateEsSessionProps.bind(this);
+        this.createEsSessionProps = this.createEsSessionProps.bind(this);
+        this.getDefaultSessionParams = this.getDefaultSessionParams.bind(this);
+        this.trackTurn = this.trackTurn.bind(this);
+        
+        this.registerConnector = this.registerConnector.bind(this);
+        this.registerSequence = this.registerSequence.bind(this);
+        this.registerIntent = this.registerIntent.bind(this);
+        this.registerAuthPolicy = this.registerAuthPolicy.bind(this);
+        this.registerMiddleware = this.registerMiddleware.bind(this);
+        this.registerSensitiveParams = this.registerSensitiveParams.bind(this);
+        this.registerParamSchema = this.registerParamSchema.bind(this);
+        this.registerTemplates = this.registerTemplates.bind(this);
+        this.registerCatalog = this.registerCatalog.bind(this);
+        this.registerFormatter = this.registerFormatter.bind(this);
+        this.getAuthPolicy = this.getAuthPolicy.bind(this);
+        this.getSequenceOnStackEmpty = this.getSequenceOnStackEmpty.bind(this);
+    }
+
+    /**
+     * Gets the client type.
+     * 
+     * @return The client type.
+     */
+    get clientType() { return this._clientType; }
+
+    /**
+     * Gets the logger.
+     * 
+     * @return The logger.
+     */
+    get logger() { return this._logger; }
+
+    /**
+     * Gets the redactor.
+     * 
+     * @return The redactor.
+     */
+    get redactor() { return this._redactor; }
+
+    /**
+     * Gets the response template manager.
+     * 
+     * @return The response template manager.
+     */
+    get templateManager() { return this._templateManager; }
+
+    /**
+     * Gets the session parameter schema.
+     * 
+     * @return The session parameter schema.
+     */
+    get paramSchema() { return this._paramSchema; }
+
+    /**
+     * Gets the session store.
+     * 
+     * @return The session store.
+     */
+    get sessionStore() { return this._sessionStore; }
+
+    /**
+     * Gets the context budget.
+     * 
+     * @return The context budget.
+     */
+    get contextBudget() { return this._contextBudget; }
+
+    /**
+     * Gets the default response channel.
+     * 
+     * @return The default response channel.
+     */
+    get responseChannel() { return this._responseChannel; }
+
+    /**
+     * Gets the voice mode flag or function.
+     * 
+     * @return The voice mode flag or function.
+     */
+    get voiceMode() { return this._voiceMode; }
+
+    /**
+     * Gets the root sequence name.
+     * 
+     * @return The root sequence name.
+     */
+    get rootSequence() { return this._rootSequence; }
+
+    /**
+     * Gets the reason for contact sequence name.
+     * 
+     * @return The reason for contact sequence name, or null if the bot has none.
+     */
+    get rfcSequence() { return this._rfcSequence; }
+
+    /**
+     * Get the name of the sequence to continue with when the sequence stack empties.
+     * Falls back to the root sequence if the stack empty policy returns an unregistered sequence.
+     * 
+     * @param {DialogContext} dialogContext The dialog context.
+     * @param {string} name                 The name of the sequence popped off of the stack.
+     * @returns the sequence name.
+     */
+    getSequenceOnStackEmpty(dialogContext, name) {
+        const nextSequence = this._onStackEmpty(dialogContext, name);
+        if (this._sequenceManager.get(nextSequence) === undefined) {
+            this._logger.error('getSequenceOnStackEmpty', 'Sequence '+nextSequence+' is not registered, falling back to '+this._rootSequence, dialogContext);
+            return this._rootSequence;
+        }
+        return nextSequence;
+    }
+
+    /**
+     * Registers a connector with the connector manager.
+     * 
+     * @param {Connector} sequence The connector object.
+     */
+    registerConnector(connector) {
+        this._connectorManager.registerConnector(connector);
+        this._redactor.registerSensitiveParams(connector.sensitiveParams);
+        this._paramSchema.registerParams(connector.paramSchema);
+    }
+
+    /**
+     * Declares the types of session parameters, so that DialogContext accessors read and write typed values.
+     * 
+     * @example
+     * convoClient.registerParamSchema({
+     *     customerIdentified: { type: 'boolean', default: false, description: 'The caller was matched to a customer.' },
+     *     callbackDate: { type: 'date', default: null, description: 'The date the customer asked to be called back.' }
+     * });
+     * 
+     * @param {Object} definitions The parameter definitions, by parameter name.
+     */
+    registerParamSchema(definitions) {
+        this._paramSchema.registerParams(definitions);
+    }
+
+    /**
+     * Marks session parameters as sensitive, so that their values are masked in logs and transcripts.
+     * 
+     * @example
+     * convoClient.registerSensitiveParams(['phoneNumber', 'accountId']);
+     * 
+     * @param {Array} names The parameter names.
+     */
+    registerSensitiveParams(names) {
+        this._redactor.registerSensitiveParams(names);
+    }
+
+    /**
+     * Registers a sequence with the sequence manager.
+     * 
+     * @param {Sequence} sequence The sequence object.
+     */
+    registerSequence(sequence) {
+        this._sequenceManager.registerSequence(sequence)
+    }
+
+    /**
+     * Registers an intent with the intent manager.
+     * 
+     * @param {Intent} intent The intent object.
+     */
+    registerIntent(intent) {
+        this._intentManager.registerIntent(intent);
+    }
+
+    /**
+     * Registers an array of intent actions with shared handling with the intent manager.
+     * 
+     * @param {Object} params The list of actions and associated sequenceName and handler.
+     */
+    registerIntents(params) {
+        this._intentManager.registerIntents(params);
+    }
+
+    /**
+     * Registers an authentication policy with the authentication policy manager.
+     * 
+     * @param {AuthPolicy} policy The authentication policy object.
+     */
+    registerAuthPolicy(policy) {
+        this._authPolicyManager.registerAuthPolicy(policy);
+    }
+
+    /**
+     * Registers a middleware with the middleware manager.  Middleware run in registration order
+     * around intent routing, with the first registered middleware outermost.
+     * 
+     * @example
+     * convoClient.registerMiddleware(new Middleware({
+     *     name: 'audit',
+     *     handler: async (dialogContext, next) => {
+     *         const action = dialogContext.currentAction;
+     *         await next();
+     *         dialogContext.logger.info('audit', action+' -> '+dialogContext.responseTexts.join(' '), dialogContext);
+     *     }
+     * }));
+     * 
+     * @param {Middleware} middleware The middleware object.
+     */
+    registerMiddleware(middleware) {
+        this._middlewareManager.registerMiddleware(middleware);
+    }
+
+    /**
+     * Registers a set of response templates with the template manager.
+     * 
+     * @example
+     * convoClient.registerTemplates({
+     *     balance: 'Your {accountType} balance is {accountBalance|currency}.',
+     *     paymentDue: 'Your payment of {amountDue|currency} is due {dueDate|date}.'
+     * });
+     * 
+     * @param {Object} templates The template texts, by name.
+     */
+    registerTemplates(templates) {
+        this._templateManager.registerTemplates(templates);
+    }
+
+    /**
+     * Registers the message catalog of a locale with the template manager.  Messages are resolved
+     * along the locale's fallback chain, for example fr-CA, then fr, then the default locale.
+     * 
+     * @example
+     * convoClient.registerCatalog('fr', {
+     *     balance: 'Votre solde {accountType} est de {accountBalance|currency}.',
+     *     'sequence.billing.activity': 'le paiement de votre facture'
+     * });
+     * 
+     * @param {string} locale       The locale, for example 'fr' or 'fr-CA'.
+     * @param {Object} templates    The template texts, by name.
+     */
+    registerCatalog(locale, templates) {
+        this._templateManager.registerCatalog(locale, templates);
+    }
+
+    /**
+     * Registers a response template formatter with the template manager.
+     * 
+     * @param {string} name         The formatter name.
+     * @param {Function} formatter  The function taking the value, the optional argument and the locale, and returning the text.
+     */
+    registerFormatter(name, formatter) {
+        this._templateManager.registerFormatter(name, formatter);
+    }
+
+    /**
+     * Retrieve the authentication policy for a sequence.
+     * 
+     * @param {Sequence} sequence The sequence.
+     * @returns the authentication policy.
+     */
+    getAuthPolicy(sequence) {
+        return this._authPolicyManager.getForSequence(sequence);
+    }
+
+    //////////////////////////////////
+    // Define the main entry point. //
+    //////////////////////////////////
+
+    // Wrapper to better handle async/await.
+    // TODO: Check if this is still required after refactoring.
+    async executeHandler(agent, handler) {
+        await agent.handleRequest(handler);
+    }
+
+    /**
+     * Run the intent handlers, fetch the updated (or not) sequence, and navigate to the next turn.
+     * 
+     * @param {DialogContext} dialogContext The dialog context.
+     * @param {string} intentAction         The intent action.
+     * @returns 
+     */
+    async handleIntentAndNavigate(dialogContext, intentAction) {
+        this._logger.debug('handleIntentAndNavigate', intentAction+' found in intentManager', dialogContext);
+
+        // Call await on handler, not on get.
+        let intent = this._intentManager.get(intentAction);
+        let funcHandler = intent.handler;
+        await funcHandler (dialogContext);
+
+        // Update the sequence and break if terminating statement or question.
+        let sequenceUpdated = this._sequenceManager.get(dialogContext.sessionParams.parameters.sequenceCurrent); // Get sequence after intent handler has run in case it updated.
+
+        // Handle response already set.
+        if (dialogContext.sessionParams.parameters.responseAlreadySet === '1') {
+            if (intent.waitForReply === true) {
+                dialogContext.setParam(dialogContext.sessionParams, 'lastAction', intentAction); // Update lastAction for break intents.
+            }
+            return;
+        }
+
+        // Handle response wait for reply set.
+        if (intent.waitForReply === true) {
+            this._logger.debug('handleIntentAndNavigate', 'breakIntents - Calling respondWithText()', dialogContext);
+            dialogContext.setParam(dialogContext.sessionParams, 'lastAction', intentAction); // Update lastAction for break intents.
+            dialogContext.respondWithText(dialogContext.sessionParams.parameters.lastFulfillmentText);
+            return;
+        }
+        
+        // Handle authentication.
+        const authPolicy = this.getAuthPolicy(sequenceUpdated);
+        if (sequenceUpdated.authRequired === true && !authPolicy.isAuthorized(dialogContext, sequenceUpdated)) {
+            this._logger.info('handleIntentAndNavigate', 'Calling '+authPolicy.name+' handleRequireAuthentication()', dialogContext);
+            authPolicy.handleRequireAuthentication(dialogContext, sequenceUpdated);
+            return;
+        }
+
+        this._logger.debug('handleIntentAndNavigate', 'Calling '+sequenceUpdated.name+'.navigate()', dialogContext);
+
+        // Navigate the sequence forward.
+        sequenceUpdated.navigate(dialogContext);
+        return;
+    }
+    
+    /**
+     * Track prompts and fallbacks for the turns of the sequence associated with the intent action.
+     * 
+     * @param {DialogContext} dialogContext The dialog context.
+     * @param {string} intentAction         The intent action.
+     */
+    trackTurn(dialogContext, intentAction) {
+        if (this._fallbackActions.includes(intentAction)) {
+            dialogContext.incrementFallbackCounters();
+            return;
+        }
+
+        const sequence = (this._intentManager.hasContext(intentAction)) ? this._sequenceManager.get(this._intentManager.getContext(intentAction)) : undefined;
+        const sequenceTurns = (sequence != undefined) ? sequence : dialogContext.currentSequence;
+        const turn = sequenceTurns.getTurnByPromptAction(intentAction);
+        if (turn !== undefined) {
+            dialogContext.trackTurnPrompt(turn);
+        }
+    }
+
+    /**
+     * Fetch or Create the Dialogflow ES session props.
+     * 
+     * @param {Object} sessionId    The Dialogflow API endpoint.
+     * @param {string} sessionId    The Dialogflow session ID.
+     * @returns the Dialogflow ES session props.
+     */
+    getOrCreateEsSessionProps(agent, sessionId) {
+        let ctxSessionProps = agent.context.get(SESSION_PROPS);
+        if (!ctxSessionProps) {
+            // Initialize base Dialogflow ES context.
+            this._logger.info('getOrCreateEsSessionProps', 'Creating session props for session '+sessionId, undefined, { sessionId: sessionId });
+            ctxSessionProps = this.createEsSessionProps(sessionId);
+            this._applyParamSets(ctxSessionProps.parameters);
+
+            // Persist parameters to Dialogflow ES session props context.
+            agent.context.set(ctxSessionProps);
+        }
+        return ctxSessionProps;
+    }
+
+    /**
+     * Copy the registered connector parameter sets into the session parameters.
+     * 
+     * @private
+     * @param {Object} parameters The session parameters.
+     */
+    _applyParamSets(parameters) {
+        let paramSets = this._connectorManager.getDefaultPropertyManager().getSets();
+
+        for (var paramSetKey in paramSets) {
+            const paramSet = paramSets[paramSetKey];
+            for (var param in paramSet) {
+                if (Object.prototype.hasOwnProperty.call(paramSet, param)) {
+                    parameters[param] = deepCopy(paramSet[param]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Get the parameters a new session starts with, including the registered connector parameter sets.
+     * 
+     * @param {string} sessionId    The Dialogflow session ID.
+     * @returns the default session parameters.
+     */
+    getDefaultSessionParams(sessionId) {
+        let parameters = this.createEsSessionProps(sessionId).parameters;
+        this._applyParamSets(parameters);
+        return parameters;
+    }
+
+    /**
+     * Create the Dialogflow ES session props.
+     * 
+     * @param {string} sessionId    The Dialogflow session ID.
+     * @returns the Dialogflow ES session props.
+     */
+    createEsSessionProps(sessionId) {
+        // Copy the defaults, so that sessions never share parameter objects.
+        let parameters = deepCopy(this._baseParams);
+
+        // Apply the declared defaults of parameters missing from baseParams.
+        const defaults = this._paramSchema.getDefaults();
+        for (var param in defaults) {
+            if (parameters[param] === undefined) {
+                parameters[param] = deepCopy(defaults[param]);
+            }
+        }
+
+        parameters.sessionId = sessionId;
+        parameters.sessionInitialized = '0';
+        
+        parameters.helpCounter = '0';
+        parameters.responseAlreadySet = '0';
+        parameters.fallbackCounter = '0';
+        parameters.noInputCounter = '0';
+        parameters.sequenceCurrent = this._rootSequence;
+        parameters.sequenceStack = [ createSequenceFrame(this._rootSequence) ];
+        parameters.lastEvent = '';
+        parameters.lastAction = '';
+        parameters.lastFulfillmentText = '';
+        parameters.fulfillmentBuffer = [];
+        parameters.triggeredSkill = '0';
+        parameters.turnCount = '0';
+        parameters.turnCurrent = '';
+        parameters.turnPromptCount = '0';
+        parameters.turnFallbackCount = '0';
+        parameters.sayGoodbye = '0';
+        parameters.saidGoodbye = '0';
+        parameters.sessionLocale = '';
+
+        let context = {name: SESSION_PROPS, lifespan: 99, parameters: parameters };
+        return context;
+    }
+
+    /**
+     * The main entry point from the dialogflow-fulfillment-nodejs API.
+     * 
+     * @param {WebhookClient} agent The dialogflow-fulfillment-nodejs API endpoint.
+     * @returns 
+     */
+    async intentHandler(agent) {
+        // Create globally accessible sessionId.
+        const sessionId = (agent.request_.body.session.indexOf('/') !== -1) ? agent.request_.body.session.split('/').pop() : '12345';
+        let ctxSessionProps;
+
+        try {
+            // Fetch the session properties.
+            if (typeof this._contextManager == 'undefined') {
+                throw new Error(sessionId+'|intentHandler: Error executing intentHandler: contextManager is undefined');
+            }
+            
+            const sessionPropsCreated = (agent.context.get(SESSION_PROPS) == undefined);
+            ctxSessionProps = await this.getOrCreateEsSessionProps(agent, sessionId);
+
+            // Load the server-side session state, always keyed by the session ID so that requests can't name another session's state.
+            let sessionState = {};
+            if (this._sessionStore != undefined) {
+                sessionState = await this._sessionStore.get(sessionId);
+            }
+
+            // Restore the session props compacted on the previous turn.
+            const defaultSessionParams = (this._contextBudget.rules.length > 0) ? this.getDefaultSessionParams(sessionId) : {};
+            const absentParams = this._contextBudget.restore(ctxSessionProps, defaultSessionParams, sessionState, sessionPropsCreated);
+            
+            // Migrate the sequence stack of sessions started before stack frames.
+            ctxSessionProps.parameters.sequenceStack = migrateSequenceStack(ctxSessionProps.parameters.sequenceStack);
+
+            // Count the webhook turns of the session.
+            ctxSessionProps.parameters.turnCount = ((parseInt(ctxSessionProps.parameters.turnCount, 10) || 0)+1).toString();
+
+            this._logger.debug('intentHandler', () => 'Fetched ctxSessionProps: '+JSON.stringify(this._redactor.redactContext(ctxSessionProps)), undefined, { sessionId: sessionId });
+
+            // Fetch the current sequence.
+            let sequenceCurrent = this._sequenceManager.get(ctxSessionProps.parameters.sequenceCurrent);
+            sequenceCurrent = sequenceCurrent || this._sequenceManager.get('unassociated');
+
+            // Fetch the action-related context.
+            let context = (this._intentManager.hasContext(agent.action)) ? this._contextManager.getOrCreateCtx(agent, this._intentManager.getContext(agent.action)) : {};
+
+            let dialogContext = new DialogContext({
+                sessionId: sessionId,
+                dialogflowClient: this,
+                dialogflowAgent: agent,
+                contextManager: this._contextManager,
+                sessionParams: ctxSessionProps,
+                currentSequence: sequenceCurrent,
+                currentContext: context,
+                connectorManager: this._connectorManager,
+                sessionState: sessionState
+            });
+
+            if (ctxSessionProps.parameters.sessionInitialized === '0') {
+                // Populate from base injected payload handler.
+                ctxSessionProps = await this._populateFromEsPayload(ctxSessionProps, dialogContext);
+                
+                // Populate from dynamically registered payload handlers.
+                let payloadHandlers = this._connectorManager.getDefaultPropertyManager().getPayloadHandlers();
+                for (var payloadHandlerIdx in payloadHandlers) {
+                    const payloadHandler = payloadHandlers[payloadHandlerIdx];
+                    ctxSessionProps = await payloadHandler (ctxSessionProps, dialogContext);
+                }
+
+                this._logger.debug('intentHandler', () => 'ctxSessionProps (after populateFromPayload): '+JSON.stringify(this._redactor.redactContext(ctxSessionProps)), dialogContext);
+                
+                if (ctxSessionProps.parameters.customerIdentified === '0' || ctxSessionProps.parameters.interactionSource === 'phone') {
+                    ctxSessionProps = await this._populateFromLookup(ctxSessionProps, dialogContext);
+                    this._logger.debug('intentHandler', () => 'ctxSessionProps (after populateFromLookup): '+JSON.stringify(this._redactor.redactContext(ctxSessionProps)), dialogContext);
+                }
+
+                ctxSessionProps.parameters.sessionInitialized = '1';
+                agent.context.set(ctxSessionProps);
+            }
+
+            // Route the intent through the middleware pipeline.
+            await this._middlewareManager.run(dialogContext, this.routeIntent);
+            ctxSessionProps.parameters.responseAlreadySet = '0';
+            agent.context.set(ctxSessionProps);
+
+            // Compact the session props, and check the size of the contexts against the budget.
+            if (this._contextBudget.rules.length > 0) {
+                this._contextBudget.compact(dialogContext, defaultSessionParams, this._sessionStore, absentParams);
+            }
+            this._contextBudget.check(dialogContext);
+
+            // Save the server-side session state, extending its expiry.
+            if (this._sessionStore != undefined) {
+                await this._sessionStore.set(sessionId, this._contextBudget.toStoredState(dialogContext.state));
+            }
+            return;
+        } catch (err) {
+            // Mask the values of the sensitive session params, which the stack may quote, along with the patterns.
+            const sessionParams = (ctxSessionProps != undefined) ? ctxSessionProps.parameters : undefined;
+            this._logger.error('intentHandler', () => 'Unhandled error: '+this._redactor.redactText(err.stack, sessionParams), undefined, { sessionId: sessionId });
+        }
+    }
+
+    /**
+     * Route the intent to its stand-alone, composite, or templated intent handler, or navigate the
+     * current sequence when no handler is registered.  Runs as the innermost step of the middleware pipeline.
+     * 
+     * @param {DialogContext} dialogContext The dialog context.
+     * @returns 
+     */
+    async routeIntent(dialogContext) {
+        const agent = dialogContext.dialogflowAgent;
+
+        // Refresh the intent-related context in case middleware rewrote the action.
+        dialogContext.currentContext = (this._intentManager.hasContext(agent.action)) ? this._contextManager.getOrCreateCtx(agent, this._intentManager.getContext(agent.action)) : {};
+
+        // Track turn prompts and fallbacks.
+        this.trackTurn(dialogContext, agent.action);
+
+        // Debug original query.
+        this._logger.debug('routeIntent', () => 'User Said: '+agent.query, dialogContext);
+        this._logger.debug('routeIntent', () => 'We Responded: '+((agent.consoleMessages[0] !== undefined) ? agent.consoleMessages[0].text : '<blank>'), dialogContext);
+
+        // Handle a stand-alone intent.
+        if (this._intentManager.has(agent.action)) {
+            await this.handleIntentAndNavigate(dialogContext, agent.action);
+            return;
+        }
+
+        // Handle a composite intent.
+        let lastAction = dialogContext.sessionParams.parameters.lastAction;
+        let compositeIntentName = lastAction+'.'+agent.action;
+        let baseContext = (this._intentManager.hasContext(lastAction)) ? this._contextManager.getOrCreateCtx(agent, this._intentManager.getContext(lastAction)) : {};
+        dialogContext.currentContext = baseContext;
+        if (this._intentManager.has(compositeIntentName)) {
+            await this.handleIntentAndNavigate(dialogContext, compositeIntentName);
+            return;
+        }
+
+        // Handle a templated intent.
+        let actiontemplateTail = (agent.action.indexOf('.') !== -1) ? agent.action.split('.').pop() : agent.action;
+        if (this._intentManager.has(actiontemplateTail)) {
+            await this.handleIntentAndNavigate(dialogContext, actiontemplateTail);
+            return;
+        }
+
+        // Handle no intent handlers found.
+        this._logger.info('routeIntent', agent.action+' has no associated handlers', dialogContext);
+        dialogContext.setFulfillmentText();
+        this._logger.debug('routeIntent', 'Calling '+dialogContext.currentSequence.name+'.navigate()', dialogContext);
+        dialogContext.currentSequence.navigate(dialogContext);
+        return;
     }
 }
  
-module.exports = {ConvoClient};
\ No newline at end of file
+module.exports = {ConvoClient,SESSION_PROPS};
\ No newline at end of file
@@ -0,0 +1,296 @@
+/**
+ * Copyright 2022 Justin Randall, Cisco Systems Inc. All Rights Reserved.
+ * 
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU
+ * General Public License as published by the Free Software Foundation, either version 3 of the License, or 
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without 
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. 
+ * See the GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License along with this program. If not, 
+ * see <https://www.gnu.org/licenses/>.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Define Fixture Mode Constants.
+const MODE_LIVE = 'live';
+const MODE_RECORD = 'record';
+const MODE_REPLAY = 'replay';
+const FIXTURE_MODES = [MODE_LIVE, MODE_RECORD, MODE_REPLAY];
+const DEF_FIXTURES_DIR = 'fixtures';
+
+/**
+ * Get the default fixture mode: the CFC_CONNECTOR_MODE environment variable, or live.
+ * 
+ * @returns the default fixture mode.
+ */
+function _getDefaultMode() {
+    return (FIXTURE_MODES.includes(process.env.CFC_CONNECTOR_MODE)) ? process.env.CFC_CONNECTOR_MODE : MODE_LIVE;
+}
+
+/**
+ * Serialize a value as JSON with the object keys sorted, so equal arguments always produce the same key.
+ * 
+ * @param {*} value The value.
+ * @returns the JSON string.
+ */
+function _stableStringify(value) {
+    if (Array.isArray(value)) {
+        return '['+value.map((item) => _stableStringify(item)).join(',')+']';
+    }
+    if (value != undefined && typeof value === 'object') {
+        return '{'+Object.keys(value).sort().map((key) => JSON.stringify(key)+':'+_stableStringify(value[key])).join(',')+'}';
+    }
+    return (value === undefined) ? 'null' : JSON.stringify(value);
+}
+
+/**
+ * This class records connector endpoint calls to fixture files and replays them.
+ * 
+ * Each connector has its own JSON fixture file in the fixtures directory, holding the result or
+ * error of each call keyed by the endpoint method and its arguments.  In record mode, calls go to
+ * the endpoint and their outcome is saved.  In replay mode, the endpoint is never called and the
+ * saved outcome is returned, so tests run offline with responses captured from real backends.
+ * 
+ * With a redactor, the arguments, results and errors are masked before they're saved, and replayed
+ * calls are looked up by their masked arguments, so calls differing only in masked values share a
+ * fixture.  Without one, fixture files hold the raw arguments and results, which may include personal data.
+ */
+class FixtureStore {
+
+    /**
+     * Constructor for FixtureStore objects.
+     * 
+     * @example
+     * const { FixtureStore } = require(codingforconvos);
+     * const fixtureStore = new FixtureStore({
+     *     mode: 'replay',                             // live, record, or replay.  Defaults to CFC_CONNECTOR_MODE, else live.
+     *     fixturesDir: path.join(__dirname, 'fixtures'),  // Defaults to ./fixtures.
+     *     redactor: new Redactor({ sensitiveParams: ['accountId'] })
+     * });
+     * 
+     * @param {Object} params The optional constructor parameters.
+     */
+    constructor(params) {
+        const options = (params != undefined) ? params : {};
+        if (options.mode != undefined && !FIXTURE_MODES.includes(options.mode)) { throw new Error('mode must be one of '+FIXTURE_MODES.join(', ')+' for creating FixtureStore objects.'); }
+
+        /**
+         * The fixture mode.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._mode = (options.mode != undefined) ? options.mode : _getDefaultMode();
+
+        /**
+         * The directory holding the fixture files.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._fixturesDir = (options.fixturesDir != undefined) ? options.fixturesDir : path.resolve(DEF_FIXTURES_DIR);
+
+        /**
+         * The redactor masking the saved calls, or undefined to save them as is.
+         * 
+         * @private
+         * @type {Redactor}
+         */
+        this._redactor = options.redactor;
+
+        /**
+         * The promises of the loaded fixtures, by connector name.
+         * 
+         * @private
+         * @type {Map}
+         */
+        this._fixtures = new Map();
+
+        /**
+         * The promises of the last fixture file write, by connector name.
+         * 
+         * @private
+         * @type {Map}
+         */
+        this._writes = new Map();
+
+        /**
+         * The number of writes started, used to name their temporary files.
+         * 
+         * @private
+         * @type {number}
+         */
+        this._writeCount = 0;
+
+        this.call = this.call.bind(this);
+        this.replay = this.replay.bind(this);
+        this.isReplaying = this.isReplaying.bind(this);
+        this.getFixturePath = this.getFixturePath.bind(this);
+    }
+
+    /**
+     * Gets the mode.
+     * 
+     * @return The mode.
+     */
+    get mode() { return this._mode; }
+
+    /**
+     * Gets the fixtures directory.
+     * 
+     * @return The fixtures directory.
+     */
+    get fixturesDir() { return this._fixturesDir; }
+
+    /**
+     * Gets the redactor.
+     * 
+     * @return The redactor.
+     */
+    get redactor() { return this._redactor; }
+
+    /**
+     * Check if the recorded outcomes are replayed.
+     * 
+     * @returns true in replay mode, otherwise false.
+     */
+    isReplaying() {
+        return this._mode === MODE_REPLAY;
+    }
+
+    /**
+     * Get the fixture file path of a connector.
+     * 
+     * @param {string} connectorName The connector name.
+     * @returns the fixture file path.
+     */
+    getFixturePath(connectorName) {
+        return path.join(this._fixturesDir, connectorName+'.json');
+    }
+
+    /**
+     * Load the fixtures of a connector, from its fixture file the first time.
+     * 
+     * @private
+     * @param {string} connectorName The connector name.
+     * @returns the fixtures, keyed by method and arguments.
+     */
+    async _load(connectorName) {
+        if (!this._fixtures.has(connectorName)) {
+            const loading = fs.promises.readFile(this.getFixturePath(connectorName), 'utf8').then((data) => JSON.parse(data), (err) => {
+                if (err.code === 'ENOENT') {
+                    return {};
+                }
+                throw err;
+            });
+            this._fixtures.set(connectorName, loading);
+        }
+        return this._fixtures.get(connectorName);
+    }
+
+    /**
+     * Save a call's outcome to the fixture file of a connector.  Writes of the same file are queued,
+     * and go through a temporary file, so that the file always holds complete JSON.
+     * 
+     * @private
+     * @param {string} connectorName    The connector name.
+     * @param {string} key              The fixture key.
+     * @param {Object} fixture          The fixture.
+     */
+    async _save(connectorName, key, fixture) {
+        let fixtures = await this._load(connectorName);
+        fixtures[key] = fixture;
+
+        const previous = (this._writes.has(connectorName)) ? this._writes.get(connectorName) : Promise.resolve();
+        const writing = previous.then(async () => {
+            await fs.promises.mkdir(this._fixturesDir, { recursive: true });
+            this._writeCount = this._writeCount + 1;
+            const filePath = this.getFixturePath(connectorName);
+            const tempPath = filePath+'.'+process.pid+'.'+this._writeCount+'.tmp';
+            await fs.promises.writeFile(tempPath, JSON.stringify(fixtures, null, 2));
+            await fs.promises.rename(tempPath, filePath);
+        });
+        this._writes.set(connectorName, writing.catch(() => {}));
+        await writing;
+    }
+
+    /**
+     * Mask a value with the redactor, if set.
+     * 
+     * @private
+     * @param {*} value The value.
+     * @returns the masked copy of the value, or the value itself without a redactor.
+     */
+    _redact(value) {
+        return (this._redactor != undefined) ? this._redactor.redactData(value) : value;
+    }
+
+    /**
+     * Get the fixture key of a call, from its method and masked arguments.
+     * 
+     * @private
+     * @param {string} method   The endpoint method name.
+     * @param {Array} args      The method arguments.
+     * @returns the fixture key.
+     */
+    _getKey(method, args) {
+        return method+' '+_stableStringify(this._redact(args));
+    }
+
+    /**
+     * Return the recorded outcome of a call, without calling the endpoint.
+     * 
+     * @param {string} connectorName    The connector name.
+     * @param {string} method           The endpoint method name.
+     * @param {Array} args              The method arguments.
+     * @returns the recorded result.
+     */
+    async replay(connectorName, method, args) {
+        const key = this._getKey(method, args);
+        const fixture = (await this._load(connectorName))[key];
+        if (fixture == undefined) {
+            throw new Error('No fixture recorded for connector '+connectorName+' call '+key+'.');
+        }
+        if (fixture.error != undefined) {
+            throw new Error(fixture.error);
+        }
+        return fixture.result;
+    }
+
+    /**
+     * Make an endpoint call according to the mode: call it live, call it and record the outcome,
+     * or replay the recorded outcome.
+     * 
+     * @param {string} connectorName    The connector name.
+     * @param {string} method           The endpoint method name.
+     * @param {Array} args              The method arguments.
+     * @param {Function} call           The function calling the endpoint.
+     * @returns the call result.
+     */
+    async call(connectorName, method, args, call) {
+        if (this._mode === MODE_LIVE) {
+            return call();
+        }
+        if (this._mode === MODE_REPLAY) {
+            return this.replay(connectorName, method, args);
+        }
+
+        const key = this._getKey(method, args);
+        let result;
+        try {
+            result = await call();
+        } catch (err) {
+            await this._save(connectorName, key, { method: method, args: this._redact(args), error: this._redact(err.message) });
+            throw err;
+        }
+        await this._save(connectorName, key, { method: method, args: this._redact(args), result: this._redact(result) });
+        return result;
+    }
+}
+
+module.exports = {FixtureStore,FIXTURE_MODES};
\ No newline at end of file
@@ -0,0 +1,312 @@
+/**
+ * Copyright 2022 Justin Randall, Cisco Systems Inc. All Rights Reserved.
+ * 
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU
+ * General Public License as published by the Free Software Foundation, either version 3 of the License, or 
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without 
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. 
+ * See the GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License along with this program. If not, 
+ * see <https://www.gnu.org/licenses/>.
+ */
+
+const axios = require('axios');
+const { Connector } = require('./connectors');
+
+// Define HTTP Connector Constants.
+const AUTH_BASIC = 'basic';
+const AUTH_BEARER = 'bearer';
+const AUTH_OAUTH = 'oauth';
+const OAUTH_EXPIRY_MARGIN = 30000;
+const TEMPLATE_REGEX = /\{([^{}]+)\}/g;
+
+/**
+ * Fill the {param} placeholders of a template string.
+ * 
+ * @param {string} template     The template string.
+ * @param {Object} values       The template values.
+ * @param {Function} encode     The function encoding each value.
+ * @param {string} label        The operation label, used in errors.
+ * @returns the filled string.
+ */
+function _fillTemplate(template, values, encode, label) {
+    return template.replace(TEMPLATE_REGEX, (placeholder, name) => {
+        if (values[name] == undefined) {
+            throw new Error('Missing value for template parameter '+name+' of '+label+'.');
+        }
+        return encode(String(values[name]));
+    });
+}
+
+/**
+ * Fill the {param} placeholders of a template object, keeping the value type of whole-value placeholders.
+ * 
+ * @param {*} template          The template object, array, or string.
+ * @param {Object} values       The template values.
+ * @param {string} label        The operation label, used in errors.
+ * @returns the filled object.
+ */
+function _fillObject(template, values, label) {
+    if (Array.isArray(template)) {
+        return template.map((item) => _fillObject(item, values, label));
+    }
+    if (template != undefined && typeof template === 'object') {
+        let filled = {};
+        for (var key in template) {
+            if (Object.prototype.hasOwnProperty.call(template, key)) {
+                filled[key] = _fillObject(template[key], values, label);
+            }
+        }
+        return filled;
+    }
+    if (typeof template === 'string') {
+        const whole = /^\{([^{}]+)\}$/.exec(template);
+        if (whole !== null) {
+            if (values[whole[1]] == undefined) {
+                throw new Error('Missing value for template parameter '+whole[1]+' of '+label+'.');
+            }
+            return values[whole[1]];
+        }
+        return _fillTemplate(template, values, (value) => value, label);
+    }
+    return template;
+}
+
+/**
+ * Collect the {param} placeholder names of a template object.
+ * 
+ * @param {*} template      The template object, array, or string.
+ * @param {Set} names       The set collecting the names.
+ * @returns the set of names.
+ */
+function _collectTemplateNames(template, names = new Set()) {
+    if (typeof template === 'string') {
+        const regex = new RegExp(TEMPLATE_REGEX.source, 'g');
+        let match;
+        while ((match = regex.exec(template)) !== null) {
+            names.add(match[1]);
+        }
+    } else if (template != undefined && typeof template === 'object') {
+        Object.values(template).forEach((value) => _collectTemplateNames(value, names));
+    }
+    return names;
+}
+
+/**
+ * Read a dot-separated path from a response body.
+ * 
+ * @param {Object} data     The response body.
+ * @param {string} path     The dot-separated path, for example 'account.balance.amount'.
+ * @returns the value, or undefined if the path doesn't exist.
+ */
+function _getPath(data, path) {
+    return path.split('.').reduce((value, key) => (value != undefined) ? value[key] : undefined, data);
+}
+
+/**
+ * This class represents a declarative REST connector built on axios.
+ * 
+ * Each named operation has an HTTP method, a path and optional query and body templates, whose
+ * {param} placeholders are filled from the session parameters and the invocation values.  The
+ * response mapping copies values from the response body into the connector's context, named after
+ * the connector.  Operations are invoked through the Connector timeouts, retries and circuit breaker.
+ */
+class HttpConnector extends Connector {
+
+    /**
+     * Constructor for HttpConnector objects.
+     * 
+     * @example
+     * const { HttpConnector } = require(codingforconvos);
+     * const banking = new HttpConnector({
+     *     name: 'banking',
+     *     baseUrl: 'https://api.example.com/v1',
+     *     auth: { type: 'oauth', tokenUrl: 'https://auth.example.com/token', clientId: 'bot', clientSecret: process.env.BANKING_SECRET },
+     *     operations: {
+     *         getBalance: {
+     *             method: 'GET',
+     *             path: '/accounts/{accountId}/balance',
+     *             query: { currency: '{currency}' },
+     *             responseMapping: { accountBalance: 'balance.amount' }
+     *         }
+     *     },
+     *     timeout: 2000
+     * });
+     * convoClient.registerConnector(banking);
+     * 
+     * // In an intent handler, this writes accountBalance to the 'banking' context.
+     * await dialogContext.invokeConnector('banking', 'getBalance', [{ currency: 'USD' }]);
+     * 
+     * @param {Object} params The constructor parameters.
+     */
+    constructor(params) {
+        // Validate the input parameters.
+        if (params == undefined) { throw new Error('parameters object for creating HttpConnector objects is missing.'); }
+        if (params.baseUrl == undefined) { throw new Error('baseUrl is a required parameter for creating HttpConnector objects.'); }
+        if (params.operations == undefined) { throw new Error('operations is a required parameter for creating HttpConnector objects.'); }
+        if (params.auth != undefined && ![AUTH_BASIC, AUTH_BEARER, AUTH_OAUTH].includes(params.auth.type)) { throw new Error('auth type must be basic, bearer, or oauth for creating HttpConnector objects.'); }
+
+        super(Object.assign({}, params, {
+            endpoint: {},
+            params: (params.params != undefined) ? params.params : {}
+        }));
+
+        /**
+         * The axios instance for the base URL.
+         * 
+         * @private
+         * @type {Object}
+         */
+        this._http = axios.create({
+            baseURL: params.baseUrl,
+            headers: (params.headers != undefined) ? params.headers : {}
+        });
+
+        /**
+         * The authentication scheme.
+         * 
+         * @private
+         * @type {Object}
+         */
+        this._auth = params.auth;
+
+        /**
+         * The named operations.
+         * 
+         * @private
+         * @type {Object}
+         */
+        this._operations = params.operations;
+
+        /**
+         * The cached OAuth access token and its expiry time, in milliseconds since the epoch.
+         * 
+         * @private
+         * @type {Object}
+         */
+        this._oauthToken = { accessToken: undefined, expiresAt: 0 };
+
+        for (var operation in this._operations) {
+            if (Object.prototype.hasOwnProperty.call(this._operations, operation)) {
+                this.endpoint[operation] = this._createOperation(operation, this._operations[operation]);
+            }
+        }
+    }
+
+    /**
+     * Gets the named operations.
+     * 
+     * @return The named operations.
+     */
+    get operations() { return this._operations; }
+
+    /**
+     * Create the endpoint method sending an operation's request.
+     * 
+     * @private
+     * @param {string} name         The operation name.
+     * @param {Object} operation    The operation definition.
+     * @returns the endpoint method, taking the template values and the abort signal, and returning the response body.
+     */
+    _createOperation(name, operation) {
+        if (operation.path == undefined) { throw new Error('path is a required field for operation '+name+' of HttpConnector '+this.name+'.'); }
+        const label = 'operation '+name+' of HttpConnector '+this.name;
+
+        return async (values = {}, signal) => {
+            let request = {
+                method: (operation.method != undefined) ? operation.method : 'GET',
+                url: _fillTemplate(operation.path, values, encodeURIComponent, label),
+                headers: Object.assign({}, await this._getAuthHeaders()),
+                signal: signal
+            };
+            if (operation.query != undefined) {
+                request.params = _fillObject(operation.query, values, label);
+            }
+            if (operation.body != undefined) {
+                request.data = _fillObject(operation.body, values, label);
+            }
+            if (this._auth != undefined && this._auth.type === AUTH_BASIC) {
+                request.auth = { username: this._auth.username, password: this._auth.password };
+            }
+
+            const response = await this._http.request(request);
+            return response.data;
+        };
+    }
+
+    /**
+     * Get the authorization headers for the bearer and OAuth client credentials schemes.
+     * 
+     * @private
+     * @returns the authorization headers.
+     */
+    async _getAuthHeaders() {
+        if (this._auth == undefined || this._auth.type === AUTH_BASIC) {
+            return {};
+        }
+        if (this._auth.type === AUTH_BEARER) {
+            const token = (typeof this._auth.token === 'function') ? await this._auth.token() : this._auth.token;
+            return { Authorization: 'Bearer '+token };
+        }
+
+        if (this._oauthToken.accessToken === undefined || Date.now() >= this._oauthToken.expiresAt) {
+            let form = new URLSearchParams({ grant_type: 'client_credentials', client_id: this._auth.clientId, client_secret: this._auth.clientSecret });
+            if (this._auth.scope != undefined) {
+                form.set('scope', this._auth.scope);
+            }
+            const response = await axios.post(this._auth.tokenUrl, form.toString(), { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+            const expiresIn = (response.data.expires_in != undefined) ? response.data.expires_in*1000 : 3600000;
+            this._oauthToken = {
+                accessToken: response.data.access_token,
+                expiresAt: Date.now() + Math.max(expiresIn - OAUTH_EXPIRY_MARGIN, 0)
+            };
+        }
+        return { Authorization: 'Bearer '+this._oauthToken.accessToken };
+    }
+
+    /**
+     * Invoke an operation on behalf of a conversation turn.  Templates are filled from the session
+     * parameters, preferring the connector's namespaced ones, overridden by the values passed as the
+     * first argument, and the response mapping is written to the connector's context.  Only the
+     * session parameters used by the operation's templates are passed, so that recorded fixtures are
+     * keyed by the values that matter.
+     * 
+     * @param {DialogContext} dialogContext The dialog context.
+     * @param {string} method               The operation name.
+     * @param {Array} args                  The optional list holding the template values object.
+     * @returns the response body.
+     */
+    async invokeWithContext(dialogContext, method, args) {
+        if (this._operations[method] == undefined) {
+            throw new Error('HttpConnector '+this.name+' has no operation '+method+'.');
+        }
+        const operation = this._operations[method];
+        let values = {};
+        _collectTemplateNames([operation.path, operation.query, operation.body]).forEach((name) => {
+            const value = (dialogContext.params[this.qualifyParamName(name)] != undefined) ? dialogContext.params[this.qualifyParamName(name)] : dialogContext.params[name];
+            if (value != undefined) {
+                values[name] = value;
+            }
+        });
+        Object.assign(values, (args != undefined) ? args[0] : {});
+        const data = await this.invoke(method, [values], dialogContext.sessionId);
+
+        const responseMapping = operation.responseMapping;
+        if (responseMapping != undefined) {
+            let mapped = {};
+            for (var param in responseMapping) {
+                if (Object.prototype.hasOwnProperty.call(responseMapping, param)) {
+                    const mapping = responseMapping[param];
+                    mapped[param] = (typeof mapping === 'function') ? mapping(data) : _getPath(data, mapping);
+                }
+            }
+            dialogContext.setParams(dialogContext.getOrCreateCtx(this.name), mapped);
+        }
+        return data;
+    }
+}
+
+module.exports = {HttpConnector};
\ No newline at end of file
@@ -0,0 +1,347 @@
+/**
+ * Copyright 2022 Justin Randall, Cisco Systems Inc. All Rights Reserved.
+ * 
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU
+ * General Public License as published by the Free Software Foundation, either version 3 of the License, or 
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without 
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. 
+ * See the GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License along with this program. If not, 
+ * see <https://www.gnu.org/licenses/>.
+ */
+
+// Define Log Level Constants.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+/**
+ * Get the default log level: the CFC_LOG_LEVEL environment variable, or silent when NODE_ENV is 'test'.
+ * 
+ * @returns the default log level.
+ */
+function _getDefaultLevel() {
+    if (process.env.CFC_LOG_LEVEL != undefined && LOG_LEVELS[process.env.CFC_LOG_LEVEL] !== undefined) {
+        return process.env.CFC_LOG_LEVEL;
+    }
+    return (process.env.NODE_ENV === 'test') ? 'silent' : 'info';
+}
+
+/**
+ * Write a log record as a single JSON line, using stderr for warnings and errors.
+ * 
+ * @param {Object} record The log record.
+ */
+function _writeJson(record) {
+    const stream = (LOG_LEVELS[record.level] >= LOG_LEVELS.warn) ? process.stderr : process.stdout;
+    stream.write(JSON.stringify(record)+'\n');
+}
+
+/**
+ * This class represents a leveled logger producing structured records.
+ * 
+ * Each record carries the standard fields sessionId, action, sequence and turn, taken from the
+ * dialog context when one is provided.  The message may be a function, so that expensive debug
+ * strings are only built when the level is enabled.
+ * 
+ * Extend this class, or provide an object with the same methods, to forward records to another logger.
+ * Custom loggers receive messages as strings, unless they set lazyMessages to true to receive functions.
+ */
+class Logger {
+
+    /**
+     * Constructor for Logger objects.
+     * 
+     * @example
+     * const { Logger } = require(codingforconvos);
+     * const logger = new Logger({ level: 'debug' });
+     * logger.debug('intentHandler', () => 'Session props: '+JSON.stringify(sessionProps), dialogContext);
+     * 
+     * @example
+     * const logger = new Logger({
+     *     level: 'info',
+     *     write: (record) => winstonLogger.log(record.level, record.msg, record)
+     * });
+     * 
+     * @param {Object} params The optional constructor parameters.
+     */
+    constructor(params) {
+        const options = (params != undefined) ? params : {};
+        if (options.level != undefined && LOG_LEVELS[options.level] === undefined) { throw new Error('level must be one of '+Object.keys(LOG_LEVELS).join(', ')+' for creating Logger objects.'); }
+
+        /**
+         * The minimum level logged.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._level = (options.level != undefined) ? options.level : _getDefaultLevel();
+
+        /**
+         * The function writing each log record.
+         * 
+         * @private
+         * @type {Function}
+         */
+        this._write = (options.write != undefined) ? options.write : _writeJson;
+
+        /**
+         * The fields added to every record.
+         * 
+         * @private
+         * @type {Object}
+         */
+        this._fields = (options.fields != undefined) ? options.fields : {};
+
+        this.log = this.log.bind(this);
+        this.isLevelEnabled = this.isLevelEnabled.bind(this);
+        this.debug = this.debug.bind(this);
+        this.info = this.info.bind(this);
+        this.warn = this.warn.bind(this);
+        this.error = this.error.bind(this);
+    }
+
+    /**
+     * Gets the level.
+     * 
+     * @return The level.
+     */
+    get level() { return this._level; }
+    /**
+     * Sets the level.
+     * 
+     * @param {string} value The value.
+     */
+    set level(value) {
+        if (LOG_LEVELS[value] === undefined) { throw new Error('Unknown log level '+value+'.'); }
+        this._level = value;
+    }
+
+    /**
+     * Gets the lazy messages flag, true as messages may be functions.
+     * 
+     * @return The lazy messages flag.
+     */
+    get lazyMessages() { return true; }
+
+    /**
+     * Check if a level is logged.
+     * 
+     * @param {string} level The level.
+     * @returns true if records at the level are written, otherwise false.
+     */
+    isLevelEnabled(level) {
+        return LOG_LEVELS[level] >= LOG_LEVELS[this._level];
+    }
+
+    /**
+     * Write a log record if its level is enabled.
+     * 
+     * @param {string} level                The level.
+     * @param {string} event                The event, usually the name of the logging function.
+     * @param {string|Function} message     The message, or a function returning the message.
+     * @param {DialogContext} dialogContext The optional dialog context.
+     * @param {Object} fields               The optional additional fields.
+     */
+    log(level, event, message, dialogContext, fields) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+
+        let record = Object.assign({ time: new Date().toISOString(), level: level }, this._fields);
+        if (dialogContext != undefined) {
+            record.sessionId = dialogContext.sessionId;
+            record.action = dialogContext.currentAction;
+            record.sequence = dialogContext.params.sequenceCurrent;
+            record.turn = parseInt(dialogContext.params.turnCount, 10) || 0;
+        }
+        Object.assign(record, fields);
+        record.event = event;
+        record.msg = (typeof message === 'function') ? message() : message;
+
+        this._write(record);
+    }
+
+    /**
+     * Write a debug record.
+     * 
+     * @param {string} event                The event.
+     * @param {string|Function} message     The message, or a function returning the message.
+     * @param {DialogContext} dialogContext The optional dialog context.
+     * @param {Object} fields               The optional additional fields.
+     */
+    debug(event, message, dialogContext, fields) { this.log('debug', event, message, dialogContext, fields); }
+
+    /**
+     * Write an info record.
+     * 
+     * @param {string} event                The event.
+     * @param {string|Function} message     The message, or a function returning the message.
+     * @param {DialogContext} dialogContext The optional dialog context.
+     * @param {Object} fields               The optional additional fields.
+     */
+    info(event, message, dialogContext, fields) { this.log('info', event, message, dialogContext, fields); }
+
+    /**
+     * Write a warning record.
+     * 
+     * @param {string} event                The event.
+     * @param {string|Function} message     The message, or a function returning the message.
+     * @param {DialogContext} dialogContext The optional dialog context.
+     * @param {Object} fields               The optional additional fields.
+     */
+    warn(event, message, dialogContext, fields) { this.log('warn', event, message, dialogContext, fields); }
+
+    /**
+     * Write an error record.
+     * 
+     * @param {string} event                The event.
+     * @param {string|Function} message     The message, or a function returning the message.
+     * @param {DialogContext} dialogContext The optional dialog context.
+     * @param {Object} fields               The optional additional fields.
+     */
+    error(event, message, dialogContext, fields) { this.log('error', event, message, dialogContext, fields); }
+}
+
+/**
+ * This class wraps a logger, built-in or custom, masking sensitive values before each record reaches it.
+ * 
+ * Messages are masked with the redactor rules, including the values of the sensitive session parameters
+ * of the dialog context, and sensitive additional fields are replaced.  Nothing is masked for levels the
+ * wrapped logger doesn't write.  Wrapped loggers whose lazyMessages flag is true, like Logger, receive
+ * messages as functions, so the redaction only runs when the message is built.  Other loggers receive
+ * the masked message as a string.
+ */
+class RedactingLogger {
+
+    /**
+     * Constructor for RedactingLogger objects.
+     * 
+     * @example
+     * const logger = new RedactingLogger({ logger: customLogger, redactor: new Redactor() });
+     * logger.info('welcome', 'Sent OTP '+otpCode, dialogContext);
+     * 
+     * @param {Object} params The constructor parameters.
+     */
+    constructor(params) {
+        if (params == undefined) { throw new Error('parameters object for creating RedactingLogger objects is missing.'); }
+        if (params.logger == undefined) { throw new Error('logger is a required parameter for creating RedactingLogger objects.'); }
+        if (params.redactor == undefined) { throw new Error('redactor is a required parameter for creating RedactingLogger objects.'); }
+
+        /**
+         * The wrapped logger.
+         * 
+         * @private
+         * @type {Logger}
+         */
+        this._logger = params.logger;
+
+        /**
+         * The redactor masking sensitive values.
+         * 
+         * @private
+         * @type {Redactor}
+         */
+        this._redactor = params.redactor;
+
+        this.log = this.log.bind(this);
+        this.isLevelEnabled = this.isLevelEnabled.bind(this);
+        this.debug = this.debug.bind(this);
+        this.info = this.info.bind(this);
+        this.warn = this.warn.bind(this);
+        this.error = this.error.bind(this);
+    }
+
+    /**
+     * Gets the logger.
+     * 
+     * @return The logger.
+     */
+    get logger() { return this._logger; }
+
+    /**
+     * Gets the redactor.
+     * 
+     * @return The redactor.
+     */
+    get redactor() { return this._redactor; }
+
+    /**
+     * Check if a level is logged by the wrapped logger.  Loggers without isLevelEnabled log every level.
+     * 
+     * @param {string} level The level.
+     * @returns true if records at the level are written, otherwise false.
+     */
+    isLevelEnabled(level) {
+        return (typeof this._logger.isLevelEnabled === 'function') ? this._logger.isLevelEnabled(level) : true;
+    }
+
+    /**
+     * Mask a message and fields, and forward them to the wrapped logger.
+     * 
+     * @param {string} level                The level.
+     * @param {string} event                The event, usually the name of the logging function.
+     * @param {string|Function} message     The message, or a function returning the message.
+     * @param {DialogContext} dialogContext The optional dialog context.
+     * @param {Object} fields               The optional additional fields.
+     */
+    log(level, event, message, dialogContext, fields) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+
+        const params = (dialogContext != undefined) ? dialogContext.params : undefined;
+        const buildMessage = () => this._redactor.redactText((typeof message === 'function') ? message() : message, params);
+        const redactedMessage = (this._logger.lazyMessages === true) ? buildMessage : buildMessage();
+        const redactedFields = (fields != undefined) ? this._redactor.redactParams(fields) : fields;
+
+        if (typeof this._logger[level] === 'function') {
+            this._logger[level](event, redactedMessage, dialogContext, redactedFields);
+        } else {
+            this._logger.log(level, event, redactedMessage, dialogContext, redactedFields);
+        }
+    }
+
+    /**
+     * Write a debug record.
+     * 
+     * @param {string} event                The event.
+     * @param {string|Function} message     The message, or a function returning the message.
+     * @param {DialogContext} dialogContext The optional dialog context.
+     * @param {Object} fields               The optional additional fields.
+     */
+    debug(event, message, dialogContext, fields) { this.log('debug', event, message, dialogContext, fields); }
+
+    /**
+     * Write an info record.
+     * 
+     * @param {string} event                The event.
+     * @param {string|Function} message     The message, or a function returning the message.
+     * @param {DialogContext} dialogContext The optional dialog context.
+     * @param {Object} fields               The optional additional fields.
+     */
+    info(event, message, dialogContext, fields) { this.log('info', event, message, dialogContext, fields); }
+
+    /**
+     * Write a warning record.
+     * 
+     * @param {string} event                The event.
+     * @param {string|Function} message     The message, or a function returning the message.
+     * @param {DialogContext} dialogContext The optional dialog context.
+     * @param {Object} fields               The optional additional fields.
+     */
+    warn(event, message, dialogContext, fields) { this.log('warn', event, message, dialogContext, fields); }
+
+    /**
+     * Write an error record.
+     * 
+     * @param {string} event                The event.
+     * @param {string|Function} message     The message, or a function returning the message.
+     * @param {DialogContext} dialogContext The optional dialog context.
+     * @param {Object} fields               The optional additional fields.
+     */
+    error(event, message, dialogContext, fields) { this.log('error', event, message, dialogContext, fields); }
+}
+
+module.exports = {Logger,RedactingLogger,LOG_LEVELS};
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * Copyright 2022 Justin Randall, Cisco Systems Inc. All Rights Reserved.
+ * 
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU
+ * General Public License as published by the Free Software Foundation, either version 3 of the License, or 
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without 
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. 
+ * See the GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License along with this program. If not, 
+ * see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * This class represents a middleware wrapping the intent routing of each conversation turn.
+ * 
+ * The handler receives the dialog context and a next() function running the rest of the pipeline.
+ * Code before awaiting next() runs before routing, and code after it runs once the response is set.
+ * Returning without calling next() short-circuits routing, so the handler must respond itself.
+ */
+class Middleware {
+
+    /**
+     * Constructor for Middleware objects.
+     * 
+     * @example
+     * const { Middleware } = require(codingforconvos);
+     * const maintenance = new Middleware({
+     *     name: 'maintenance',
+     *     handler: async (dialogContext, next) => {
+     *         if (process.env.MAINTENANCE_MODE === '1') {
+     *             dialogContext.respondWithText('We are down for maintenance.  Please try again later.');
+     *             return;
+     *         }
+     *         await next();
+     *     }
+     * });
+     * 
+     * @param {Object} params The constructor parameters.
+     */
+    constructor(params) {
+        // Validate the input parameters.
+        if (params == undefined) { throw new Error('parameters object for creating Middleware objects is missing.'); }
+        if (params.name == undefined) { throw new Error('name is a required parameter for creating Middleware objects.'); }
+        if (typeof params.handler !== 'function') { throw new Error('handler is a required function parameter for creating Middleware objects.'); }
+
+        /**
+         * The name of the middleware.  Must be unique.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._name = params.name;
+
+        /**
+         * The function pointer for handling the turn.
+         * 
+         * @private
+         * @type {Function}
+         */
+        this._handler = params.handler;
+    }
+
+    /**
+     * Gets the name.
+     * 
+     * @return The name.
+     */
+    get name() { return this._name; }
+
+    /**
+     * Gets the handler.
+     * 
+     * @return The handler.
+     */
+    get handler() { return this._handler; }
+}
+
+/**
+ * Class for managing the registered middleware pipeline.
+ */
+class MiddlewareManager {
+
+    /**
+     * Constructor for MiddlewareManager objects.
+     * 
+     * @example
+     * const { MiddlewareManager } = require(codingforconvos);
+     * const middlewareManager = new MiddlewareManager();
+     */
+    constructor() {
+        /**
+         * The middleware, in the order they were registered.
+         * 
+         * @private
+         * @type {Array}
+         */
+        this._middleware = [];
+
+        this.registerMiddleware = this.registerMiddleware.bind(this);
+        this.run = this.run.bind(this);
+    }
+
+    /**
+     * Gets the registered middleware names, in pipeline order.
+     * 
+     * @return The registered middleware names.
+     */
+    get names() { return this._middleware.map((middleware) => middleware.name); }
+
+    /**
+     * Registers a middleware at the end of the pipeline.  The first registered middleware is the outermost.
+     * 
+     * @param {Middleware} middleware The middleware object.
+     */
+    registerMiddleware(middleware) {
+        if (this._middleware.some((registered) => registered.name === middleware.name)) {
+            throw new Error('Middleware '+middleware.name+' is already registered.');
+        }
+        this._middleware.push(middleware);
+    }
+
+    /**
+     * Run the middleware pipeline around a route handler.
+     * 
+     * @param {DialogContext} dialogContext The dialog context.
+     * @param {Function} route              The innermost handler routing the intent.
+     */
+    async run(dialogContext, route) {
+        const dispatch = async (index) => {
+            if (index === this._middleware.length) {
+                await route(dialogContext);
+                return;
+            }
+            const middleware = this._middleware[index];
+            let nextCalled = false;
+            await middleware.handler(dialogContext, async () => {
+                if (nextCalled) {
+                    throw new Error('Middleware '+middleware.name+' called next() more than once.');
+                }
+                nextCalled = true;
+                await dispatch(index+1);
+            });
+        };
+        await dispatch(0);
+    }
+}
+
+module.exports = {Middleware,MiddlewareManager};
\ No newline at end of file
@@ -0,0 +1,200 @@
+/**
+ * Copyright 2022 Justin Randall, Cisco Systems Inc. All Rights Reserved.
+ * 
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU
+ * General Public License as published by the Free Software Foundation, either version 3 of the License, or 
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without 
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. 
+ * See the GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License along with this program. If not, 
+ * see <https://www.gnu.org/licenses/>.
+ */
+
+// Define Redaction Constants.
+const REDACTED = '[REDACTED]';
+const MIN_MASKED_VALUE_LENGTH = 4;
+const DEF_PATTERNS = [
+    { name: 'card', pattern: /\b(?:\d[ -]?){12,18}\d\b/g, replacement: '[CARD]' },
+    { name: 'phone', pattern: /(?:\+?\d{1,3}[ .-]?)?(?:\(\d{3}\)|\b\d{3})[ .-]?\d{3}[ .-]?\d{4}\b/g, replacement: '[PHONE]' }
+];
+
+/**
+ * This class masks sensitive session parameters and personal data in log lines, debug dumps and transcripts.
+ * 
+ * Parameters are marked sensitive by name, from the client's sensitiveParams or a connector's
+ * sensitiveParams.  Free text, such as the user's query, is redacted using patterns and by masking
+ * the current values of the sensitive parameters.
+ */
+class Redactor {
+
+    /**
+     * Constructor for Redactor objects.
+     * 
+     * @example
+     * const { Redactor } = require(codingforconvos);
+     * const redactor = new Redactor({
+     *     sensitiveParams: ['phoneNumber', 'accountId', 'otp'],
+     *     patterns: [
+     *         { name: 'email', pattern: /[^\s@]+@[^\s@]+\.[a-z]{2,}/gi, replacement: '[EMAIL]' }
+     *     ]
+     * });
+     * 
+     * @param {Object} params The optional constructor parameters.
+     */
+    constructor(params) {
+        const options = (params != undefined) ? params : {};
+
+        /**
+         * The names of the sensitive parameters.
+         * 
+         * @private
+         * @type {Set}
+         */
+        this._sensitiveParams = new Set((options.sensitiveParams != undefined) ? options.sensitiveParams : []);
+
+        /**
+         * The patterns redacting free text, added to the default card and phone number patterns.
+         * 
+         * @private
+         * @type {Array}
+         */
+        this._patterns = DEF_PATTERNS.concat((options.patterns != undefined) ? options.patterns : []);
+
+        this.registerSensitiveParams = this.registerSensitiveParams.bind(this);
+        this.registerPattern = this.registerPattern.bind(this);
+        this.isSensitive = this.isSensitive.bind(this);
+        this.redactParams = this.redactParams.bind(this);
+        this.redactContext = this.redactContext.bind(this);
+        this.redactText = this.redactText.bind(this);
+        this.redactData = this.redactData.bind(this);
+    }
+
+    /**
+     * Gets the names of the sensitive parameters.
+     * 
+     * @return The names of the sensitive parameters.
+     */
+    get sensitiveParams() { return Array.from(this._sensitiveParams); }
+
+    /**
+     * Mark parameters as sensitive.
+     * 
+     * @param {Array} names The parameter names.
+     */
+    registerSensitiveParams(names) {
+        (names || []).forEach((name) => this._sensitiveParams.add(name));
+    }
+
+    /**
+     * Register a pattern redacting free text.
+     * 
+     * @param {Object} pattern The pattern name, global regular expression, and replacement text.
+     */
+    registerPattern(pattern) {
+        if (pattern.pattern == undefined || !pattern.pattern.global) { throw new Error('pattern must be a global regular expression for registering redaction patterns.'); }
+        this._patterns.push(pattern);
+    }
+
+    /**
+     * Check if a parameter is sensitive.
+     * 
+     * @param {string} name The parameter name.
+     * @returns true if the parameter is sensitive, otherwise false.
+     */
+    isSensitive(name) {
+        return this._sensitiveParams.has(name);
+    }
+
+    /**
+     * Copy a set of parameters with the sensitive values masked, including in nested objects.
+     * 
+     * @param {Object} params The parameters.
+     * @returns the redacted copy of the parameters.
+     */
+    redactParams(params) {
+        if (Array.isArray(params)) {
+            return params.map((value) => this.redactParams(value));
+        }
+        if (params == undefined || typeof params !== 'object') {
+            return params;
+        }
+        let redacted = {};
+        for (var param in params) {
+            if (Object.prototype.hasOwnProperty.call(params, param)) {
+                redacted[param] = (this.isSensitive(param) && params[param] !== '') ? REDACTED : this.redactParams(params[param]);
+            }
+        }
+        return redacted;
+    }
+
+    /**
+     * Copy a context with the sensitive parameter values masked.
+     * 
+     * @param {Object} context The context.
+     * @returns the redacted copy of the context.
+     */
+    redactContext(context) {
+        if (context == undefined) {
+            return context;
+        }
+        return Object.assign({}, context, { parameters: this.redactParams(context.parameters) });
+    }
+
+    /**
+     * Redact free text, masking the current values of the sensitive parameters and any pattern matches.
+     * Values shorter than four characters are not masked, to avoid masking flags like '0' and '1'.
+     * 
+     * @param {string} text     The text.
+     * @param {Object} params   The optional parameters holding the current sensitive values.
+     * @returns the redacted text.
+     */
+    redactText(text, params) {
+        if (typeof text !== 'string') {
+            return text;
+        }
+        let redacted = text;
+        if (params != undefined) {
+            this._sensitiveParams.forEach((name) => {
+                const value = params[name];
+                if (value != undefined && String(value).length >= MIN_MASKED_VALUE_LENGTH) {
+                    redacted = redacted.split(String(value)).join(REDACTED);
+                }
+            });
+        }
+        this._patterns.forEach((pattern) => {
+            redacted = redacted.replace(pattern.pattern, pattern.replacement);
+        });
+        return redacted;
+    }
+
+    /**
+     * Copy data, such as connector arguments and results, with the sensitive parameters masked by name,
+     * and the strings masked by pattern, including in nested objects and arrays.
+     * 
+     * @param {*} data The data.
+     * @returns the redacted copy of the data.
+     */
+    redactData(data) {
+        if (typeof data === 'string') {
+            return this.redactText(data);
+        }
+        if (Array.isArray(data)) {
+            return data.map((value) => this.redactData(value));
+        }
+        if (data == undefined || typeof data !== 'object') {
+            return data;
+        }
+        let redacted = {};
+        for (var name in data) {
+            if (Object.prototype.hasOwnProperty.call(data, name)) {
+                redacted[name] = (this.isSensitive(name) && data[name] !== '') ? REDACTED : this.redactData(data[name]);
+            }
+        }
+        return redacted;
+    }
+}
+
+module.exports = {Redactor,REDACTED};
\ No newline at end of file
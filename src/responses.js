@@ -0,0 +1,310 @@
+/**
+ * Copyright 2022 Justin Randall, Cisco Systems Inc. All Rights Reserved.
+ * 
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU
+ * General Public License as published by the Free Software Foundation, either version 3 of the License, or 
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without 
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. 
+ * See the GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License along with this program. If not, 
+ * see <https://www.gnu.org/licenses/>.
+ */
+
+const { Card, Image, Suggestion, Payload } = require('dialogflow-fulfillment');
+
+// Define Response Channel Constants.
+const CHANNEL_DIALOGFLOW = 'dialogflow';
+const CHANNEL_MESSENGER = 'messenger';
+const CHANNEL_WEBEX = 'webex';
+const CHANNEL_FACEBOOK = 'facebook';
+const RESPONSE_CHANNELS = [CHANNEL_DIALOGFLOW, CHANNEL_MESSENGER, CHANNEL_WEBEX, CHANNEL_FACEBOOK];
+
+// Define Dialogflow Platform Constants.
+const PLATFORM_UNSPECIFIED = 'PLATFORM_UNSPECIFIED';
+const PLATFORM_FACEBOOK = 'FACEBOOK';
+const DIALOGFLOW_PLATFORMS = [PLATFORM_UNSPECIFIED, PLATFORM_FACEBOOK, 'SLACK', 'TELEGRAM', 'KIK', 'SKYPE', 'LINE', 'VIBER', 'ACTIONS_ON_GOOGLE'];
+
+/**
+ * This class builds a response from text, cards, images and quick replies, rendered for the channel.
+ * 
+ * Channels:
+ * 
+ * dialogflow   - The dialogflow-fulfillment rich responses, for the Dialogflow console and integrations.
+ * facebook     - The dialogflow-fulfillment rich responses for the Facebook Messenger integration.
+ * messenger    - A Dialogflow Messenger richContent custom payload.
+ * webex        - A Webex adaptive card custom payload.
+ * 
+ * The text, or the card titles when there is none, is kept in lastFulfillmentText as a text-only
+ * fallback for voice channels.
+ */
+class ResponseBuilder {
+
+    /**
+     * Constructor for ResponseBuilder objects.
+     * 
+     * @example
+     * dialogContext.buildResponse()
+     *     .text('Which account would you like to use?')
+     *     .card({ title: 'Savings', subtitle: 'Balance $1,024.00', imageUrl: 'https://example.com/savings.png', buttons: [{ text: 'Details', url: 'https://example.com/savings' }] })
+     *     .quickReplies(['Savings', 'Chequing'])
+     *     .send();
+     * 
+     * @param {Object} params The constructor parameters.
+     */
+    constructor(params) {
+        // Validate the input parameters.
+        if (params == undefined) { throw new Error('parameters object for creating ResponseBuilder objects is missing.'); }
+        if (params.dialogContext == undefined) { throw new Error('dialogContext is a required parameter for creating ResponseBuilder objects.'); }
+        if (params.channel != undefined && !RESPONSE_CHANNELS.includes(params.channel)) { throw new Error('channel must be one of '+RESPONSE_CHANNELS.join(', ')+' for creating ResponseBuilder objects.'); }
+
+        /**
+         * The dialog context.
+         * 
+         * @private
+         * @type {DialogContext}
+         */
+        this._dialogContext = params.dialogContext;
+
+        /**
+         * The channel the response is rendered for.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._channel = (params.channel != undefined) ? params.channel : CHANNEL_DIALOGFLOW;
+
+        /**
+         * The response parts, in the order they were added.
+         * 
+         * @private
+         * @type {Array}
+         */
+        this._parts = [];
+
+        this.text = this.text.bind(this);
+        this.card = this.card.bind(this);
+        this.image = this.image.bind(this);
+        this.quickReplies = this.quickReplies.bind(this);
+        this.payload = this.payload.bind(this);
+        this.getFallbackText = this.getFallbackText.bind(this);
+        this.send = this.send.bind(this);
+    }
+
+    /**
+     * Gets the channel.
+     * 
+     * @return The channel.
+     */
+    get channel() { return this._channel; }
+
+    /**
+     * Add a text message.
+     * 
+     * @param {string} text The text.
+     * @returns the builder.
+     */
+    text(text) {
+        this._parts.push({ type: 'text', text: text });
+        return this;
+    }
+
+    /**
+     * Add a card.
+     * 
+     * @param {Object} card The card title, optional subtitle, imageUrl, and buttons with their text and url.
+     * @returns the builder.
+     */
+    card(card) {
+        if (card == undefined || card.title == undefined) { throw new Error('title is required for response cards.'); }
+        this._parts.push({ type: 'card', title: card.title, subtitle: card.subtitle, imageUrl: card.imageUrl, buttons: (card.buttons != undefined) ? card.buttons : [] });
+        return this;
+    }
+
+    /**
+     * Add an image.
+     * 
+     * @param {string} imageUrl             The image URL.
+     * @param {string} accessibilityText    The optional image description.
+     * @returns the builder.
+     */
+    image(imageUrl, accessibilityText) {
+        this._parts.push({ type: 'image', imageUrl: imageUrl, accessibilityText: (accessibilityText != undefined) ? accessibilityText : '' });
+        return this;
+    }
+
+    /**
+     * Add quick reply chips.
+     * 
+     * @param {Array} replies The reply texts.
+     * @returns the builder.
+     */
+    quickReplies(replies) {
+        this._parts.push({ type: 'quickReplies', replies: replies });
+        return this;
+    }
+
+    /**
+     * Add a custom payload for a platform.  Dialogflow platforms, like 'SLACK', get a platform payload,
+     * and other platforms get a custom payload nested under the platform name.
+     * 
+     * @example
+     * dialogContext.buildResponse().text('Transferring you now.').payload('webexcc', { escalate: true }).send();
+     * 
+     * @param {string} platform     The platform.
+     * @param {Object} payload      The payload.
+     * @returns the builder.
+     */
+    payload(platform, payload) {
+        this._parts.push({ type: 'payload', platform: platform, payload: payload });
+        return this;
+    }
+
+    /**
+     * Get the text-only fallback of the response: the texts, or the card titles and subtitles when there are no texts.
+     * 
+     * @returns the fallback text.
+     */
+    getFallbackText() {
+        const texts = this._parts.filter((part) => part.type === 'text').map((part) => part.text);
+        if (texts.length > 0) {
+            return texts.join('  ');
+        }
+        return this._parts.filter((part) => part.type === 'card')
+            .map((part) => (part.subtitle != undefined) ? part.title+'.  '+part.subtitle : part.title)
+            .join('  ');
+    }
+
+    /**
+     * Render the rich parts with the dialogflow-fulfillment rich responses.
+     * 
+     * @private
+     * @param {string} platform The Dialogflow platform.
+     * @returns the response messages.
+     */
+    _renderRichResponses(platform) {
+        let messages = [];
+        this._parts.forEach((part) => {
+            if (part.type === 'card') {
+                const button = part.buttons[0];
+                messages.push(new Card({ title: part.title, text: part.subtitle, imageUrl: part.imageUrl, buttonText: (button != undefined) ? button.text : undefined, buttonUrl: (button != undefined) ? button.url : undefined, platform: platform }));
+            } else if (part.type === 'image') {
+                let image = new Image(part.imageUrl);
+                image.setPlatform(platform);
+                messages.push(image);
+            } else if (part.type === 'quickReplies') {
+                part.replies.forEach((reply) => messages.push(new Suggestion({ title: reply, platform: platform })));
+            }
+        });
+        return messages;
+    }
+
+    /**
+     * Render the rich parts as a Dialogflow Messenger richContent payload.
+     * 
+     * @private
+     * @returns the custom payload, or undefined if there are no rich parts.
+     */
+    _renderMessenger() {
+        let items = [];
+        this._parts.forEach((part) => {
+            if (part.type === 'card') {
+                let info = { type: 'info', title: part.title };
+                if (part.subtitle != undefined) { info.subtitle = part.subtitle; }
+                if (part.imageUrl != undefined) { info.image = { src: { rawUrl: part.imageUrl } }; }
+                items.push(info);
+                part.buttons.forEach((button) => items.push({ type: 'button', text: button.text, link: button.url }));
+            } else if (part.type === 'image') {
+                items.push({ type: 'image', rawUrl: part.imageUrl, accessibilityText: part.accessibilityText });
+            } else if (part.type === 'quickReplies') {
+                items.push({ type: 'chips', options: part.replies.map((reply) => ({ text: reply })) });
+            }
+        });
+        return (items.length > 0) ? { richContent: [items] } : undefined;
+    }
+
+    /**
+     * Render the rich parts as a Webex adaptive card payload.
+     * 
+     * @private
+     * @returns the custom payload, or undefined if there are no rich parts.
+     */
+    _renderWebex() {
+        let body = [];
+        let actions = [];
+        this._parts.forEach((part) => {
+            if (part.type === 'card') {
+                body.push({ type: 'TextBlock', text: part.title, weight: 'Bolder', wrap: true });
+                if (part.subtitle != undefined) { body.push({ type: 'TextBlock', text: part.subtitle, wrap: true }); }
+                if (part.imageUrl != undefined) { body.push({ type: 'Image', url: part.imageUrl }); }
+                part.buttons.forEach((button) => actions.push({ type: 'Action.OpenUrl', title: button.text, url: button.url }));
+            } else if (part.type === 'image') {
+                body.push({ type: 'Image', url: part.imageUrl, altText: part.accessibilityText });
+            } else if (part.type === 'quickReplies') {
+                part.replies.forEach((reply) => actions.push({ type: 'Action.Submit', title: reply, data: { reply: reply } }));
+            }
+        });
+        if (body.length === 0 && actions.length === 0) {
+            return undefined;
+        }
+        return {
+            webex: {
+                markdown: this.getFallbackText(),
+                attachments: [{
+                    contentType: 'application/vnd.microsoft.card.adaptive',
+                    content: { type: 'AdaptiveCard', version: '1.2', body: body, actions: actions }
+                }]
+            }
+        };
+    }
+
+    /**
+     * Add the response to the conversation turn, after any queued messages, and keep its text-only
+     * fallback in lastFulfillmentText.  Dialogflow allows one payload per platform, so the payloads
+     * are merged into any payload already added for the platform this turn.
+     */
+    send() {
+        const dialogflowAgent = this._dialogContext.dialogflowAgent;
+        this._dialogContext.takeFulfillmentBuffer().forEach((text) => dialogflowAgent.add(text));
+        this._parts.filter((part) => part.type === 'text').forEach((part) => dialogflowAgent.add(part.text));
+
+        let payloads = {};
+        const addPayload = (platform, payload) => {
+            if (payload != undefined) {
+                payloads[platform] = Object.assign((payloads[platform] != undefined) ? payloads[platform] : {}, payload);
+            }
+        };
+        switch (this._channel) {
+            case CHANNEL_MESSENGER: addPayload(PLATFORM_UNSPECIFIED, this._renderMessenger()); break;
+            case CHANNEL_WEBEX: addPayload(PLATFORM_UNSPECIFIED, this._renderWebex()); break;
+            case CHANNEL_FACEBOOK: this._renderRichResponses(PLATFORM_FACEBOOK).forEach((message) => dialogflowAgent.add(message)); break;
+            default: this._renderRichResponses(PLATFORM_UNSPECIFIED).forEach((message) => dialogflowAgent.add(message));
+        }
+        this._parts.filter((part) => part.type === 'payload').forEach((part) => {
+            if (DIALOGFLOW_PLATFORMS.includes(part.platform)) {
+                addPayload(part.platform, part.payload);
+            } else {
+                addPayload(PLATFORM_UNSPECIFIED, { [part.platform]: part.payload });
+            }
+        });
+        for (var platform in payloads) {
+            if (Object.prototype.hasOwnProperty.call(payloads, platform)) {
+                const existing = dialogflowAgent.responseMessages_.find((message) => message instanceof Payload && message.platform === platform);
+                if (existing !== undefined) {
+                    Object.assign(existing.payload, payloads[platform]);
+                } else {
+                    dialogflowAgent.add(new Payload(platform, payloads[platform], { sendAsMessage: true, rawPayload: true }));
+                }
+            }
+        }
+
+        this._dialogContext.setParams(this._dialogContext.sessionParams, {
+            'lastFulfillmentText': this.getFallbackText(),
+            'responseAlreadySet': '1'
+        });
+    }
+}
+
+module.exports = {ResponseBuilder,RESPONSE_CHANNELS};
\ No newline at end of file
@@ -0,0 +1,283 @@
+/**
+ * Copyright 2022 Justin Randall, Cisco Systems Inc. All Rights Reserved.
+ * 
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU
+ * General Public License as published by the Free Software Foundation, either version 3 of the License, or 
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without 
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. 
+ * See the GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License along with this program. If not, 
+ * see <https://www.gnu.org/licenses/>.
+ */
+
+// Define Parameter Type Constants.
+const TYPE_BOOLEAN = 'boolean';
+const TYPE_NUMBER = 'number';
+const TYPE_STRING = 'string';
+const TYPE_ENUM = 'enum';
+const TYPE_DATE = 'date';
+const TYPE_OBJECT = 'object';
+const PARAM_TYPES = [TYPE_BOOLEAN, TYPE_NUMBER, TYPE_STRING, TYPE_ENUM, TYPE_DATE, TYPE_OBJECT];
+
+/**
+ * Get the default value of a parameter type.
+ * 
+ * @param {Object} definition The parameter definition.
+ * @returns the typed default value.
+ */
+function _getTypeDefault(definition) {
+    switch (definition.type) {
+        case TYPE_BOOLEAN: return false;
+        case TYPE_NUMBER: return 0;
+        case TYPE_ENUM: return definition.values[0];
+        case TYPE_DATE: return null;
+        case TYPE_OBJECT: return {};
+        default: return '';
+    }
+}
+
+/**
+ * This class represents the declared types of the session parameters.
+ * 
+ * Dialogflow context parameters are stored the way the rest of the library reads them: booleans
+ * as '0' or '1', numbers as decimal strings, dates as ISO strings, and objects as is.  The schema
+ * converts typed values to and from that storage, and rejects values of the wrong type.
+ * 
+ * Supported types are boolean, number, string, enum (with a list of values), date, and object.
+ */
+class ParamSchema {
+
+    /**
+     * Constructor for ParamSchema objects.
+     * 
+     * @example
+     * const { ParamSchema } = require(codingforconvos);
+     * const paramSchema = new ParamSchema({
+     *     params: {
+     *         customerIdentified: { type: 'boolean', default: false, description: 'The caller was matched to a customer.' },
+     *         accountTier: { type: 'enum', values: ['basic', 'gold'], default: 'basic', description: 'The account tier.' }
+     *     },
+     *     strict: true        // Throw on undeclared or wrongly typed values, defaults to false to only warn.
+     * });
+     * 
+     * @param {Object} params The optional constructor parameters.
+     */
+    constructor(params) {
+        const options = (params != undefined) ? params : {};
+
+        /**
+         * The parameter definitions, by parameter name.
+         * 
+         * @private
+         * @type {Map}
+         */
+        this._definitions = new Map();
+
+        /**
+         * The strict mode flag, true to throw on undeclared or wrongly typed values, otherwise false to warn.
+         * 
+         * @private
+         * @type {boolean}
+         */
+        this._strict = (options.strict != undefined) ? options.strict === true : false;
+
+        this.registerParams = this.registerParams.bind(this);
+        this.has = this.has.bind(this);
+        this.get = this.get.bind(this);
+        this.getDefaults = this.getDefaults.bind(this);
+        this.toStorage = this.toStorage.bind(this);
+        this.validateStored = this.validateStored.bind(this);
+        this.fromStorage = this.fromStorage.bind(this);
+
+        this.registerParams(options.params);
+    }
+
+    /**
+     * Gets the strict mode flag.
+     * 
+     * @return The strict mode flag.
+     */
+    get strict() { return this._strict; }
+    /**
+     * Sets the strict mode flag.
+     * 
+     * @param {boolean} value The value.
+     */
+    set strict(value) { this._strict = value; }
+
+    /**
+     * Gets the declared parameter names.
+     * 
+     * @return The declared parameter names.
+     */
+    get names() { return Array.from(this._definitions.keys()); }
+
+    /**
+     * Declare a set of parameters.
+     * 
+     * @param {Object} definitions The parameter definitions, by parameter name.
+     */
+    registerParams(definitions) {
+        for (var name in definitions) {
+            if (!Object.prototype.hasOwnProperty.call(definitions, name)) {
+                continue;
+            }
+            const definition = definitions[name];
+            if (this._definitions.has(name)) { throw new Error('Session parameter '+name+' is already declared.'); }
+            if (!PARAM_TYPES.includes(definition.type)) { throw new Error('type of session parameter '+name+' must be one of '+PARAM_TYPES.join(', ')+'.'); }
+            if (definition.type === TYPE_ENUM && (!Array.isArray(definition.values) || definition.values.length === 0)) { throw new Error('values is required for the enum session parameter '+name+'.'); }
+
+            const declared = {
+                type: definition.type,
+                values: definition.values,
+                description: (definition.description != undefined) ? definition.description : ''
+            };
+            declared.default = (definition.default !== undefined) ? definition.default : _getTypeDefault(declared);
+            this._definitions.set(name, declared);
+
+            // Reject invalid defaults when they're declared, rather than when a session starts.
+            this.toStorage(name, declared.default);
+        }
+    }
+
+    /**
+     * Check if a parameter is declared.
+     * 
+     * @param {string} name The parameter name.
+     * @returns true if the parameter is declared, otherwise false.
+     */
+    has(name) {
+        return this._definitions.has(name);
+    }
+
+    /**
+     * Retrieve a parameter definition.
+     * 
+     * @param {string} name The parameter name.
+     * @returns the parameter definition, with its type, default, and description.
+     */
+    get(name) {
+        return this._definitions.get(name);
+    }
+
+    /**
+     * Get the stored default values of the declared parameters.
+     * 
+     * @returns the default values, by parameter name.
+     */
+    getDefaults() {
+        let defaults = {};
+        this._definitions.forEach((definition, name) => {
+            defaults[name] = this.toStorage(name, definition.default);
+        });
+        return defaults;
+    }
+
+    /**
+     * Convert a typed value to its context storage form.
+     * 
+     * @param {string} name     The parameter name.
+     * @param {*} value         The typed value.
+     * @returns the stored value.
+     */
+    toStorage(name, value) {
+        const definition = this._definitions.get(name);
+        if (definition === undefined) {
+            throw new Error('Session parameter '+name+' is not declared.');
+        }
+        const invalid = () => new Error('Session parameter '+name+' expects a '+definition.type+' value, but got '+JSON.stringify(value)+'.');
+
+        switch (definition.type) {
+            case TYPE_BOOLEAN:
+                if (typeof value !== 'boolean') { throw invalid(); }
+                return (value) ? '1' : '0';
+            case TYPE_NUMBER:
+                if (typeof value !== 'number' || isNaN(value)) { throw invalid(); }
+                return value.toString();
+            case TYPE_ENUM:
+                if (!definition.values.includes(value)) { throw new Error('Session parameter '+name+' expects one of '+definition.values.join(', ')+', but got '+JSON.stringify(value)+'.'); }
+                return value;
+            case TYPE_DATE:
+                if (value === null) { return ''; }
+                if (!(value instanceof Date) || isNaN(value.getTime())) { throw invalid(); }
+                return value.toISOString();
+            case TYPE_OBJECT:
+                if (value == undefined || typeof value !== 'object') { throw invalid(); }
+                return value;
+            default:
+                if (typeof value !== 'string') { throw invalid(); }
+                return value;
+        }
+    }
+
+    /**
+     * Check that a value is in the context storage form of the parameter's declared type.
+     * 
+     * @param {string} name     The parameter name.
+     * @param {*} value         The stored value.
+     */
+    validateStored(name, value) {
+        const definition = this._definitions.get(name);
+        if (definition === undefined) {
+            throw new Error('Session parameter '+name+' is not declared.');
+        }
+        const invalid = () => new Error('Session parameter '+name+' expects a stored '+definition.type+' value, but got '+JSON.stringify(value)+'.');
+
+        switch (definition.type) {
+            case TYPE_BOOLEAN:
+                if (value !== '0' && value !== '1') { throw invalid(); }
+                return;
+            case TYPE_NUMBER:
+                if (typeof value !== 'string' || value.trim() === '' || isNaN(Number(value))) { throw invalid(); }
+                return;
+            case TYPE_ENUM:
+                if (!definition.values.includes(value)) { throw new Error('Session parameter '+name+' expects one of '+definition.values.join(', ')+', but got '+JSON.stringify(value)+'.'); }
+                return;
+            case TYPE_DATE:
+                if (value === '') { return; }
+                if (typeof value !== 'string' || isNaN(Date.parse(value))) { throw invalid(); }
+                return;
+            case TYPE_OBJECT:
+                if (value == undefined || typeof value !== 'object') { throw invalid(); }
+                return;
+            default:
+                if (typeof value !== 'string') { throw invalid(); }
+                return;
+        }
+    }
+
+    /**
+     * Convert a stored value to its typed form.  Missing values are read as the declared default.
+     * 
+     * @param {string} name     The parameter name.
+     * @param {*} value         The stored value.
+     * @returns the typed value.
+     */
+    fromStorage(name, value) {
+        const definition = this._definitions.get(name);
+        if (definition === undefined) {
+            throw new Error('Session parameter '+name+' is not declared.');
+        }
+        if (value == undefined) {
+            return definition.default;
+        }
+
+        switch (definition.type) {
+            case TYPE_BOOLEAN:
+                return value === true || value === '1' || value === 1 || value === 'true';
+            case TYPE_NUMBER:
+                return (typeof value === 'number') ? value : parseFloat(value);
+            case TYPE_DATE:
+                return (value === '') ? null : new Date(value);
+            case TYPE_OBJECT:
+                return value;
+            default:
+                return String(value);
+        }
+    }
+}
+
+module.exports = {ParamSchema,PARAM_TYPES};
\ No newline at end of file
@@ -13,6 +13,25 @@
  * see <https://www.gnu.org/licenses/>.
  */
 
+const { Turn } = require('./turns');
+const { navigateSteps, validateSteps } = require('./steps');
+
+/**
+ * Navigate a sequence built from turns by prompting for the first incomplete turn.
+ * 
+ * @param {Sequence} sequence           The sequence.
+ * @param {DialogContext} dialogContext The dialog context.
+ */
+function navigateTurns(sequence, dialogContext) {
+    const turn = sequence.turns.find((turn) => !turn.isComplete(dialogContext));
+    if (turn === undefined) {
+        sequence.onComplete(dialogContext);
+        return;
+    }
+    dialogContext.setSequenceStep(sequence.name, turn.name);
+    dialogContext.respondWithEvent(turn.promptEvent);
+}
+
 /**
  * This class represents a Sequence object.
  */
@@ -26,6 +45,35 @@ class Sequence {
      * let params = { 'name': 'test', 'activity': 'testing' };
      * const sequence = new Sequence(params);
      * 
+     * @example
+     * const { Sequence, Turn } = require(codingforconvos);
+     * const sequence = new Sequence({
+     *     name: 'welcome',
+     *     activity: 'greeting each other',
+     *     identityRequired: false,
+     *     authRequired: false,
+     *     params: { saidIntro: '0', confirmedWellbeing: '0' },
+     *     turns: [
+     *         new Turn({ name: 'sayIntro', promptAction: 'welcome.say.intro', promptEvent: 'SayIntro', ... }),
+     *         new Turn({ name: 'askWellbeing', promptAction: 'welcome.ask.wellbeing', promptEvent: 'AskWellbeing', ... })
+     *     ]
+     * });
+     * 
+     * @example
+     * const { Sequence } = require(codingforconvos);
+     * const sequence = new Sequence({
+     *     name: 'welcome',
+     *     activity: 'greeting each other',
+     *     identityRequired: false,
+     *     authRequired: false,
+     *     params: { saidIntro: '0', askedWellbeing: '0', confirmedWellbeing: '0' },
+     *     steps: [
+     *         { name: 'sayIntro', when: { saidIntro: '0' }, prompt: 'SayIntro' },
+     *         { name: 'askWellbeing', when: { askedWellbeing: '0' }, prompt: 'AskWellbeing' },
+     *         { name: 'done', when: { confirmedWellbeing: '1' }, then: { pop: true, event: 'AskReasonForContact' } }
+     *     ]
+     * });
+     * 
      * @param {Object} params The sequence constructor parameters.
      */
     constructor(params) {
@@ -36,7 +84,8 @@ class Sequence {
         if (params.identityRequired == undefined) { throw new Error('identityRequired is a required parameter for creating Sequence objects.'); }
         if (params.authRequired == undefined) { throw new Error('authRequired is a required parameter for creating Sequence objects.'); }
         if (params.params == undefined) { throw new Error('params is a required parameter for creating Sequence objects.'); }
-        if (params.navigate == undefined) { throw new Error('navigate is a required parameter for creating Sequence objects.'); }
+        if (params.navigate == undefined && (params.turns == undefined || params.turns.length === 0) && (params.steps == undefined || params.steps.length === 0)) { throw new Error('navigate, turns, or steps is a required parameter for creating Sequence objects.'); }
+        if (params.turns != undefined && !params.turns.every((turn) => turn instanceof Turn)) { throw new Error('turns must be an array of Turn objects for creating Sequence objects.'); }
         
         /**
          * The name of the sequence.
@@ -69,6 +118,14 @@ class Sequence {
          * @type {boolean}
          */
         this._identityRequired = params.identityRequired;
+
+        /**
+         * The name of the authentication policy for this sequence, or undefined for the default policy.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._authPolicy = params.authPolicy;
  
         /**
          * The context parameters for this sequence.
@@ -79,20 +136,50 @@ class Sequence {
         this._params = params.params;
  
         /**
-         * The function pointer for navigating a sequence forward.
+         * The ordered turns for this sequence.
+         * 
+         * @private
+         * @type {Array}
+         */
+        this._turns = (params.turns != undefined) ? params.turns : [];
+
+        /**
+         * The declarative steps for this sequence.
+         * 
+         * @private
+         * @type {Array}
+         */
+        this._steps = (params.steps != undefined) ? params.steps : [];
+
+        /**
+         * The function pointer for completing a sequence built from turns.
          * 
          * @private
          * @type {Function}
          */
-        this.navigate = params.navigate.bind(this);
+        this.onComplete = (params.onComplete != undefined) ? params.onComplete.bind(this) : (dialogContext) => {
+            dialogContext.popSequenceAndNavigate(this.name);
+        };
  
         /**
-         * The function pointer for navigating a sequence forward.
+         * The function pointer for navigating a sequence forward.  When a pushed sequence pops back to
+         * this one, the popped sequence's result is passed as the second argument.
          * 
          * @private
          * @type {Function}
          */
-        this.navigate = this.navigate.bind(this);
+        if (params.navigate != undefined) {
+            this.navigate = params.navigate.bind(this);
+        } else if (this._steps.length > 0) {
+            this.navigate = (dialogContext) => { navigateSteps(this, dialogContext); };
+        } else {
+            this.navigate = (dialogContext) => { navigateTurns(this, dialogContext); };
+        }
+
+        const problems = validateSteps(this);
+        if (problems.length > 0) {
+            throw new Error('Invalid steps for creating Sequence objects: '+problems.join(' '));
+        }
     }
 
     /**
@@ -147,6 +234,19 @@ class Sequence {
      */
     set authRequired(value) { this._authRequired = value; }
 
+    /**
+     * Gets the authPolicy.
+     * 
+     * @return The authPolicy.
+     */
+    get authPolicy() { return this._authPolicy; }
+    /**
+     * Sets the authPolicy.
+     * 
+     * @param {string} value The value.
+     */
+    set authPolicy(value) { this._authPolicy = value; }
+
     /**
      * Gets the params.
      * 
@@ -159,7 +259,56 @@ class Sequence {
      * @param {string} value The value.
      */
     set params(value) { this._params = value; }
-    
+
+    /**
+     * Gets the turns.
+     * 
+     * @return The turns.
+     */
+    get turns() { return this._turns; }
+    /**
+     * Sets the turns.
+     * 
+     * @param {Array} value The value.
+     */
+    set turns(value) { this._turns = value; }
+
+    /**
+     * Retrieve a turn by name.
+     * 
+     * @param {string} name The turn name.
+     * @returns the turn, or undefined if not found.
+     */
+    getTurn(name) {
+        return this._turns.find((turn) => turn.name === name);
+    }
+
+    /**
+     * Retrieve a turn by the action of its prompt intent.
+     * 
+     * @param {string} action The prompt action.
+     * @returns the turn, or undefined if not found.
+     */
+    getTurnByPromptAction(action) {
+        return this._turns.find((turn) => turn.promptAction === action);
+    }
+
+    /**
+     * Gets the steps.
+     * 
+     * @return The steps.
+     */
+    get steps() { return this._steps; }
+
+    /**
+     * Retrieve a step by name.
+     * 
+     * @param {string} name The step name.
+     * @returns the step, or undefined if not found.
+     */
+    getStep(name) {
+        return this._steps.find((step) => step.name === name);
+    }
 }
 
 /**
@@ -205,6 +354,22 @@ class SequenceManager {
         ;
         this._sequences.set(sequence.name, sequence);
     }
+
+    /**
+     * Validate the declarative steps of all registered sequences, including the sequences they push.
+     * 
+     * @example
+     * const problems = sequenceManager.validate();
+     * 
+     * @returns the list of problems found.
+     */
+    validate() {
+        let problems = [];
+        this._sequences.forEach((sequence) => {
+            problems = problems.concat(validateSteps(sequence, this));
+        });
+        return problems;
+    }
 }
   
 module.exports = {Sequence,SequenceManager};
\ No newline at end of file
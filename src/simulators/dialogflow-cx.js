@@ -0,0 +1,314 @@
+/**
+ * Copyright 2022 Justin Randall, Cisco Systems Inc. All Rights Reserved.
+ * 
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU
+ * General Public License as published by the Free Software Foundation, either version 3 of the License, or 
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without 
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. 
+ * See the GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License along with this program. If not, 
+ * see <https://www.gnu.org/licenses/>.
+ */
+
+const { DialogflowCxClient } = require('../clients/dialogflow-cx');
+const { SimulatedResponse } = require('./dialogflow-es');
+
+// Define Simulator Constants.
+const DEF_SESSION_ID = 'simulated-session';
+const DEF_SESSION_PREFIX = 'projects/simulated-project/locations/global/agents/simulated-agent/sessions/';
+const DEF_LANGUAGE_CODE = 'en';
+const DEF_MAX_EVENT_HOPS = 5;
+const FOLLOWUP_EVENT_PARAM = 'followupEvent';
+const CTX_PARAM_PREFIX = 'ctx_';
+
+/**
+ * This class simulates Dialogflow CX calling the webhook fulfillment for a single session.
+ * 
+ * Each turn builds a synthetic WebhookRequest, with the action as the fulfillment tag and the
+ * fulfillment text as the message the agent queued before calling the webhook.  It runs it through
+ * the client's handleRequest(), and merges the returned session parameters into the next turn like
+ * Dialogflow CX would, where null removes a parameter.  A followupEvent session parameter is
+ * followed like a page route would, using the turn registered for the event.
+ */
+class DialogflowCxSimulator {
+
+    /**
+     * Constructor for DialogflowCxSimulator objects.
+     * 
+     * @example
+     * const { DialogflowCxSimulator } = require(codingforconvos);
+     * const simulator = new DialogflowCxSimulator({
+     *     client: convoClient,
+     *     payload: { customerIdentified: 'true' },
+     *     events: {
+     *         'SayIntro': { action: 'welcome.sayintro' }
+     *     }
+     * });
+     * const result = await simulator.send({ action: 'welcome', queryText: 'Hi there!' });
+     * 
+     * @param {Object} params The constructor parameters.
+     */
+    constructor(params) {
+        // Validate the input parameters.
+        if (params == undefined) { throw new Error('parameters object for creating DialogflowCxSimulator objects is missing.'); }
+        if (params.client == undefined) { throw new Error('client is a required parameter for creating DialogflowCxSimulator objects.'); }
+        if (!(params.client instanceof DialogflowCxClient)) { throw new Error('client must be a DialogflowCxClient for creating DialogflowCxSimulator objects.'); }
+
+        /**
+         * The webhook client under test.
+         * 
+         * @private
+         * @type {DialogflowCxClient}
+         */
+        this._client = params.client;
+
+        /**
+         * The simulated session ID.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._sessionId = (params.sessionId != undefined) ? params.sessionId : DEF_SESSION_ID;
+
+        /**
+         * The simulated session path.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._session = DEF_SESSION_PREFIX+this._sessionId;
+
+        /**
+         * The language code sent on each request.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._languageCode = (params.languageCode != undefined) ? params.languageCode : DEF_LANGUAGE_CODE;
+
+        /**
+         * The default payload sent on each request.
+         * 
+         * @private
+         * @type {Object}
+         */
+        this._payload = (params.payload != undefined) ? params.payload : {};
+
+        /**
+         * The map of follow-up event names to the turns the page routes would fulfill for them.
+         * 
+         * @private
+         * @type {Object}
+         */
+        this._events = (params.events != undefined) ? params.events : {};
+
+        /**
+         * The maximum number of follow-up event hops followed in a single turn.
+         * 
+         * @private
+         * @type {number}
+         */
+        this._maxEventHops = (params.maxEventHops != undefined) ? params.maxEventHops : DEF_MAX_EVENT_HOPS;
+
+        /**
+         * The session parameters carried between turns.
+         * 
+         * @private
+         * @type {Object}
+         */
+        this._sessionParameters = {};
+
+        /**
+         * The number of webhook requests sent.
+         * 
+         * @private
+         * @type {number}
+         */
+        this._requestCount = 0;
+
+        this.send = this.send.bind(this);
+        this.buildRequest = this.buildRequest.bind(this);
+        this.getContext = this.getContext.bind(this);
+        this.reset = this.reset.bind(this);
+    }
+
+    /**
+     * Gets the session ID.
+     * 
+     * @return The session ID.
+     */
+    get sessionId() { return this._sessionId; }
+
+    /**
+     * Gets the session path.
+     * 
+     * @return The session path.
+     */
+    get session() { return this._session; }
+
+    /**
+     * Gets the number of webhook requests sent.
+     * 
+     * @return The number of webhook requests sent.
+     */
+    get requestCount() { return this._requestCount; }
+
+    /**
+     * Gets the session parameters.
+     * 
+     * @return The session parameters.
+     */
+    get sessionParameters() { return this._sessionParameters; }
+
+    /**
+     * Retrieve a context stored in the session parameters by name.
+     * 
+     * @param {string} name The context name.
+     * @returns the context name and parameters, or undefined if not stored.
+     */
+    getContext(name) {
+        const parameters = this._sessionParameters[CTX_PARAM_PREFIX+name];
+        return (parameters != undefined) ? { name: name, parameters: parameters } : undefined;
+    }
+
+    /**
+     * Clear the session parameters to start a new conversation on the same session.
+     */
+    reset() {
+        this._sessionParameters = {};
+        this._requestCount = 0;
+    }
+
+    /**
+     * Build a synthetic Dialogflow CX WebhookRequest for a turn.
+     * 
+     * @param {Object} turn The turn (action, parameters, queryText, fulfillmentText, payload, intentName).
+     * @returns the HTTP request object.
+     */
+    buildRequest(turn) {
+        const parameters = (turn.parameters != undefined) ? turn.parameters : {};
+
+        return {
+            headers: {},
+            body: {
+                detectIntentResponseId: this._sessionId+'-'+this._requestCount,
+                fulfillmentInfo: { tag: turn.action },
+                intentInfo: {
+                    displayName: (turn.intentName != undefined) ? turn.intentName : turn.action,
+                    confidence: 1
+                },
+                pageInfo: {
+                    formInfo: {
+                        parameterInfo: Object.keys(parameters).map((name) => ({ displayName: name, value: parameters[name] }))
+                    }
+                },
+                sessionInfo: {
+                    session: this._session,
+                    parameters: JSON.parse(JSON.stringify(this._sessionParameters))
+                },
+                messages: (turn.fulfillmentText != undefined) ? [ { text: { text: [ turn.fulfillmentText ] } } ] : [],
+                text: (turn.queryText != undefined) ? turn.queryText : '',
+                languageCode: this._languageCode,
+                payload: (turn.payload != undefined) ? turn.payload : this._payload
+            }
+        };
+    }
+
+    /**
+     * Merge the returned session parameters into the session, where null removes a parameter.
+     * 
+     * @private
+     * @param {Object} parameters The webhook response session parameters.
+     */
+    _mergeSessionParameters(parameters) {
+        Object.keys(parameters || {}).forEach((name) => {
+            if (parameters[name] === null) {
+                delete this._sessionParameters[name];
+            } else {
+                this._sessionParameters[name] = JSON.parse(JSON.stringify(parameters[name]));
+            }
+        });
+    }
+
+    /**
+     * Send a single webhook request without following events.
+     * 
+     * @private
+     * @param {Object} turn The turn.
+     * @returns the webhook response body.
+     */
+    async _sendOnce(turn) {
+        this._requestCount++;
+
+        const request = this.buildRequest(turn);
+        const response = new SimulatedResponse();
+
+        await this._client.handleRequest(request, response);
+
+        const body = (response.body != undefined) ? response.body : {};
+        this._mergeSessionParameters((body.sessionInfo != undefined) ? body.sessionInfo.parameters : {});
+        return body;
+    }
+
+    /**
+     * Send a user turn through the webhook, following any follow-up events registered with the simulator.
+     * 
+     * @example
+     * const result = await simulator.send({
+     *     action: 'account.balance',
+     *     parameters: { accountType: 'savings' },
+     *     queryText: 'What is my savings balance?'
+     * });
+     * console.log(result.fulfillmentText);
+     * 
+     * @param {Object} turn The turn (action, parameters, queryText, fulfillmentText, payload, intentName).
+     * @returns the turn result with the final fulfillmentText, fulfillmentMessages, followupEvent, the
+     *     events followed, and the raw webhook responses.
+     */
+    async send(turn) {
+        if (turn == undefined || turn.action == undefined) { throw new Error('action is a required parameter for sending simulated turns.'); }
+
+        let responses = [];
+        let events = [];
+        let body = await this._sendOnce(turn);
+        responses.push(body);
+
+        while (_getFollowupEvent(body) != undefined && this._events[_getFollowupEvent(body)] != undefined) {
+            const eventName = _getFollowupEvent(body);
+            if (events.length >= this._maxEventHops) {
+                throw new Error('Exceeded '+this._maxEventHops+' follow-up event hops at event '+eventName+'.');
+            }
+            events.push(eventName);
+            body = await this._sendOnce(this._events[eventName]);
+            responses.push(body);
+        }
+
+        const fulfillmentMessages = (body.fulfillmentResponse != undefined) ? body.fulfillmentResponse.messages : [];
+        return {
+            fulfillmentText: fulfillmentMessages
+                .filter((message) => message.text != undefined)
+                .map((message) => message.text.text.join(' '))
+                .join('  '),
+            fulfillmentMessages: fulfillmentMessages,
+            followupEvent: _getFollowupEvent(body),
+            events: events,
+            responses: responses
+        };
+    }
+}
+
+/**
+ * Extract the follow-up event from a webhook response body.
+ * 
+ * @param {Object} body The webhook response body.
+ * @returns the follow-up event name, or undefined if none.
+ */
+function _getFollowupEvent(body) {
+    const parameters = (body.sessionInfo != undefined && body.sessionInfo.parameters != undefined) ? body.sessionInfo.parameters : {};
+    return (parameters[FOLLOWUP_EVENT_PARAM] != undefined) ? parameters[FOLLOWUP_EVENT_PARAM] : undefined;
+}
+
+module.exports = {DialogflowCxSimulator};
\ No newline at end of file
@@ -0,0 +1,421 @@
+/**
+ * Copyright 2022 Justin Randall, Cisco Systems Inc. All Rights Reserved.
+ * 
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU
+ * General Public License as published by the Free Software Foundation, either version 3 of the License, or 
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without 
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. 
+ * See the GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License along with this program. If not, 
+ * see <https://www.gnu.org/licenses/>.
+ */
+
+const { DialogFlowEsClient } = require('../clients/dialogflow-es');
+
+// Define Simulator Constants.
+const DEF_SESSION_ID = 'simulated-session';
+const DEF_PROJECT_ID = 'simulated-project';
+const DEF_LANGUAGE_CODE = 'en';
+const DEF_MAX_EVENT_HOPS = 5;
+
+/**
+ * This class represents a fake HTTP response capturing the webhook response body.
+ */
+class SimulatedResponse {
+
+    /**
+     * Constructor for SimulatedResponse objects.
+     */
+    constructor() {
+        /**
+         * The HTTP status code.
+         * 
+         * @type {number}
+         */
+        this.statusCode = 200;
+
+        /**
+         * The webhook response body.
+         * 
+         * @type {Object}
+         */
+        this.body = undefined;
+    }
+
+    /**
+     * Sets the HTTP status code.
+     * 
+     * @param {number} code The status code.
+     * @returns this response.
+     */
+    status(code) {
+        this.statusCode = code;
+        return this;
+    }
+
+    /**
+     * Captures the JSON response body.
+     * 
+     * @param {Object} body The response body.
+     * @returns this response.
+     */
+    json(body) {
+        this.body = body;
+        return this;
+    }
+
+    /**
+     * Captures the response body.
+     * 
+     * @param {Object} body The response body.
+     * @returns this response.
+     */
+    send(body) {
+        this.body = body;
+        return this;
+    }
+}
+
+/**
+ * This class simulates Dialogflow ES calling the webhook fulfillment for a single session.
+ * 
+ * Each turn builds a synthetic WebhookRequest, runs it through the client's handleRequest(),
+ * and carries the returned output contexts into the next turn like Dialogflow would.
+ */
+class DialogFlowEsSimulator {
+
+    /**
+     * Constructor for DialogFlowEsSimulator objects.
+     * 
+     * @example
+     * const { DialogFlowEsSimulator } = require(codingforconvos);
+     * const simulator = new DialogFlowEsSimulator({
+     *     client: convoClient,
+     *     payload: { customerIdentified: 'true' },
+     *     events: {
+     *         'SayIntro': { action: 'welcome.sayintro', fulfillmentText: 'My name is Justin.' }
+     *     }
+     * });
+     * const result = await simulator.send({ action: 'welcome', queryText: 'Hi there!' });
+     * 
+     * @param {Object} params The constructor parameters.
+     */
+    constructor(params) {
+        // Validate the input parameters.
+        if (params == undefined) { throw new Error('parameters object for creating DialogFlowEsSimulator objects is missing.'); }
+        if (params.client == undefined) { throw new Error('client is a required parameter for creating DialogFlowEsSimulator objects.'); }
+        if (!(params.client instanceof DialogFlowEsClient)) { throw new Error('client must be a DialogFlowEsClient for creating DialogFlowEsSimulator objects.'); }
+
+        /**
+         * The webhook client under test.
+         * 
+         * @private
+         * @type {DialogFlowEsClient}
+         */
+        this._client = params.client;
+
+        /**
+         * The simulated session ID.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._sessionId = (params.sessionId != undefined) ? params.sessionId : DEF_SESSION_ID;
+
+        /**
+         * The simulated session path.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._session = 'projects/'+((params.projectId != undefined) ? params.projectId : DEF_PROJECT_ID)+'/agent/sessions/'+this._sessionId;
+
+        /**
+         * The language code sent on each request.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._languageCode = (params.languageCode != undefined) ? params.languageCode : DEF_LANGUAGE_CODE;
+
+        /**
+         * The default originalDetectIntentRequest payload sent on each request.
+         * 
+         * @private
+         * @type {Object}
+         */
+        this._payload = (params.payload != undefined) ? params.payload : {};
+
+        /**
+         * The map of follow-up event names to the turns Dialogflow would match for them.
+         * 
+         * @private
+         * @type {Object}
+         */
+        this._events = (params.events != undefined) ? params.events : {};
+
+        /**
+         * The maximum number of follow-up event hops followed in a single turn.
+         * 
+         * @private
+         * @type {number}
+         */
+        this._maxEventHops = (params.maxEventHops != undefined) ? params.maxEventHops : DEF_MAX_EVENT_HOPS;
+
+        /**
+         * Whether output context parameters are merged into the active context, like Dialogflow ES does,
+         * rather than replacing its parameters.
+         * 
+         * @private
+         * @type {boolean}
+         */
+        this._mergeParams = (params.mergeParams != undefined) ? params.mergeParams : true;
+
+        /**
+         * The active contexts carried between turns.
+         * 
+         * @private
+         * @type {Map}
+         */
+        this._contexts = new Map();
+
+        /**
+         * The number of webhook requests sent.
+         * 
+         * @private
+         * @type {number}
+         */
+        this._requestCount = 0;
+
+        this.send = this.send.bind(this);
+        this.buildRequest = this.buildRequest.bind(this);
+        this.getContext = this.getContext.bind(this);
+        this.reset = this.reset.bind(this);
+    }
+
+    /**
+     * Gets the session ID.
+     * 
+     * @return The session ID.
+     */
+    get sessionId() { return this._sessionId; }
+
+    /**
+     * Gets the session path.
+     * 
+     * @return The session path.
+     */
+    get session() { return this._session; }
+
+    /**
+     * Gets the number of webhook requests sent.
+     * 
+     * @return The number of webhook requests sent.
+     */
+    get requestCount() { return this._requestCount; }
+
+    /**
+     * Gets the active contexts as an array of name, lifespan and parameters objects.
+     * 
+     * @return The active contexts.
+     */
+    get contexts() { return Array.from(this._contexts.values()); }
+
+    /**
+     * Retrieve an active context by name.
+     * 
+     * @param {string} name The context name.
+     * @returns the context, or undefined if not active.
+     */
+    getContext(name) {
+        return this._contexts.get(name);
+    }
+
+    /**
+     * Clear all active contexts to start a new conversation on the same session.
+     */
+    reset() {
+        this._contexts.clear();
+        this._requestCount = 0;
+    }
+
+    /**
+     * Build a synthetic Dialogflow ES WebhookRequest for a turn.
+     * 
+     * @param {Object} turn The turn (action, parameters, queryText, fulfillmentText, payload, intentName).
+     * @returns the HTTP request object.
+     */
+    buildRequest(turn) {
+        const fulfillmentText = (turn.fulfillmentText != undefined) ? turn.fulfillmentText : '';
+        const outputContexts = this.contexts.map((context) => {
+            return {
+                name: this._session+'/contexts/'+context.name,
+                lifespanCount: context.lifespan,
+                parameters: JSON.parse(JSON.stringify(context.parameters))
+            };
+        });
+
+        return {
+            headers: {},
+            body: {
+                responseId: this._sessionId+'-'+this._requestCount,
+                session: this._session,
+                queryResult: {
+                    queryText: (turn.queryText != undefined) ? turn.queryText : '',
+                    action: turn.action,
+                    parameters: (turn.parameters != undefined) ? turn.parameters : {},
+                    allRequiredParamsPresent: true,
+                    fulfillmentText: fulfillmentText,
+                    fulfillmentMessages: [ { text: { text: [ fulfillmentText ] } } ],
+                    outputContexts: outputContexts,
+                    intent: {
+                        name: 'projects/simulated-project/agent/intents/'+turn.action,
+                        displayName: (turn.intentName != undefined) ? turn.intentName : turn.action
+                    },
+                    intentDetectionConfidence: 1,
+                    languageCode: this._languageCode
+                },
+                originalDetectIntentRequest: {
+                    source: 'simulator',
+                    payload: (turn.payload != undefined) ? turn.payload : this._payload
+                }
+            }
+        };
+    }
+
+    /**
+     * Age the active contexts by one turn, like Dialogflow does before matching the next intent.
+     * 
+     * @private
+     */
+    _ageContexts() {
+        this._contexts.forEach((context) => {
+            context.lifespan = context.lifespan - 1;
+        });
+    }
+
+    /**
+     * Drop the contexts whose lifespan has expired.
+     * 
+     * @private
+     */
+    _dropExpiredContexts() {
+        this._contexts.forEach((context, name) => {
+            if (context.lifespan <= 0) {
+                this._contexts.delete(name);
+            }
+        });
+    }
+
+    /**
+     * Apply the output contexts from a webhook response to the active contexts.  Parameters missing
+     * from an output context keep their previous values unless mergeParams is false.
+     * 
+     * @private
+     * @param {Array} outputContexts The webhook response output contexts.
+     */
+    _applyOutputContexts(outputContexts) {
+        (outputContexts || []).forEach((outputContext) => {
+            const name = outputContext.name.split('/').pop();
+            const lifespan = (outputContext.lifespanCount != undefined) ? outputContext.lifespanCount : 5;
+            if (lifespan <= 0) {
+                this._contexts.delete(name);
+                return;
+            }
+            const parameters = JSON.parse(JSON.stringify((outputContext.parameters != undefined) ? outputContext.parameters : {}));
+            const activeContext = this._contexts.get(name);
+            this._contexts.set(name, {
+                name: name,
+                lifespan: lifespan,
+                parameters: (this._mergeParams && activeContext !== undefined) ? Object.assign(activeContext.parameters, parameters) : parameters
+            });
+        });
+    }
+
+    /**
+     * Send a single webhook request without following events.
+     * 
+     * @private
+     * @param {Object} turn The turn.
+     * @returns the webhook response body.
+     */
+    async _sendOnce(turn) {
+        this._requestCount++;
+        this._ageContexts();
+
+        const request = this.buildRequest(turn);
+        const response = new SimulatedResponse();
+
+        await this._client.handleRequest(request, response);
+
+        const body = (response.body != undefined) ? response.body : {};
+        this._applyOutputContexts(body.outputContexts);
+        this._dropExpiredContexts();
+        return body;
+    }
+
+    /**
+     * Send a user turn through the webhook, following any follow-up events registered with the simulator.
+     * 
+     * @example
+     * const result = await simulator.send({
+     *     action: 'account.balance',
+     *     parameters: { accountType: 'savings' },
+     *     queryText: 'What is my savings balance?'
+     * });
+     * console.log(result.fulfillmentText);
+     * 
+     * @param {Object} turn The turn (action, parameters, queryText, fulfillmentText, payload, intentName).
+     * @returns the turn result with the final fulfillmentText, fulfillmentMessages, followupEvent, the
+     *     events followed, and the raw webhook responses.
+     */
+    async send(turn) {
+        if (turn == undefined || turn.action == undefined) { throw new Error('action is a required parameter for sending simulated turns.'); }
+
+        let responses = [];
+        let events = [];
+        let body = await this._sendOnce(turn);
+        responses.push(body);
+
+        while (body.followupEventInput != undefined && this._events[body.followupEventInput.name] != undefined) {
+            if (events.length >= this._maxEventHops) {
+                throw new Error('Exceeded '+this._maxEventHops+' follow-up event hops at event '+body.followupEventInput.name+'.');
+            }
+            const eventName = body.followupEventInput.name;
+            events.push(eventName);
+            body = await this._sendOnce(Object.assign({}, this._events[eventName], {
+                parameters: Object.assign({}, body.followupEventInput.parameters, this._events[eventName].parameters)
+            }));
+            responses.push(body);
+        }
+
+        return {
+            fulfillmentText: _getFulfillmentText(body),
+            fulfillmentMessages: (body.fulfillmentMessages != undefined) ? body.fulfillmentMessages : [],
+            followupEvent: (body.followupEventInput != undefined) ? body.followupEventInput.name : undefined,
+            events: events,
+            responses: responses
+        };
+    }
+}
+
+/**
+ * Extract the fulfillment text from a webhook response body.
+ * 
+ * @param {Object} body The webhook response body.
+ * @returns the fulfillment text.
+ */
+function _getFulfillmentText(body) {
+    if (body.fulfillmentText != undefined) {
+        return body.fulfillmentText;
+    }
+    return (body.fulfillmentMessages || [])
+        .filter((message) => message.text != undefined)
+        .map((message) => message.text.text.join(' '))
+        .join('  ');
+}
+
+module.exports = {DialogFlowEsSimulator,SimulatedResponse};
\ No newline at end of file
@@ -0,0 +1,257 @@
+/**
+ * Copyright 2022 Justin Randall, Cisco Systems Inc. All Rights Reserved.
+ * 
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU
+ * General Public License as published by the Free Software Foundation, either version 3 of the License, or 
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without 
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. 
+ * See the GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License along with this program. If not, 
+ * see <https://www.gnu.org/licenses/>.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { SESSION_PROPS } = require('../convos');
+const { getSequenceStackNames } = require('../stacks');
+const { REDACTED } = require('../redaction');
+const { DialogFlowEsSimulator } = require('./dialogflow-es');
+
+/**
+ * Load a transcript script from a JSON or YAML file.
+ * 
+ * @example
+ * const script = loadTranscript('./test/transcripts/passwordreset.yaml');
+ * 
+ * @param {string} filePath The transcript file path.
+ * @returns the transcript script.
+ */
+function loadTranscript(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+    const script = (extension === '.yaml' || extension === '.yml') ? yaml.load(text) : JSON.parse(text);
+
+    if (script == undefined || typeof script !== 'object') { throw new Error('Transcript '+filePath+' is empty or malformed.'); }
+    if (script.name == undefined) {
+        script.name = path.basename(filePath, extension);
+    }
+    return script;
+}
+
+/**
+ * Compare an expected turn field with the actual value.
+ * 
+ * @param {Array} diffs         The list of diffs to append to.
+ * @param {string} field        The field name.
+ * @param {*} expected          The expected value.
+ * @param {*} actual            The actual value.
+ */
+function _compare(diffs, field, expected, actual) {
+    if (expected === undefined) {
+        return;
+    }
+    if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+        diffs.push({ field: field, expected: expected, actual: actual });
+    }
+}
+
+/**
+ * Mask the sensitive values in a turn diff, so that transcript reports don't leak personal data.
+ * 
+ * @param {Redactor} redactor       The client's redactor.
+ * @param {Object} diff             The turn diff.
+ * @param {Object} sessionParams    The session parameters holding the current sensitive values.
+ * @returns the redacted diff.
+ */
+function _redactDiff(redactor, diff, sessionParams) {
+    if (diff.field.startsWith('params.') && redactor.isSensitive(diff.field.substring('params.'.length))) {
+        return { field: diff.field, expected: REDACTED, actual: REDACTED };
+    }
+    return {
+        field: diff.field,
+        expected: redactor.redactParams(redactor.redactText(diff.expected, sessionParams)),
+        actual: redactor.redactParams(redactor.redactText(diff.actual, sessionParams))
+    };
+}
+
+/**
+ * This class replays scripted transcripts against a webhook client and reports diffs per turn.
+ * 
+ * A transcript script has a name, an optional default payload, the follow-up events to follow,
+ * and a list of turns.  Each turn has the user input and the expected results.  Sensitive values
+ * are masked in the reported diffs using the client's redactor.
+ * 
+ * Transcripts are replayed with the DialogFlowEsSimulator unless another simulator class is given,
+ * for example the DialogflowCxSimulator for a DialogflowCxClient.
+ * 
+ * @example
+ * name: password reset
+ * payload:
+ *   customerIdentified: 'true'
+ * events:
+ *   AskOtp: { action: 'passwordreset.ask.otp', fulfillmentText: 'What is your code?' }
+ * turns:
+ *   - user: { action: 'passwordreset', queryText: 'I forgot my password' }
+ *     expect:
+ *       events: [ 'AskOtp' ]
+ *       fulfillmentText: 'What is your code?'
+ *       sequenceCurrent: 'passwordreset'
+ *       sequenceStack: [ 'reasonforcontact', 'passwordreset' ]
+ */
+class TranscriptRunner {
+
+    /**
+     * Constructor for TranscriptRunner objects.
+     * 
+     * @example
+     * const { TranscriptRunner } = require(codingforconvos);
+     * const runner = new TranscriptRunner({ client: convoClient });
+     * const cxRunner = new TranscriptRunner({ client: cxClient, simulatorClass: DialogflowCxSimulator });
+     * const results = await runner.runFiles(['./test/transcripts/passwordreset.yaml']);
+     * console.log(runner.formatResults(results));
+     * 
+     * @param {Object} params The constructor parameters.
+     */
+    constructor(params) {
+        // Validate the input parameters.
+        if (params == undefined) { throw new Error('parameters object for creating TranscriptRunner objects is missing.'); }
+        if (params.client == undefined) { throw new Error('client is a required parameter for creating TranscriptRunner objects.'); }
+
+        /**
+         * The webhook client under test.
+         * 
+         * @private
+         * @type {ConvoClient}
+         */
+        this._client = params.client;
+
+        /**
+         * The simulator class replaying the transcripts against the client.
+         * 
+         * @private
+         * @type {Function}
+         */
+        this._simulatorClass = (params.simulatorClass != undefined) ? params.simulatorClass : DialogFlowEsSimulator;
+
+        /**
+         * The follow-up events shared by all transcripts.
+         * 
+         * @private
+         * @type {Object}
+         */
+        this._events = (params.events != undefined) ? params.events : {};
+
+        /**
+         * The number of transcripts run, used to keep simulated sessions unique.
+         * 
+         * @private
+         * @type {number}
+         */
+        this._runCount = 0;
+
+        this.runTranscript = this.runTranscript.bind(this);
+        this.runFiles = this.runFiles.bind(this);
+        this.formatResults = this.formatResults.bind(this);
+    }
+
+    /**
+     * Replay a transcript script.
+     * 
+     * @param {Object} script The transcript script.
+     * @returns the transcript result with per-turn diffs.
+     */
+    async runTranscript(script) {
+        if (script.turns == undefined) { throw new Error('turns is a required field for transcript '+script.name+'.'); }
+
+        this._runCount++;
+        const simulator = new this._simulatorClass({
+            client: this._client,
+            sessionId: 'transcript-'+this._runCount,
+            payload: script.payload,
+            languageCode: script.languageCode,
+            events: Object.assign({}, this._events, script.events)
+        });
+
+        let turnResults = [];
+        for (let index = 0; index < script.turns.length; index++) {
+            const turn = script.turns[index];
+            const expect = (turn.expect != undefined) ? turn.expect : {};
+            let diffs = [];
+            let sessionParams = {};
+
+            try {
+                const result = await simulator.send(turn.user);
+                const sessionProps = simulator.getContext(SESSION_PROPS);
+                sessionParams = (sessionProps != undefined) ? sessionProps.parameters : {};
+
+                // The first response's follow-up event is the first event followed, if any were.
+                _compare(diffs, 'fulfillmentText', expect.fulfillmentText, result.fulfillmentText);
+                _compare(diffs, 'followupEvent', expect.followupEvent, (result.events.length > 0) ? result.events[0] : result.followupEvent);
+                _compare(diffs, 'events', expect.events, result.events);
+                _compare(diffs, 'sequenceCurrent', expect.sequenceCurrent, sessionParams.sequenceCurrent);
+                _compare(diffs, 'sequenceStack', (typeof expect.sequenceStack === 'string') ? expect.sequenceStack.split('|') : expect.sequenceStack,
+                    getSequenceStackNames(sessionParams.sequenceStack));
+                for (var param in expect.params) {
+                    _compare(diffs, 'params.'+param, expect.params[param], sessionParams[param]);
+                }
+            } catch (err) {
+                diffs.push({ field: 'error', expected: undefined, actual: err.message });
+            }
+
+            turnResults.push({
+                index: index,
+                action: (turn.user != undefined) ? turn.user.action : undefined,
+                passed: (diffs.length === 0),
+                diffs: diffs.map((diff) => _redactDiff(this._client.redactor, diff, sessionParams))
+            });
+        }
+
+        return {
+            name: script.name,
+            passed: turnResults.every((turnResult) => turnResult.passed),
+            turns: turnResults
+        };
+    }
+
+    /**
+     * Load and replay a list of transcript files.
+     * 
+     * @param {Array} filePaths The transcript file paths.
+     * @returns the list of transcript results.
+     */
+    async runFiles(filePaths) {
+        let results = [];
+        for (const filePath of filePaths) {
+            results.push(await this.runTranscript(loadTranscript(filePath)));
+        }
+        return results;
+    }
+
+    /**
+     * Format transcript results as a human-readable report.
+     * 
+     * @param {Array} results The transcript results.
+     * @returns the report text.
+     */
+    formatResults(results) {
+        let lines = [];
+        results.forEach((result) => {
+            lines.push(((result.passed) ? 'PASS' : 'FAIL')+' '+result.name);
+            result.turns
+                .filter((turnResult) => !turnResult.passed)
+                .forEach((turnResult) => {
+                    lines.push('  turn '+(turnResult.index+1)+' ('+turnResult.action+'):');
+                    turnResult.diffs.forEach((diff) => {
+                        lines.push('    '+diff.field+': expected '+JSON.stringify(diff.expected)+', got '+JSON.stringify(diff.actual));
+                    });
+                });
+        });
+        return lines.join('\n');
+    }
+}
+
+module.exports = {TranscriptRunner,loadTranscript};
\ No newline at end of file
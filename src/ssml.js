@@ -0,0 +1,227 @@
+/**
+ * Copyright 2022 Justin Randall, Cisco Systems Inc. All Rights Reserved.
+ * 
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU
+ * General Public License as published by the Free Software Foundation, either version 3 of the License, or 
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without 
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. 
+ * See the GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License along with this program. If not, 
+ * see <https://www.gnu.org/licenses/>.
+ */
+
+const { Payload } = require('dialogflow-fulfillment');
+
+// Define SSML Constants.
+const TELEPHONY_PLATFORM = 'TELEPHONY';
+const EMPHASIS_LEVELS = ['strong', 'moderate', 'reduced', 'none'];
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&apos;' };
+
+/**
+ * Escape text for use in SSML.
+ * 
+ * @param {string} text The text.
+ * @returns the escaped text.
+ */
+function _escape(text) {
+    return String(text).replace(/[&<>"']/g, (char) => XML_ESCAPES[char]);
+}
+
+/**
+ * This class builds a prompt as SSML for voice channels, which renders as plain text for text channels.
+ * 
+ * Pauses are dropped from the plain text, say-as and emphasis keep their text, and audio clips are
+ * replaced by their fallback text.
+ */
+class SsmlBuilder {
+
+    /**
+     * Constructor for SsmlBuilder objects.
+     * 
+     * @example
+     * const { SsmlBuilder } = require(codingforconvos);
+     * const prompt = new SsmlBuilder()
+     *     .audio('https://example.com/chime.wav', '')
+     *     .say('Your code is')
+     *     .digits('4821')
+     *     .pause(500)
+     *     .emphasis('Do not share it.');
+     * prompt.toSsml(); // '<speak><audio src="https://example.com/chime.wav"></audio> Your code is <say-as interpret-as="characters">4821</say-as> <break time="500ms"/> <emphasis level="moderate">Do not share it.</emphasis></speak>'
+     * prompt.toText(); // 'Your code is 4821 Do not share it.'
+     */
+    constructor() {
+        /**
+         * The prompt parts, each with its SSML and plain text rendering.
+         * 
+         * @private
+         * @type {Array}
+         */
+        this._parts = [];
+
+        this.say = this.say.bind(this);
+        this.pause = this.pause.bind(this);
+        this.sayAs = this.sayAs.bind(this);
+        this.digits = this.digits.bind(this);
+        this.date = this.date.bind(this);
+        this.emphasis = this.emphasis.bind(this);
+        this.audio = this.audio.bind(this);
+        this.append = this.append.bind(this);
+        this.toSsml = this.toSsml.bind(this);
+        this.toText = this.toText.bind(this);
+    }
+
+    /**
+     * Add text.
+     * 
+     * @param {string} text The text.
+     * @returns the builder.
+     */
+    say(text) {
+        this._parts.push({ ssml: _escape(text), text: String(text) });
+        return this;
+    }
+
+    /**
+     * Add a pause.
+     * 
+     * @param {number|string} duration The duration in milliseconds, or an SSML time like '1s'.
+     * @returns the builder.
+     */
+    pause(duration) {
+        const time = (typeof duration === 'number') ? duration+'ms' : duration;
+        this._parts.push({ ssml: '<break time="'+_escape(time)+'"/>', text: '' });
+        return this;
+    }
+
+    /**
+     * Add text with a say-as interpretation.
+     * 
+     * @param {string} text         The text.
+     * @param {string} interpretAs  The interpretation, for example 'cardinal', 'telephone' or 'time'.
+     * @param {string} format       The optional format.
+     * @returns the builder.
+     */
+    sayAs(text, interpretAs, format) {
+        const formatAttr = (format != undefined) ? ' format="'+_escape(format)+'"' : '';
+        this._parts.push({ ssml: '<say-as interpret-as="'+_escape(interpretAs)+'"'+formatAttr+'>'+_escape(text)+'</say-as>', text: String(text) });
+        return this;
+    }
+
+    /**
+     * Add digits, spoken one at a time.
+     * 
+     * @param {string} digits The digits.
+     * @returns the builder.
+     */
+    digits(digits) {
+        return this.sayAs(digits, 'characters');
+    }
+
+    /**
+     * Add a date.
+     * 
+     * @param {string} date     The date.
+     * @param {string} format   The date format, defaults to 'yyyymmdd' for ISO dates.
+     * @returns the builder.
+     */
+    date(date, format = 'yyyymmdd') {
+        return this.sayAs(date, 'date', format);
+    }
+
+    /**
+     * Add emphasized text.
+     * 
+     * @param {string} text     The text.
+     * @param {string} level    The emphasis level: strong, moderate, reduced, or none.  Defaults to moderate.
+     * @returns the builder.
+     */
+    emphasis(text, level = 'moderate') {
+        if (!EMPHASIS_LEVELS.includes(level)) { throw new Error('emphasis level must be one of '+EMPHASIS_LEVELS.join(', ')+'.'); }
+        this._parts.push({ ssml: '<emphasis level="'+level+'">'+_escape(text)+'</emphasis>', text: String(text) });
+        return this;
+    }
+
+    /**
+     * Add an audio clip.
+     * 
+     * @param {string} src          The audio URL.
+     * @param {string} fallbackText The text spoken if the clip can't be played, and used for text channels.
+     * @returns the builder.
+     */
+    audio(src, fallbackText = '') {
+        this._parts.push({ ssml: '<audio src="'+_escape(src)+'">'+_escape(fallbackText)+'</audio>', text: fallbackText });
+        return this;
+    }
+
+    /**
+     * Add the parts of another prompt.
+     * 
+     * @param {SsmlBuilder} prompt The prompt.
+     * @returns the builder.
+     */
+    append(prompt) {
+        this._parts = this._parts.concat(prompt._parts);
+        return this;
+    }
+
+    /**
+     * Render the prompt as SSML.
+     * 
+     * @returns the SSML.
+     */
+    toSsml() {
+        return '<speak>'+this._parts.map((part) => part.ssml).join(' ')+'</speak>';
+    }
+
+    /**
+     * Render the prompt as plain text.
+     * 
+     * @returns the plain text.
+     */
+    toText() {
+        return this._parts.map((part) => part.text).filter((text) => text !== '').join(' ');
+    }
+}
+
+/**
+ * This class represents a Dialogflow ES telephony speech response, which the phone gateway
+ * synthesizes in place of the text responses.  It's sent as a TELEPHONY platform message, so
+ * only one can be added per turn.
+ */
+class TelephonySpeech extends Payload {
+
+    /**
+     * Constructor for TelephonySpeech objects.
+     * 
+     * @example
+     * dialogflowAgent.add(new TelephonySpeech('<speak>Hello.</speak>'));
+     * 
+     * @param {string} ssml The SSML.
+     */
+    constructor(ssml) {
+        if (ssml == undefined) { throw new Error('ssml is a required parameter for creating TelephonySpeech objects.'); }
+        super(TELEPHONY_PLATFORM, { telephonySynthesizeSpeech: { ssml: ssml } }, { sendAsMessage: true, rawPayload: true });
+
+        /**
+         * The SSML.
+         * 
+         * @type {string}
+         */
+        this.ssml = ssml;
+    }
+
+    /**
+     * Get the Dialogflow ES v2 response message.
+     * 
+     * @private
+     * @returns the response message.
+     */
+    getV2ResponseObject_() {
+        return { platform: TELEPHONY_PLATFORM, telephonySynthesizeSpeech: { ssml: this.ssml } };
+    }
+}
+
+module.exports = {SsmlBuilder,TelephonySpeech};
\ No newline at end of file
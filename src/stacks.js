@@ -0,0 +1,73 @@
+/**
+ * Copyright 2022 Justin Randall, Cisco Systems Inc. All Rights Reserved.
+ * 
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU
+ * General Public License as published by the Free Software Foundation, either version 3 of the License, or 
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without 
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. 
+ * See the GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License along with this program. If not, 
+ * see <https://www.gnu.org/licenses/>.
+ */
+
+// Define Sequence Stack Constants.
+const LEGACY_STACK_DELIMITER = '|';
+
+/**
+ * Create a sequence stack frame.
+ * 
+ * @example
+ * const frame = createSequenceFrame('passwordreset', 'passwordreset.start');
+ * // { name: 'passwordreset', enteredAt: '2022-06-01T12:00:00.000Z', triggerAction: 'passwordreset.start', step: '', result: {} }
+ * 
+ * @param {string} name             The sequence name.
+ * @param {string} triggerAction    The action that pushed the sequence.
+ * @returns the sequence stack frame.
+ */
+function createSequenceFrame(name, triggerAction) {
+    return {
+        name: name,
+        enteredAt: new Date().toISOString(),
+        triggerAction: (triggerAction != undefined) ? triggerAction : '',
+        step: '',
+        result: {}
+    };
+}
+
+/**
+ * Convert a sequence stack to an array of frames, migrating the legacy pipe-delimited string format
+ * still held by live sessions.  Migrated frames have no entry time, trigger action, or step.
+ * 
+ * @example
+ * migrateSequenceStack('reasonforcontact|passwordreset');
+ * // [ { name: 'reasonforcontact', ... }, { name: 'passwordreset', ... } ]
+ * 
+ * @param {*} sequenceStack The sequence stack session parameter.
+ * @returns the array of sequence stack frames.
+ */
+function migrateSequenceStack(sequenceStack) {
+    if (Array.isArray(sequenceStack)) {
+        return sequenceStack;
+    }
+    if (typeof sequenceStack !== 'string' || sequenceStack === '') {
+        return [];
+    }
+    return sequenceStack.split(LEGACY_STACK_DELIMITER).map((name) => {
+        return { name: name, enteredAt: '', triggerAction: '', step: '', result: {} };
+    });
+}
+
+/**
+ * Get the sequence names on a sequence stack, from the bottom to the top.
+ * 
+ * @param {*} sequenceStack The sequence stack session parameter.
+ * @returns the array of sequence names.
+ */
+function getSequenceStackNames(sequenceStack) {
+    return migrateSequenceStack(sequenceStack).map((frame) => frame.name);
+}
+
+module.exports = {createSequenceFrame,migrateSequenceStack,getSequenceStackNames};
\ No newline at end of file
@@ -0,0 +1,197 @@
+/**
+ * Copyright 2022 Justin Randall, Cisco Systems Inc. All Rights Reserved.
+ * 
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU
+ * General Public License as published by the Free Software Foundation, either version 3 of the License, or 
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without 
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. 
+ * See the GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License along with this program. If not, 
+ * see <https://www.gnu.org/licenses/>.
+ */
+
+// Define Step Constants.
+const SESSION_PARAM_PREFIX = 'session.';
+const MAX_STEP_JUMPS = 20;
+
+/**
+ * Check if a parameter value satisfies an expected condition value.
+ * 
+ * @param {*} expected  The expected value, or an array of accepted values.
+ * @param {*} actual    The actual value.
+ * @returns true if the value satisfies the condition, otherwise false.
+ */
+function _matchesValue(expected, actual) {
+    return (Array.isArray(expected)) ? expected.includes(actual) : expected === actual;
+}
+
+/**
+ * Check if a step's entry conditions are met.
+ * 
+ * Condition keys refer to the sequence context parameters, or to the session parameters
+ * when prefixed with 'session.'.
+ * 
+ * @param {Object} step                 The step definition.
+ * @param {Object} ctxParams            The sequence context parameters.
+ * @param {Object} sessionParams        The session parameters.
+ * @returns true if the entry conditions are met, otherwise false.
+ */
+function _isStepEntered(step, ctxParams, sessionParams) {
+    for (var key in step.when) {
+        if (!Object.prototype.hasOwnProperty.call(step.when, key)) {
+            continue;
+        }
+        const actual = (key.startsWith(SESSION_PARAM_PREFIX)) ? sessionParams[key.substring(SESSION_PARAM_PREFIX.length)] : ctxParams[key];
+        if (!_matchesValue(step.when[key], actual)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Run a step: set its parameters, emit its prompt, or follow its transition.
+ * 
+ * @param {Sequence} sequence           The sequence.
+ * @param {Object} step                 The step definition.
+ * @param {DialogContext} dialogContext The dialog context.
+ * @returns the name of the next step to run, or undefined when the turn is complete.
+ */
+function _runStep(sequence, step, dialogContext) {
+    const context = dialogContext.getOrCreateCtx(sequence.name);
+
+    if (step.set != undefined) {
+        dialogContext.setParams(context, step.set);
+    }
+
+    if (step.prompt != undefined) {
+        dialogContext.respondWithEvent(step.prompt);
+        return undefined;
+    }
+
+    const then = (step.then != undefined) ? step.then : { respond: true };
+
+    if (then.step != undefined) {
+        return then.step;
+    }
+
+    if (then.push != undefined) {
+        // Sequences may be registered in any order, so pushed sequences are checked when they're pushed.
+        const sequencePushed = dialogContext.contextManager.sequenceManager.get(then.push);
+        if (sequencePushed === undefined) {
+            throw new Error('Sequence '+sequence.name+' step '+step.name+' pushes unregistered sequence '+then.push+'.');
+        }
+        dialogContext.pushSequence(then.push);
+        dialogContext.logger.debug('navigateSteps', 'Calling '+sequencePushed.name+'.navigate()', dialogContext);
+        sequencePushed.navigate(dialogContext);
+        return undefined;
+    }
+
+    if (then.pop === true) {
+        if (then.event != undefined) {
+            dialogContext.popSequence(sequence.name);
+            dialogContext.respondWithEvent(then.event);
+            return undefined;
+        }
+        dialogContext.popSequenceAndNavigate(sequence.name);
+        return undefined;
+    }
+
+    if (then.event != undefined) {
+        dialogContext.respondWithEvent(then.event);
+        return undefined;
+    }
+
+    dialogContext.respondWithText();
+    return undefined;
+}
+
+/**
+ * Navigate a sequence defined by declarative steps.
+ * 
+ * The first step whose entry conditions are met is run.  A step either emits its prompt event,
+ * or follows its transition to another step, a pushed sequence, or the popped sequence.
+ * When no step is entered, the last fulfillment text is repeated.
+ * 
+ * @param {Sequence} sequence           The sequence.
+ * @param {DialogContext} dialogContext The dialog context.
+ */
+function navigateSteps(sequence, dialogContext) {
+    const context = dialogContext.getOrCreateCtx(sequence.name);
+    let step = sequence.steps.find((step) => _isStepEntered(step, context.parameters, dialogContext.params));
+
+    if (step === undefined) {
+        dialogContext.respondWithText();
+        return;
+    }
+
+    for (let jumps = 0; jumps < MAX_STEP_JUMPS; jumps++) {
+        dialogContext.setSequenceStep(sequence.name, step.name);
+        const nextStepName = _runStep(sequence, step, dialogContext);
+        if (nextStepName === undefined) {
+            return;
+        }
+        step = sequence.getStep(nextStepName);
+    }
+
+    throw new Error('Sequence '+sequence.name+' exceeded '+MAX_STEP_JUMPS+' step transitions at step '+step.name+'.');
+}
+
+/**
+ * Validate a sequence's declarative steps.
+ * 
+ * @example
+ * const problems = validateSteps(sequence, sequenceManager);
+ * if (problems.length > 0) {
+ *     throw new Error(problems.join('\n'));
+ * }
+ * 
+ * @param {Sequence} sequence                   The sequence.
+ * @param {SequenceManager} sequenceManager     The optional sequence manager for checking pushed sequences.
+ * @returns the list of problems found.
+ */
+function validateSteps(sequence, sequenceManager) {
+    let problems = [];
+    let names = new Set();
+
+    sequence.steps.forEach((step, index) => {
+        const label = 'Sequence '+sequence.name+' step '+((step.name != undefined) ? step.name : '#'+index);
+
+        if (step.name == undefined) {
+            problems.push(label+' is missing a name.');
+        } else if (names.has(step.name)) {
+            problems.push(label+' is defined more than once.');
+        }
+        names.add(step.name);
+
+        for (var key in step.when) {
+            if (!key.startsWith(SESSION_PARAM_PREFIX) && !Object.prototype.hasOwnProperty.call(sequence.params, key)) {
+                problems.push(label+' has an entry condition on undeclared parameter '+key+'.');
+            }
+        }
+
+        for (var param in step.set) {
+            if (!Object.prototype.hasOwnProperty.call(sequence.params, param)) {
+                problems.push(label+' sets undeclared parameter '+param+'.');
+            }
+        }
+
+        const then = step.then;
+        if (step.prompt != undefined && then != undefined) {
+            problems.push(label+' has both a prompt and a transition.');
+        }
+        if (then != undefined && then.step != undefined && !sequence.steps.some((target) => target.name === then.step)) {
+            problems.push(label+' transitions to unknown step '+then.step+'.');
+        }
+        if (then != undefined && then.push != undefined && sequenceManager != undefined && sequenceManager.get(then.push) === undefined) {
+            problems.push(label+' pushes unregistered sequence '+then.push+'.');
+        }
+    });
+
+    return problems;
+}
+
+module.exports = {navigateSteps,validateSteps};
\ No newline at end of file
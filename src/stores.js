@@ -0,0 +1,427 @@
+/**
+ * Copyright 2022 Justin Randall, Cisco Systems Inc. All Rights Reserved.
+ * 
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU
+ * General Public License as published by the Free Software Foundation, either version 3 of the License, or 
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without 
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. 
+ * See the GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License along with this program. If not, 
+ * see <https://www.gnu.org/licenses/>.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Define Session Store Default Constants.
+const DEF_SESSION_TTL = 1800000;
+const DEF_CLEANUP_INTERVAL = 60000;
+
+/**
+ * This class represents a server-side store of conversation state, keyed by session ID.
+ * 
+ * State that is too large or too sensitive for Dialogflow contexts is kept in the store, under the
+ * Dialogflow session ID, and never goes into the session props.  The session props carry no reference
+ * to the state either: a reference would come back in the request, where a caller could point it at
+ * another session's state, while the session ID always names the caller's own session.
+ * 
+ * Entries expire after the time to live since they were last saved.  Expired entries are removed by a
+ * timer every cleanup interval, which doesn't keep the process alive, or on demand by calling cleanup().
+ * 
+ * Extend this class and implement _read, _write, _delete and _entries to add a backend.
+ */
+class SessionStore {
+
+    /**
+     * Constructor for SessionStore objects.
+     * 
+     * @param {Object} params The optional constructor parameters.
+     */
+    constructor(params) {
+        const options = (params != undefined) ? params : {};
+
+        /**
+         * The time to live in milliseconds of the stored state since it was last saved.
+         * 
+         * @private
+         * @type {number}
+         */
+        this._ttl = (options.ttl != undefined) ? options.ttl : DEF_SESSION_TTL;
+
+        /**
+         * The time in milliseconds between removals of expired entries, or 0 to only remove them on demand.
+         * 
+         * @private
+         * @type {number}
+         */
+        this._cleanupInterval = (options.cleanupInterval != undefined) ? options.cleanupInterval : DEF_CLEANUP_INTERVAL;
+
+        /**
+         * The timer removing the expired entries, or undefined if the cleanup interval is 0.  A failed
+         * cleanup is tried again on the next interval, rather than failing the turns saving state.
+         * 
+         * @private
+         * @type {Object}
+         */
+        this._cleanupTimer = undefined;
+        if (this._cleanupInterval > 0) {
+            this._cleanupTimer = setInterval(() => this.cleanup().catch(() => {}), this._cleanupInterval);
+            this._cleanupTimer.unref();
+        }
+
+        this.get = this.get.bind(this);
+        this.set = this.set.bind(this);
+        this.delete = this.delete.bind(this);
+        this.cleanup = this.cleanup.bind(this);
+        this.close = this.close.bind(this);
+    }
+
+    /**
+     * Gets the time to live.
+     * 
+     * @return The time to live.
+     */
+    get ttl() { return this._ttl; }
+
+    /**
+     * Retrieve the state of a session.
+     * 
+     * @param {string} sessionId The session ID.
+     * @returns the state, or an empty object if the session has none or it expired.
+     */
+    async get(sessionId) {
+        const entry = await this._read(sessionId);
+        if (entry == undefined) {
+            return {};
+        }
+        if (Date.now() >= entry.expiresAt) {
+            await this._delete(sessionId);
+            return {};
+        }
+        return entry.state;
+    }
+
+    /**
+     * Save the state of a session, extending its expiry.
+     * 
+     * @param {string} sessionId    The session ID.
+     * @param {Object} state        The state.
+     */
+    async set(sessionId, state) {
+        await this._write(sessionId, { state: state, expiresAt: Date.now() + this._ttl });
+    }
+
+    /**
+     * Remove the state of a session.
+     * 
+     * @param {string} sessionId The session ID.
+     */
+    async delete(sessionId) {
+        await this._delete(sessionId);
+    }
+
+    /**
+     * Remove the expired entries.
+     * 
+     * @returns the number of removed entries.
+     */
+    async cleanup() {
+        const now = Date.now();
+        let removed = 0;
+        for (const [sessionId, entry] of await this._entries()) {
+            if (now >= entry.expiresAt) {
+                await this._delete(sessionId);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Stop the timer removing the expired entries.
+     */
+    close() {
+        if (this._cleanupTimer !== undefined) {
+            clearInterval(this._cleanupTimer);
+            this._cleanupTimer = undefined;
+        }
+    }
+
+    /**
+     * Read an entry from the backend.
+     * 
+     * @private
+     * @param {string} sessionId The session ID.
+     * @returns the entry, with its state and expiry time, or undefined if there is none.
+     */
+    async _read(sessionId) {
+        throw new Error('SessionStore backends must implement _read.');
+    }
+
+    /**
+     * Write an entry to the backend.
+     * 
+     * @private
+     * @param {string} sessionId    The session ID.
+     * @param {Object} entry        The entry, with its state and expiry time.
+     */
+    async _write(sessionId, entry) {
+        throw new Error('SessionStore backends must implement _write.');
+    }
+
+    /**
+     * Delete an entry from the backend.
+     * 
+     * @private
+     * @param {string} sessionId The session ID.
+     */
+    async _delete(sessionId) {
+        throw new Error('SessionStore backends must implement _delete.');
+    }
+
+    /**
+     * List the entries of the backend.
+     * 
+     * @private
+     * @returns the list of session ID and entry pairs.
+     */
+    async _entries() {
+        throw new Error('SessionStore backends must implement _entries.');
+    }
+}
+
+/**
+ * This class represents a session store holding the state in memory, for single instance deployments and tests.
+ */
+class MemorySessionStore extends SessionStore {
+
+    /**
+     * Constructor for MemorySessionStore objects.
+     * 
+     * @example
+     * const { MemorySessionStore } = require(codingforconvos);
+     * const sessionStore = new MemorySessionStore({
+     *     ttl: 900000,                // Milliseconds since last saved, defaults to 1800000.
+     *     cleanupInterval: 60000      // Milliseconds between removals of expired entries, defaults to 60000, 0 to only remove them on demand.
+     * });
+     * 
+     * @param {Object} params The optional constructor parameters.
+     */
+    constructor(params) {
+        super(params);
+
+        /**
+         * The entries, by session ID.
+         * 
+         * @private
+         * @type {Map}
+         */
+        this._sessions = new Map();
+    }
+
+    /**
+     * Gets the number of stored sessions.
+     * 
+     * @return The number of stored sessions.
+     */
+    get size() { return this._sessions.size; }
+
+    /**
+     * Read an entry from memory.
+     * 
+     * @private
+     * @param {string} sessionId The session ID.
+     * @returns the entry, or undefined if there is none.
+     */
+    async _read(sessionId) {
+        const entry = this._sessions.get(sessionId);
+        return (entry !== undefined) ? { state: JSON.parse(entry.state), expiresAt: entry.expiresAt } : undefined;
+    }
+
+    /**
+     * Write an entry to memory.
+     * 
+     * @private
+     * @param {string} sessionId    The session ID.
+     * @param {Object} entry        The entry, with its state and expiry time.
+     */
+    async _write(sessionId, entry) {
+        // Store a serialized copy, so that the caller's later changes aren't saved without set().
+        this._sessions.set(sessionId, { state: JSON.stringify(entry.state), expiresAt: entry.expiresAt });
+    }
+
+    /**
+     * Delete an entry from memory.
+     * 
+     * @private
+     * @param {string} sessionId The session ID.
+     */
+    async _delete(sessionId) {
+        this._sessions.delete(sessionId);
+    }
+
+    /**
+     * List the entries in memory.
+     * 
+     * @private
+     * @returns the list of session ID and entry pairs.
+     */
+    async _entries() {
+        return Array.from(this._sessions.entries());
+    }
+}
+
+/**
+ * This class represents a session store holding the state of each session in a JSON file.
+ */
+class FileSessionStore extends SessionStore {
+
+    /**
+     * Constructor for FileSessionStore objects.
+     * 
+     * @example
+     * const { FileSessionStore } = require(codingforconvos);
+     * const sessionStore = new FileSessionStore({
+     *     directory: '/var/lib/mybot/sessions',
+     *     ttl: 900000
+     * });
+     * 
+     * @param {Object} params The constructor parameters.
+     */
+    constructor(params) {
+        // Validate the input parameters.
+        if (params == undefined) { throw new Error('parameters object for creating FileSessionStore objects is missing.'); }
+        if (params.directory == undefined) { throw new Error('directory is a required parameter for creating FileSessionStore objects.'); }
+
+        super(params);
+
+        /**
+         * The directory holding the session files.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._directory = params.directory;
+
+        /**
+         * The number of writes started, used to name their temporary files.
+         * 
+         * @private
+         * @type {number}
+         */
+        this._writeCount = 0;
+    }
+
+    /**
+     * Gets the directory.
+     * 
+     * @return The directory.
+     */
+    get directory() { return this._directory; }
+
+    /**
+     * Get the file path of a session.  Session IDs are encoded so they can't escape the directory.
+     * 
+     * @private
+     * @param {string} sessionId The session ID.
+     * @returns the file path.
+     */
+    _getFilePath(sessionId) {
+        return path.join(this._directory, encodeURIComponent(sessionId)+'.json');
+    }
+
+    /**
+     * Read an entry from its session file.
+     * 
+     * @private
+     * @param {string} sessionId The session ID.
+     * @returns the entry, or undefined if there is none.
+     */
+    async _read(sessionId) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this._getFilePath(sessionId), 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return undefined;
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Write an entry to its session file.
+     * 
+     * @private
+     * @param {string} sessionId    The session ID.
+     * @param {Object} entry        The entry, with its state and expiry time.
+     */
+    async _write(sessionId, entry) {
+        await fs.promises.mkdir(this._directory, { recursive: true });
+
+        // Write to a temporary file first, so that readers never see a partially written file.  The
+        // counter keeps concurrent writes of the same session in this process from sharing a file.
+        this._writeCount = this._writeCount + 1;
+        const filePath = this._getFilePath(sessionId);
+        const tempPath = filePath+'.'+process.pid+'.'+this._writeCount+'.tmp';
+        await fs.promises.writeFile(tempPath, JSON.stringify(entry));
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    /**
+     * Delete the session file of an entry.
+     * 
+     * @private
+     * @param {string} sessionId The session ID.
+     */
+    async _delete(sessionId) {
+        try {
+            await fs.promises.unlink(this._getFilePath(sessionId));
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+        }
+    }
+
+    /**
+     * List the entries of the session files in the directory, skipping files that can't be parsed,
+     * such as a file left partially written by a crashed process.
+     * 
+     * @private
+     * @returns the list of session ID and entry pairs.
+     */
+    async _entries() {
+        let fileNames;
+        try {
+            fileNames = await fs.promises.readdir(this._directory);
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return [];
+            }
+            throw err;
+        }
+
+        let entries = [];
+        for (const fileName of fileNames.filter((name) => name.endsWith('.json'))) {
+            const sessionId = decodeURIComponent(fileName.slice(0, -'.json'.length));
+            let entry;
+            try {
+                entry = await this._read(sessionId);
+            } catch (err) {
+                if (err instanceof SyntaxError) {
+                    continue;
+                }
+                throw err;
+            }
+            if (entry !== undefined) {
+                entries.push([sessionId, entry]);
+            }
+        }
+        return entries;
+    }
+}
+
+module.exports = {SessionStore,MemorySessionStore,FileSessionStore};
\ No newline at end of file
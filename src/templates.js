@@ -0,0 +1,358 @@
+/**
+ * Copyright 2022 Justin Randall, Cisco Systems Inc. All Rights Reserved.
+ * 
+ * This program is free software: you can redistribute it and/or modify it under the terms of the GNU
+ * General Public License as published by the Free Software Foundation, either version 3 of the License, or 
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful, but WITHOUT ANY WARRANTY; without 
+ * even the implied warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. 
+ * See the GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License along with this program. If not, 
+ * see <https://www.gnu.org/licenses/>.
+ */
+
+// Define Template Constants.
+const TEMPLATE_REGEX = /\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*(?::([^{}]*))?)?\}/g;
+const DEF_LOCALE = 'en-US';
+const DEF_FALLBACK_LOCALE = 'en';
+const DIGIT_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+const DEF_TEMPLATES = {
+    authValidationFailed: 'I\'m sorry, but {sequence.activity} isn\'t something I can do without validating your identity.'
+};
+
+// Define Date Style Constants.
+// Spelled out rather than passed as dateStyle, which older Node releases ignore.
+const DATE_STYLES = {
+    full: { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' },
+    long: { year: 'numeric', month: 'long', day: 'numeric' },
+    medium: { year: 'numeric', month: 'short', day: 'numeric' },
+    short: { year: '2-digit', month: 'numeric', day: 'numeric' }
+};
+
+// Define Default Formatter Constants.
+const DEF_FORMATTERS = {
+    /**
+     * Format a number as currency, in US dollars unless a currency code is given.
+     */
+    currency: (value, currency, locale) => {
+        const amount = Number(value);
+        if (value === '' || isNaN(amount)) {
+            return String(value);
+        }
+        return new Intl.NumberFormat(locale, { style: 'currency', currency: (currency != undefined) ? currency : 'USD' }).format(amount);
+    },
+    /**
+     * Format an ISO date in the full, long, medium, or short style.  Defaults to long.
+     */
+    date: (value, style, locale) => {
+        const dateOnly = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+        const date = (value instanceof Date) ? value : new Date(dateOnly ? value+'T00:00:00Z' : value);
+        if (isNaN(date.getTime())) {
+            return String(value);
+        }
+        let options = Object.assign({}, DATE_STYLES[(style != undefined) ? style : 'long']);
+        if (dateOnly) {
+            options.timeZone = 'UTC';
+        }
+        return new Intl.DateTimeFormat(locale, options).format(date);
+    },
+    /**
+     * Spell out digits one at a time, separating groups with commas.
+     */
+    digits: (value) => {
+        return String(value).replace(/\D+/g, ' ').trim().split(' ')
+            .map((group) => group.split('').map((digit) => DIGIT_WORDS[digit]).join(' '))
+            .join(', ');
+    }
+};
+
+/**
+ * Normalize a locale for catalog lookups, for example 'fr_CA' to 'fr-ca'.
+ * 
+ * @param {string} locale The locale.
+ * @returns the normalized locale.
+ */
+function _normalizeLocale(locale) {
+    return String(locale).replace(/_/g, '-').toLowerCase();
+}
+
+/**
+ * Class for managing the registered response templates, message catalogs and formatters.
+ * 
+ * Templates fill {name} placeholders, which may name a formatter and its argument, for example
+ * {amount|currency:EUR}, {dueDate|date:short}, or {code|digits}.  The values are looked up by the
+ * caller, and the names without values and the unregistered formatter names are returned so that
+ * the caller can report them.
+ * 
+ * Catalogs hold the templates of a locale.  A template is resolved along the locale's fallback
+ * chain, for example fr-CA, then fr, then the default locale, and finally the templates registered
+ * without a locale.
+ */
+class TemplateManager {
+
+    /**
+     * Constructor for TemplateManager objects.
+     * 
+     * @example
+     * const { TemplateManager } = require(codingforconvos);
+     * const templateManager = new TemplateManager({
+     *     templates: { balance: 'Your balance is {accountBalance|currency}.' },
+     *     catalogs: {
+     *         'fr': { balance: 'Votre solde est de {accountBalance|currency}.' },
+     *         'fr-CA': { goodbye: 'Bonne journée!' }
+     *     },
+     *     defaultLocale: 'en',
+     *     formatters: { upper: (value) => String(value).toUpperCase() }
+     * });
+     * 
+     * @param {Object} params The optional constructor parameters.
+     */
+    constructor(params) {
+        const options = (params != undefined) ? params : {};
+
+        /**
+         * The templates, by name.
+         * 
+         * @private
+         * @type {Map}
+         */
+        this._templates = new Map(Object.entries(DEF_TEMPLATES));
+
+        /**
+         * The formatters, by name.
+         * 
+         * @private
+         * @type {Map}
+         */
+        this._formatters = new Map(Object.entries(DEF_FORMATTERS));
+
+        /**
+         * The message catalogs, by normalized locale, each holding templates by name.
+         * 
+         * @private
+         * @type {Map}
+         */
+        this._catalogs = new Map();
+
+        /**
+         * The locale ending every fallback chain.
+         * 
+         * @private
+         * @type {string}
+         */
+        this._defaultLocale = (options.defaultLocale != undefined) ? options.defaultLocale : DEF_FALLBACK_LOCALE;
+
+        /**
+         * The strict mode flag, true to throw on missing templates, values and formatters, otherwise false to warn.
+         * 
+         * @private
+         * @type {boolean}
+         */
+        this._strict = (options.strict != undefined) ? options.strict === true : false;
+
+        this.registerTemplate = this.registerTemplate.bind(this);
+        this.registerTemplates = this.registerTemplates.bind(this);
+        this.registerCatalog = this.registerCatalog.bind(this);
+        this.getLocaleChain = this.getLocaleChain.bind(this);
+        this.registerFormatter = this.registerFormatter.bind(this);
+        this.has = this.has.bind(this);
+        this.get = this.get.bind(this);
+        this.render = this.render.bind(this);
+
+        this.registerTemplates((options.templates != undefined) ? options.templates : {});
+        const catalogs = (options.catalogs != undefined) ? options.catalogs : {};
+        Object.keys(catalogs).forEach((locale) => this.registerCatalog(locale, catalogs[locale]));
+        const formatters = (options.formatters != undefined) ? options.formatters : {};
+        Object.keys(formatters).forEach((name) => this.registerFormatter(name, formatters[name]));
+    }
+
+    /**
+     * Gets the registered template names.
+     * 
+     * @return The registered template names.
+     */
+    get names() {
+        let names = new Set(this._templates.keys());
+        this._catalogs.forEach((catalog) => catalog.forEach((text, name) => names.add(name)));
+        return Array.from(names);
+    }
+
+    /**
+     * Gets the locales with a registered catalog, normalized.
+     * 
+     * @return The catalog locales.
+     */
+    get locales() { return Array.from(this._catalogs.keys()); }
+
+    /**
+     * Gets the default locale.
+     * 
+     * @return The default locale.
+     */
+    get defaultLocale() { return this._defaultLocale; }
+
+    /**
+     * Gets the strict mode flag.
+     * 
+     * @return The strict mode flag.
+     */
+    get strict() { return this._strict; }
+    /**
+     * Sets the strict mode flag.
+     * 
+     * @param {boolean} value The value.
+     */
+    set strict(value) { this._strict = value; }
+
+    /**
+     * Registers a template.  Registering a name again replaces its template, including the built-in ones.
+     * 
+     * @param {string} name The template name.
+     * @param {string} text The template text.
+     */
+    registerTemplate(name, text) {
+        if (typeof text !== 'string') { throw new Error('Template '+name+' must be a string.'); }
+        this._templates.set(name, text);
+    }
+
+    /**
+     * Registers a set of templates.
+     * 
+     * @param {Object} templates The template texts, by name.
+     */
+    registerTemplates(templates) {
+        Object.keys(templates).forEach((name) => this.registerTemplate(name, templates[name]));
+    }
+
+    /**
+     * Registers the templates of a locale, adding to any already registered for the locale.
+     * 
+     * @example
+     * templateManager.registerCatalog('fr', {
+     *     authValidationFailed: 'Désolé, mais je ne peux pas m\'occuper de {sequence.activity} sans valider votre identité.',
+     *     'sequence.billing.activity': 'votre paiement'
+     * });
+     * 
+     * @param {string} locale       The locale, for example 'fr' or 'fr-CA'.
+     * @param {Object} templates    The template texts, by name.
+     */
+    registerCatalog(locale, templates) {
+        const key = _normalizeLocale(locale);
+        if (!this._catalogs.has(key)) {
+            this._catalogs.set(key, new Map());
+        }
+        Object.keys(templates).forEach((name) => {
+            if (typeof templates[name] !== 'string') { throw new Error('Template '+name+' of the '+locale+' catalog must be a string.'); }
+            this._catalogs.get(key).set(name, templates[name]);
+        });
+    }
+
+    /**
+     * Get the fallback chain of a locale, ending with the default locale.
+     * 
+     * @example
+     * templateManager.getLocaleChain('fr-CA'); // ['fr-ca', 'fr', 'en']
+     * 
+     * @param {string} locale The optional locale.
+     * @returns the normalized locales, from the most to the least specific.
+     */
+    getLocaleChain(locale) {
+        let chain = [];
+        const addLocale = (value) => {
+            let subtags = _normalizeLocale(value).split('-');
+            while (subtags.length > 0) {
+                const candidate = subtags.join('-');
+                if (!chain.includes(candidate)) {
+                    chain.push(candidate);
+                }
+                subtags.pop();
+            }
+        };
+        if (locale != undefined && locale !== '') {
+            addLocale(locale);
+        }
+        addLocale(this._defaultLocale);
+        return chain;
+    }
+
+    /**
+     * Registers a formatter.
+     * 
+     * @example
+     * templateManager.registerFormatter('upper', (value, arg, locale) => String(value).toLocaleUpperCase(locale));
+     * 
+     * @param {string} name         The formatter name.
+     * @param {Function} formatter  The function taking the value, the optional argument and the locale, and returning the text.
+     */
+    registerFormatter(name, formatter) {
+        if (typeof formatter !== 'function') { throw new Error('Formatter '+name+' must be a function.'); }
+        this._formatters.set(name, formatter);
+    }
+
+    /**
+     * Check if a template is registered for a locale or its fallbacks.
+     * 
+     * @param {string} name     The template name.
+     * @param {string} locale   The optional locale.
+     * @returns true if the template is registered, otherwise false.
+     */
+    has(name, locale) {
+        return this.get(name, locale) !== undefined;
+    }
+
+    /**
+     * Retrieve a template along the locale's fallback chain.
+     * 
+     * @param {string} name     The template name.
+     * @param {string} locale   The optional locale.
+     * @returns the template text, or undefined if not registered.
+     */
+    get(name, locale) {
+        for (const candidate of this.getLocaleChain(locale)) {
+            const catalog = this._catalogs.get(candidate);
+            if (catalog !== undefined && catalog.has(name)) {
+                return catalog.get(name);
+            }
+        }
+        return this._templates.get(name);
+    }
+
+    /**
+     * Render template text.  Placeholders without values render as empty text, and placeholders naming
+     * an unregistered formatter render the raw value.
+     * 
+     * @param {string} text         The template text.
+     * @param {Function} lookup     The function returning the value of a placeholder name, or undefined if missing.
+     * @param {string} locale       The optional locale for the formatters, defaults to en-US.
+     * @returns the rendered text, the names of the placeholders without values, and the unregistered formatter names.
+     */
+    render(text, lookup, locale) {
+        let missing = [];
+        let unknownFormatters = [];
+        const rendered = text.replace(TEMPLATE_REGEX, (placeholder, name, formatterName, arg) => {
+            const value = lookup(name);
+            if (value == undefined) {
+                if (!missing.includes(name)) {
+                    missing.push(name);
+                }
+                return '';
+            }
+            if (formatterName == undefined) {
+                return String(value);
+            }
+            const formatter = this._formatters.get(formatterName);
+            if (formatter == undefined) {
+                if (!unknownFormatters.includes(formatterName)) {
+                    unknownFormatters.push(formatterName);
+                }
+                return String(value);
+            }
+            return formatter(value, (arg != undefined) ? arg.trim() : undefined, (locale != undefined) ? locale : DEF_LOCALE);
+        });
+        return { text: rendered, missing: missing, unknownFormatters: unknownFormatters };
+    }
+}
+
+module.exports = {TemplateManager};
\ No newline at end of file
@@ -23,8 +23,14 @@ class Turn {
      * 
      * @example
      * const { Turn } = require(codingforconvos);
-     * let params = { 'name': 'skill.covidscreen', 'dialogflowClient': dialogflowClient, ... };
-     * const turn = new Turn(params);
+     * const turn = new Turn({
+     *     name: 'askWellbeing',
+     *     promptAction: 'welcome.ask.wellbeing',
+     *     promptEvent: 'AskWellbeing',
+     *     activity: 'asking how you are',
+     *     paraphrases: [ 'Sorry, I missed that.  How are you doing today?' ],
+     *     isComplete: (dialogContext) => dialogContext.getOrCreateCtx('welcome').parameters.confirmedWellbeing === '1'
+     * });
      * 
      * @param {Object} params The constructor parameters.
      */
@@ -79,20 +85,12 @@ class Turn {
         this._paraphrases = params.paraphrases;
 
         /**
-         * The step paraphrase count.
+         * The function checking if the step is complete.
          * 
          * @private
-         * @type {number}
+         * @type {Function}
          */
-        this._paraphraseCount = 0;
-
-        /**
-         * The step fallback count.
-         * 
-         * @private
-         * @type {number}
-         */
-        this._fallbackCount = 0;
+        this._isComplete = (params.isComplete != undefined) ? params.isComplete : (dialogContext) => { return false; };
     }
 
     /**
@@ -132,7 +130,7 @@ class Turn {
      * 
      * @param {string} value The value.
      */
-    set promptEvent(value) { this._promptAction = value; }
+    set promptEvent(value) { this._promptEvent = value; }
 
     /**
      * Gets the activity.
@@ -160,6 +158,33 @@ class Turn {
      */
     set paraphrases(value) { this._paraphrases = value; }
 
+    /**
+     * Check if the step is complete.
+     * 
+     * @param {DialogContext} dialogContext The dialog context.
+     * @returns true if the step is complete, otherwise false.
+     */
+    isComplete(dialogContext) {
+        return this._isComplete(dialogContext);
+    }
+
+    /**
+     * Get the paraphrase for a repeated prompt, rotating through the paraphrases.
+     * 
+     * @example
+     * turn.getParaphrase(1);   // undefined, the first prompt uses the agent response.
+     * turn.getParaphrase(2);   // paraphrases[0]
+     * turn.getParaphrase(3);   // paraphrases[1], or paraphrases[0] if there is only one.
+     * 
+     * @param {number} promptCount  The number of times the step has been prompted.
+     * @returns the paraphrase, or undefined if this is the first prompt or there are no paraphrases.
+     */
+    getParaphrase(promptCount) {
+        if (promptCount <= 1 || this._paraphrases.length === 0) {
+            return undefined;
+        }
+        return this._paraphrases[(promptCount-2) % this._paraphrases.length];
+    }
 }
 
 module.exports = {Turn};
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const {DialogFlowEsClient,Sequence,Intent,Logger} = require('../src/codingforconvos');
+
+/**
+ * Create a Dialogflow ES client for an identified customer, logging nothing, with a welcome root
+ * sequence that responds with the last fulfillment text.  The baseParams option is merged into
+ * the default ones, and the welcome overrides are merged into the welcome sequence's parameters.
+ * 
+ * @param {Object} options  The optional client parameters.
+ * @param {Object} welcome  The optional welcome sequence parameters, or null to register none.
+ * @returns the client.
+ */
+function createClient(options = {}, welcome = {}) {
+    const convoClient = new DialogFlowEsClient(Object.assign({
+        logger: new Logger({ level: 'silent' })
+    }, options, {
+        baseParams: Object.assign({ customerIdentified: '1' }, options.baseParams)
+    }));
+
+    if (welcome !== null) {
+        convoClient.registerSequence(new Sequence(Object.assign({
+            name: 'welcome',
+            activity: 'greeting each other',
+            identityRequired: false,
+            authRequired: false,
+            params: {},
+            navigate: (dialogContext) => {
+                dialogContext.respondWithText();
+            }
+        }, welcome)));
+    }
+    return convoClient;
+}
+
+/**
+ * Create the greeting bot, which introduces itself with the SayIntro event, asks the customer
+ * named in the payload how they are, and is glad to hear it.
+ * 
+ * @returns the client.
+ */
+function createGreetingClient() {
+    const convoClient = createClient({
+        baseParams: { customerName: '' },
+        populateFromEsPayload: (context, dialogContext) => {
+            context.parameters.customerName = (dialogContext.payload.customerName) ? dialogContext.payload.customerName : '';
+            return context;
+        }
+    }, {
+        params: {
+            saidIntro: '0',
+            askedWellbeing: '0'
+        },
+        navigate: (dialogContext) => {
+            let context = dialogContext.getOrCreateCtx('welcome');
+
+            if (context.parameters.saidIntro === '0') {
+                dialogContext.respondWithEvent('SayIntro');
+                return;
+            }
+
+            if (context.parameters.askedWellbeing === '0') {
+                dialogContext.setParam(context, 'askedWellbeing', '1');
+                dialogContext.respondWithText('How are you today, '+dialogContext.params.customerName+'?');
+                return;
+            }
+
+            dialogContext.respondWithText('Glad to hear it!');
+        }
+    });
+
+    convoClient.registerIntents({
+        actions: ['welcome', 'welcome.wellbeing'],
+        sequenceName: 'welcome',
+        handler: (dialogContext) => {
+            dialogContext.setFulfillmentText();
+        }
+    });
+
+    convoClient.registerIntent(new Intent({
+        action: 'welcome.sayintro',
+        sequenceName: 'welcome',
+        handler: (dialogContext) => {
+            dialogContext.setCurrentParam('saidIntro', '1');
+        }
+    }));
+    return convoClient;
+}
+
+/**
+ * Create the account bot for an identified customer, logging nothing, with a billing sequence that
+ * requires PIN authentication and a password reset sequence that asks for a one-time code with the
+ * AskOtp event.
+ * 
+ * @param {Function} clientClass    The optional client class, defaults to DialogFlowEsClient.
+ * @returns the client.
+ */
+function createAccountClient(clientClass = DialogFlowEsClient) {
+    const convoClient = new clientClass({
+        logger: new Logger({ level: 'silent' }),
+        baseParams: { customerIdentified: '1' }
+    });
+
+    const sequences = [
+        { name: 'welcome', params: {}, navigate: (dialogContext) => dialogContext.respondWithText('How else can I help?') },
+        { name: 'billing', authRequired: true, params: {}, navigate: (dialogContext) => dialogContext.respondWithText('Your bill is $50.') },
+        { name: 'authentication', params: { validationStatus: '0' }, navigate: (dialogContext) => dialogContext.respondWithText('What is your PIN?') },
+        {
+            name: 'passwordreset',
+            params: { otpSent: '0', otpValidated: '0' },
+            navigate: (dialogContext) => {
+                const context = dialogContext.getOrCreateCtx('passwordreset');
+                if (context.parameters.otpSent === '0') {
+                    dialogContext.respondWithEvent('AskOtp');
+                    return;
+                }
+                if (context.parameters.otpValidated === '0') {
+                    dialogContext.respondWithText();
+                    return;
+                }
+                dialogContext.respondWithText('Your password has been reset.');
+            }
+        }
+    ];
+    sequences.forEach((sequence) => {
+        convoClient.registerSequence(new Sequence({
+            name: sequence.name,
+            activity: (sequence.name === 'billing') ? 'paying your bill' : 'helping you',
+            identityRequired: false,
+            authRequired: (sequence.authRequired === true),
+            params: sequence.params,
+            navigate: sequence.navigate
+        }));
+    });
+
+    convoClient.registerIntents({
+        actions: ['billing', 'passwordreset'],
+        sequenceName: 'welcome',
+        handler: (dialogContext) => {
+            dialogContext.pushSequence(dialogContext.currentAction);
+        }
+    });
+
+    convoClient.registerIntent(new Intent({
+        action: 'pin.valid',
+        sequenceName: 'authentication',
+        handler: (dialogContext) => {
+            dialogContext.setCurrentParam('validationStatus', '1');
+            dialogContext.popSequenceAndNavigate('authentication');
+        }
+    }));
+
+    convoClient.registerIntent(new Intent({
+        action: 'pin.invalid',
+        sequenceName: 'authentication',
+        handler: (dialogContext) => {
+            dialogContext.setCurrentParam('validationStatus', '2');
+            dialogContext.popSequence('authentication');
+        }
+    }));
+
+    convoClient.registerIntent(new Intent({
+        action: 'agent.offer',
+        sequenceName: 'billing',
+        handler: (dialogContext) => {
+            dialogContext.setFulfillmentText();
+            dialogContext.setParam(dialogContext.sessionParams, 'offeredAgent', '1');
+            dialogContext.respondWithText();
+        }
+    }));
+
+    convoClient.registerIntent(new Intent({
+        action: 'agent.accept',
+        sequenceName: 'billing',
+        handler: (dialogContext) => {
+            dialogContext.setParam(dialogContext.sessionParams, 'offeredAgentAccepted', '1');
+        }
+    }));
+
+    convoClient.registerIntent(new Intent({
+        action: 'passwordreset.ask.otp',
+        sequenceName: 'passwordreset',
+        handler: (dialogContext) => {
+            dialogContext.setFulfillmentText();
+            dialogContext.setCurrentParam('otpSent', '1');
+        }
+    }));
+
+    convoClient.registerIntent(new Intent({
+        action: 'otp.valid',
+        sequenceName: 'passwordreset',
+        handler: (dialogContext) => {
+            dialogContext.setCurrentParam('otpValidated', '1');
+        }
+    }));
+    return convoClient;
+}
+
+/**
+ * Remove a directory and its contents without fs.rmSync, which older Node versions lack.
+ * 
+ * @param {string} dir The directory.
+ */
+function removeDir(dir) {
+    fs.readdirSync(dir).forEach((name) => {
+        const file = path.join(dir, name);
+        if (fs.lstatSync(file).isDirectory()) {
+            removeDir(file);
+        } else {
+            fs.unlinkSync(file);
+        }
+    });
+    fs.rmdirSync(dir);
+}
+
+module.exports = {createClient,createGreetingClient,createAccountClient,removeDir};
\ No newline at end of file
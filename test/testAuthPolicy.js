@@ -0,0 +1,185 @@
+const assert = require('assert');
+const {DialogFlowEsSimulator,Sequence,Intent,AuthPolicy,AuthPolicyManager,Logger} = require('../src/codingforconvos');
+const helpers = require('./helpers');
+
+const createClient = (records, strictParams) => {
+    const convoClient = helpers.createClient({
+        logger: new Logger({ level: 'warn', write: (record) => records.push(record) }),
+        strictParams: strictParams,
+        baseParams: {
+            cardPinValidated: '0'
+        }
+    }, null);
+
+    // Card sequences are authorized by their own policy, authenticating with a card PIN.
+    convoClient.registerAuthPolicy(new AuthPolicy({
+        name: 'cardpin',
+        authSequence: 'cardauth',
+        isAuthorized: (dialogContext, sequence) => dialogContext.params.cardPinValidated === '1'
+    }));
+
+    const sequences = [
+        { name: 'welcome', text: 'How else can I help?' },
+        { name: 'accounts', text: 'Which account?' },
+        { name: 'billing', authRequired: true, text: 'Your bill is $50.' },
+        { name: 'cards', authRequired: true, authPolicy: 'cardpin', text: 'Your card is active.' },
+        { name: 'authentication', params: { validationStatus: '0' }, text: 'What is your PIN?' },
+        { name: 'cardauth', text: 'What is your card PIN?' }
+    ];
+    sequences.forEach((sequence) => {
+        convoClient.registerSequence(new Sequence({
+            name: sequence.name,
+            activity: 'testing',
+            identityRequired: false,
+            authRequired: (sequence.authRequired === true),
+            authPolicy: sequence.authPolicy,
+            params: (sequence.params != undefined) ? sequence.params : {},
+            navigate: (dialogContext) => {
+                dialogContext.respondWithText(sequence.text);
+            }
+        }));
+        if (sequence.name !== 'welcome') {
+            convoClient.registerIntent(new Intent({
+                action: sequence.name,
+                sequenceName: sequence.name,
+                handler: (dialogContext) => {
+                    dialogContext.pushSequence(sequence.name);
+                }
+            }));
+        }
+    });
+
+    const setValidationStatus = (dialogContext, validationStatus) => {
+        dialogContext.setParam(dialogContext.getOrCreateCtx('authentication'), 'validationStatus', validationStatus);
+    };
+
+    convoClient.registerIntent(new Intent({
+        action: 'pin.valid',
+        sequenceName: 'authentication',
+        handler: (dialogContext) => {
+            setValidationStatus(dialogContext, '1');
+            dialogContext.popSequenceAndNavigate('authentication');
+        }
+    }));
+
+    convoClient.registerIntent(new Intent({
+        action: 'pin.invalid',
+        sequenceName: 'authentication',
+        handler: (dialogContext) => {
+            setValidationStatus(dialogContext, '2');
+            dialogContext.popSequence('authentication');
+        }
+    }));
+
+    convoClient.registerIntent(new Intent({
+        action: 'agent.offer',
+        sequenceName: 'billing',
+        handler: (dialogContext) => {
+            dialogContext.setParam(dialogContext.sessionParams, 'offeredAgent', '1');
+            dialogContext.respondWithText();
+        }
+    }));
+
+    convoClient.registerIntent(new Intent({
+        action: 'agent.accept',
+        sequenceName: 'billing',
+        handler: (dialogContext) => {
+            dialogContext.setParam(dialogContext.sessionParams, 'offeredAgentAccepted', '1');
+        }
+    }));
+
+    convoClient.registerIntent(new Intent({
+        action: 'agent.decline',
+        sequenceName: 'billing',
+        handler: (dialogContext) => {
+            dialogContext.setParam(dialogContext.sessionParams, 'offeredAgentDeclined', '1');
+        }
+    }));
+
+    return convoClient;
+};
+
+const createSimulator = (records = [], strictParams = false) => new DialogFlowEsSimulator({
+    client: createClient(records, strictParams),
+    events: {
+        'OfferSpeakToAgent': { action: 'agent.offer', fulfillmentText: 'Would you like to speak to an agent?' }
+    }
+});
+
+(async () => {
+    // An unauthorized session is denied and the authentication sequence is pushed.
+    let simulator = createSimulator();
+    const stackNames = () => simulator.getContext('sessionprops').parameters.sequenceStack.map((frame) => frame.name);
+    let result = await simulator.send({ action: 'billing', fulfillmentText: 'Sure.' });
+    assert.strictEqual(result.fulfillmentText, 'What is your PIN?');
+    assert.deepStrictEqual(stackNames(), ['billing', 'authentication']);
+
+    // Once validated, the session is allowed into the sequence.
+    result = await simulator.send({ action: 'pin.valid', fulfillmentText: 'Thanks.' });
+    assert.strictEqual(result.fulfillmentText, 'Your bill is $50.');
+    assert.deepStrictEqual(stackNames(), ['billing']);
+    result = await simulator.send({ action: 'billing', fulfillmentText: 'Sure.' });
+    assert.strictEqual(result.fulfillmentText, 'Your bill is $50.');
+
+    // Failed validation explains the refusal and offers an agent.
+    const records = [];
+    simulator = createSimulator(records);
+    await simulator.send({ action: 'accounts', fulfillmentText: 'Sure.' });
+    await simulator.send({ action: 'billing', fulfillmentText: 'Sure.' });
+    result = await simulator.send({ action: 'pin.invalid', fulfillmentText: 'Sorry.' });
+    assert.deepStrictEqual(result.events, ['OfferSpeakToAgent']);
+    assert.strictEqual(result.responses[0].fulfillmentText, 'I\'m sorry, but testing isn\'t something I can do without validating your identity.');
+    assert.strictEqual(simulator.getContext('sessionprops').parameters.offeredAgent, '1');
+
+    // Declining the agent pops the refused sequence, not a hardcoded one, and returns to its caller.
+    result = await simulator.send({ action: 'agent.decline', fulfillmentText: 'Okay.' });
+    assert.strictEqual(result.fulfillmentText, 'Which account?');
+    assert.deepStrictEqual(stackNames(), ['accounts']);
+    assert.deepStrictEqual(records, []);
+    assert.strictEqual(simulator.getContext('sessionprops').parameters.offeredAgent, '0');
+    assert.strictEqual(simulator.getContext('sessionprops').parameters.offeredAgentDeclined, '0');
+
+    // Accepting the agent escalates.
+    simulator = createSimulator();
+    await simulator.send({ action: 'billing', fulfillmentText: 'Sure.' });
+    await simulator.send({ action: 'pin.invalid', fulfillmentText: 'Sorry.' });
+    result = await simulator.send({ action: 'agent.accept', fulfillmentText: 'Okay.' });
+    assert.strictEqual(result.responses[0].followupEventInput.name, 'EscalateToAgent');
+
+    // Sequences select their own policy, which pushes its own authentication sequence.
+    simulator = createSimulator();
+    result = await simulator.send({ action: 'cards', fulfillmentText: 'Sure.' });
+    assert.strictEqual(result.fulfillmentText, 'What is your card PIN?');
+    assert.deepStrictEqual(stackNames(), ['cards', 'cardauth']);
+
+    // The authentication flow only writes declared session params, so it runs in strict mode without warnings.
+    const strictRecords = [];
+    simulator = createSimulator(strictRecords, true);
+    await simulator.send({ action: 'billing', fulfillmentText: 'Sure.' });
+    await simulator.send({ action: 'pin.valid', fulfillmentText: 'Thanks.' });
+    result = await simulator.send({ action: 'billing', fulfillmentText: 'Sure.' });
+    assert.strictEqual(result.fulfillmentText, 'Your bill is $50.');
+    assert.strictEqual(simulator.getContext('sessionprops').parameters.customerValidated, '1');
+    simulator = createSimulator(strictRecords, true);
+    await simulator.send({ action: 'accounts', fulfillmentText: 'Sure.' });
+    await simulator.send({ action: 'billing', fulfillmentText: 'Sure.' });
+    result = await simulator.send({ action: 'pin.invalid', fulfillmentText: 'Sorry.' });
+    assert.deepStrictEqual(result.events, ['OfferSpeakToAgent']);
+    result = await simulator.send({ action: 'agent.decline', fulfillmentText: 'Okay.' });
+    assert.strictEqual(result.fulfillmentText, 'Which account?');
+    assert.deepStrictEqual(strictRecords, []);
+
+    // Policy names are unique, except for the replaceable default, and must be registered.
+    const authPolicyManager = new AuthPolicyManager();
+    authPolicyManager.registerAuthPolicy(new AuthPolicy({ name: 'cardpin' }));
+    assert.throws(() => authPolicyManager.registerAuthPolicy(new AuthPolicy({ name: 'cardpin' })));
+    const defaultPolicy = new AuthPolicy({ name: 'default', authSequence: 'login' });
+    authPolicyManager.registerAuthPolicy(defaultPolicy);
+    assert.strictEqual(authPolicyManager.getForSequence(new Sequence({ name: 'billing', activity: 'paying your bill', identityRequired: false, authRequired: true, params: {}, navigate: () => {} })), defaultPolicy);
+    assert.throws(() => authPolicyManager.getForSequence(new Sequence({ name: 'loans', activity: 'applying for a loan', identityRequired: false, authRequired: true, authPolicy: 'loanpin', params: {}, navigate: () => {} })));
+
+    console.log('testAuthPolicy: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,59 @@
+const assert = require('assert');
+const {DialogFlowEsSimulator,Intent} = require('../src/codingforconvos');
+const {createClient} = require('./helpers');
+
+const SESSION_COUNT = 50;
+
+const baseParams = {
+    customerIdentified: '1',
+    customerName: '',
+    profile: { tags: [] }
+};
+
+const convoClient = createClient({
+    baseParams: baseParams,
+    populateFromEsPayload: (context, dialogContext) => {
+        context.parameters.customerName = dialogContext.payload.customerName;
+        return context;
+    }
+}, {
+    params: { greeted: [] }
+});
+
+convoClient.registerIntent(new Intent({
+    action: 'hello',
+    sequenceName: 'welcome',
+    handler: async (dialogContext) => {
+        dialogContext.params.profile.tags.push(dialogContext.sessionId);
+        dialogContext.getOrCreateCtx('welcome').parameters.greeted.push(dialogContext.sessionId);
+
+        // Interleave the sessions while each one is handling its turn.
+        await new Promise((resolve) => setTimeout(resolve, Math.floor(Math.random()*10)));
+
+        const params = dialogContext.params;
+        dialogContext.respondWithText(params.sessionId+' '+params.customerName+' '+params.profile.tags.join(',')+' '+dialogContext.getOrCreateCtx('welcome').parameters.greeted.join(','));
+    }
+}));
+
+(async () => {
+    // Parallel sessions on one client never see each other's parameters.
+    const results = await Promise.all(Array.from({ length: SESSION_COUNT }, async (value, index) => {
+        const simulator = new DialogFlowEsSimulator({ client: convoClient, sessionId: 'session-'+index, payload: { customerName: 'Customer '+index } });
+        const first = await simulator.send({ action: 'hello', fulfillmentText: 'Hello.' });
+        const second = await simulator.send({ action: 'hello', fulfillmentText: 'Hello.' });
+        return [first.fulfillmentText, second.fulfillmentText];
+    }));
+    results.forEach((texts, index) => {
+        const sessionId = 'session-'+index;
+        assert.strictEqual(texts[0], sessionId+' Customer '+index+' '+sessionId+' '+sessionId);
+        assert.strictEqual(texts[1], sessionId+' Customer '+index+' '+sessionId+','+sessionId+' '+sessionId+','+sessionId);
+    });
+
+    // The client's defaults are left untouched.
+    assert.deepStrictEqual(baseParams, { customerIdentified: '1', customerName: '', profile: { tags: [] } });
+
+    console.log('testConcurrentSessions: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
\ No newline at end of file
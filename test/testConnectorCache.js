@@ -0,0 +1,96 @@
+const assert = require('assert');
+const {DialogFlowEsSimulator,Intent,Connector} = require('../src/codingforconvos');
+const {createClient} = require('./helpers');
+
+let calls = { getCustomer: 0, getRates: 0 };
+const crmApi = {
+    getCustomer: async (customerId) => {
+        calls.getCustomer++;
+        return { customerId: customerId, name: 'Jane', version: calls.getCustomer };
+    },
+    getRates: async () => {
+        calls.getRates++;
+        return { savings: '2.5%' };
+    }
+};
+
+const convoClient = createClient();
+
+const crm = new Connector({
+    name: 'crm',
+    endpoint: crmApi,
+    params: {},
+    cache: {
+        ttl: 50,
+        methods: ['getCustomer']
+    }
+});
+convoClient.registerConnector(crm);
+
+const rates = new Connector({
+    name: 'rates',
+    endpoint: crmApi,
+    params: {},
+    cache: {
+        scope: 'global',
+        key: (method) => method
+    }
+});
+convoClient.registerConnector(rates);
+
+convoClient.registerIntent(new Intent({
+    action: 'lookup',
+    sequenceName: 'welcome',
+    handler: async (dialogContext) => {
+        const customer = await dialogContext.invokeConnector('crm', 'getCustomer', ['C-1']);
+        customer.name = customer.name.toUpperCase();
+        const again = await dialogContext.invokeConnector('crm', 'getCustomer', ['C-1']);
+        again.name = 'Changed';
+        const savings = await dialogContext.invokeConnector('rates', 'getRates', []);
+        dialogContext.respondWithText(customer.name+' v'+again.version+' '+savings.savings);
+    }
+}));
+
+convoClient.registerIntent(new Intent({
+    action: 'update',
+    sequenceName: 'welcome',
+    handler: async (dialogContext) => {
+        dialogContext.invalidateConnectorCache('crm', 'getCustomer');
+        dialogContext.respondWithText('Updated.');
+    }
+}));
+
+(async () => {
+    // Repeated lookups in a session are served from the cache, and changing a result doesn't change the cached copy.
+    const first = new DialogFlowEsSimulator({ client: convoClient, sessionId: 'session-1' });
+    let result = await first.send({ action: 'lookup', fulfillmentText: 'Looking up.' });
+    assert.strictEqual(result.fulfillmentText, 'JANE v1 2.5%');
+    result = await first.send({ action: 'lookup', fulfillmentText: 'Looking up.' });
+    assert.strictEqual(result.fulfillmentText, 'JANE v1 2.5%');
+    assert.deepStrictEqual(calls, { getCustomer: 1, getRates: 1 });
+
+    // Session scoped results aren't shared, while global results are.
+    const second = new DialogFlowEsSimulator({ client: convoClient, sessionId: 'session-2' });
+    result = await second.send({ action: 'lookup', fulfillmentText: 'Looking up.' });
+    assert.strictEqual(result.fulfillmentText, 'JANE v2 2.5%');
+    assert.deepStrictEqual(calls, { getCustomer: 2, getRates: 1 });
+
+    // Invalidation only affects the current session.
+    await first.send({ action: 'update', fulfillmentText: 'Updating.' });
+    result = await first.send({ action: 'lookup', fulfillmentText: 'Looking up.' });
+    assert.strictEqual(result.fulfillmentText, 'JANE v3 2.5%');
+    result = await second.send({ action: 'lookup', fulfillmentText: 'Looking up.' });
+    assert.strictEqual(result.fulfillmentText, 'JANE v2 2.5%');
+
+    // Results expire after the TTL, and calls without a session ID bypass the session cache.
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    result = await second.send({ action: 'lookup', fulfillmentText: 'Looking up.' });
+    assert.strictEqual(result.fulfillmentText, 'JANE v4 2.5%');
+    await crm.invoke('getCustomer', ['C-1']);
+    assert.strictEqual(calls.getCustomer, 5);
+
+    console.log('testConnectorCache: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,71 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {DialogFlowEsSimulator,Intent,Connector} = require('../src/codingforconvos');
+const helpers = require('./helpers');
+
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cfc-fixtures-'));
+
+function createClient(fixtureMode, endpoint) {
+    const convoClient = helpers.createClient({
+        fixtureMode: fixtureMode,
+        fixturesDir: fixturesDir,
+        sensitiveParams: ['accountId']
+    });
+    const banking = new Connector({
+        name: 'banking',
+        endpoint: endpoint,
+        params: {}
+    });
+    convoClient.registerConnector(banking);
+    convoClient.registerIntent(new Intent({
+        action: 'balance',
+        sequenceName: 'welcome',
+        handler: async (dialogContext) => {
+            const balance = await dialogContext.invokeConnector('banking', 'getBalance', [{ accountId: 'AC-1', currency: 'USD' }]);
+            dialogContext.respondWithText('Your balance is '+balance.amount+' '+balance.currency);
+        }
+    }));
+    return { convoClient: convoClient, banking: banking };
+}
+
+(async () => {
+    // Record mode calls the endpoint and saves each outcome, keyed by connector, method and arguments.
+    let calls = 0;
+    const stagingApi = {
+        getBalance: async (query) => {
+            calls++;
+            return { amount: '100.00', currency: query.currency, accountId: query.accountId, card: '4111 1111 1111 1111' };
+        },
+        getCard: async () => {
+            throw new Error('Card service unavailable');
+        }
+    };
+    const recording = createClient('record', stagingApi);
+    let result = await new DialogFlowEsSimulator({ client: recording.convoClient }).send({ action: 'balance', fulfillmentText: 'Checking.' });
+    assert.strictEqual(result.fulfillmentText, 'Your balance is 100.00 USD');
+    await assert.rejects(recording.banking.invoke('getCard', ['AC-1']), /Card service unavailable/);
+    assert.strictEqual(calls, 1);
+
+    // Sensitive params and personal data are masked in the fixture files.
+    const saved = fs.readFileSync(path.join(fixturesDir, 'banking.json'), 'utf8');
+    const fixtures = JSON.parse(saved);
+    assert.deepStrictEqual(Object.keys(fixtures), ['getBalance [{"accountId":"[REDACTED]","currency":"USD"}]', 'getCard ["AC-1"]']);
+    assert.deepStrictEqual(fixtures['getBalance [{"accountId":"[REDACTED]","currency":"USD"}]'].result, { amount: '100.00', currency: 'USD', accountId: '[REDACTED]', card: '[CARD]' });
+    assert.ok(!saved.includes('4111'));
+
+    // Replay mode serves the recorded outcomes directly, without the endpoint, breaker or timeout.
+    const replaying = createClient('replay', {});
+    replaying.banking.status = 3;
+    assert.ok(!replaying.banking.isAvailable());
+    result = await new DialogFlowEsSimulator({ client: replaying.convoClient }).send({ action: 'balance', fulfillmentText: 'Checking.' });
+    assert.strictEqual(result.fulfillmentText, 'Your balance is 100.00 USD');
+    await assert.rejects(replaying.banking.invoke('getCard', ['AC-1']), /Card service unavailable/);
+    await assert.rejects(replaying.banking.invoke('getCard', ['AC-2']), /No fixture recorded for connector banking call getCard \["AC-2"\]/);
+
+    console.log('testConnectorFixtures: passed');
+})().finally(() => helpers.removeDir(fixturesDir)).catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+});
\ No newline at end of file
@@ -0,0 +1,137 @@
+const assert = require('assert');
+const {DialogFlowEsSimulator,Sequence,Intent,Connector,ConnectorUnavailableError} = require('../src/codingforconvos');
+const {createClient} = require('./helpers');
+
+let calls = 0;
+let failing = true;
+const bankingApi = {
+    getBalance: async (accountId) => {
+        calls++;
+        if (failing) {
+            throw new Error('Service unavailable');
+        }
+        return accountId+': $100';
+    },
+    hang: (signal) => new Promise(() => {
+        hangSignals.push(signal);
+    }),
+    getStatement: (accountId) => new Promise((resolve, reject) => {
+        calls++;
+        settleStatement = (err) => (err != undefined) ? reject(err) : resolve(accountId+': statement');
+    })
+};
+let settleStatement;
+const hangSignals = [];
+
+const convoClient = createClient({
+    rfcSequence: null
+});
+
+const banking = new Connector({
+    name: 'banking',
+    endpoint: bankingApi,
+    params: {},
+    timeout: 20,
+    retries: 1,
+    retryBackoff: 1,
+    failureThreshold: 2,
+    resetTimeout: 50,
+    fallbackSequence: 'escalation'
+});
+convoClient.registerConnector(banking);
+
+convoClient.registerSequence(new Sequence({
+    name: 'escalation',
+    activity: 'transferring you to an agent',
+    identityRequired: false,
+    authRequired: false,
+    params: {},
+    navigate: (dialogContext) => {
+        dialogContext.respondWithText('Let me transfer you to an agent.');
+    }
+}));
+
+convoClient.registerIntent(new Intent({
+    action: 'balance',
+    sequenceName: 'welcome',
+    handler: async (dialogContext) => {
+        const balance = await dialogContext.invokeConnector('banking', 'getBalance', ['AC-1']);
+        if (balance === undefined) {
+            return;
+        }
+        dialogContext.respondWithText('Your balance is '+balance);
+    }
+}));
+
+(async () => {
+    // Timeouts fail the attempt instead of hanging.
+    await assert.rejects(banking.invoke('hang'), /timed out after 20ms/);
+    assert.strictEqual(hangSignals.length, 2);
+    assert.ok(hangSignals.every((signal) => signal.aborted));
+    assert.strictEqual(banking.failureCount, 1);
+    assert.strictEqual(banking.status, 1);
+
+    // Failed attempts are retried, and the breaker opens after the failure threshold.
+    calls = 0;
+    await assert.rejects(banking.invoke('getBalance', ['AC-1']), /Service unavailable/);
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(banking.failureCount, 2);
+    assert.strictEqual(banking.status, 2);
+
+    // An open breaker fails fast, and the conversation is sent to the fallback sequence.
+    await assert.rejects(banking.invoke('getBalance', ['AC-1']), ConnectorUnavailableError);
+    assert.strictEqual(calls, 2);
+    const simulator = new DialogFlowEsSimulator({ client: convoClient });
+    let result = await simulator.send({ action: 'balance', fulfillmentText: 'Checking.' });
+    assert.strictEqual(result.fulfillmentText, 'Let me transfer you to an agent.');
+    assert.strictEqual(simulator.getContext('sessionprops').parameters.sequenceCurrent, 'escalation');
+
+    // After the reset timeout, a successful trial invocation closes the breaker.
+    failing = false;
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    simulator.reset();
+    result = await simulator.send({ action: 'balance', fulfillmentText: 'Checking.' });
+    assert.strictEqual(result.fulfillmentText, 'Your balance is AC-1: $100');
+    assert.strictEqual(banking.status, 0);
+    assert.strictEqual(banking.successCount, 1);
+
+    // A half-open breaker lets a single trial through, failing concurrent invocations fast until it settles.
+    const openBreaker = async () => {
+        failing = true;
+        await assert.rejects(banking.invoke('getBalance', ['AC-1']), /Service unavailable/);
+        await assert.rejects(banking.invoke('getBalance', ['AC-1']), /Service unavailable/);
+        assert.strictEqual(banking.status, 2);
+        await new Promise((resolve) => setTimeout(resolve, 60));
+    };
+    const invokeConcurrently = () => {
+        calls = 0;
+        const invocations = [1, 2, 3].map(() => banking.invoke('getStatement', ['AC-1']).then((statement) => ({ statement: statement }), (err) => ({ err: err })));
+        assert.strictEqual(calls, 1);
+        assert.strictEqual(banking.status, 3);
+        assert.strictEqual(banking.isAvailable(), false);
+        return invocations;
+    };
+    await openBreaker();
+    let invocations = invokeConcurrently();
+    settleStatement();
+    let results = await Promise.all(invocations);
+    assert.deepStrictEqual(results[0], { statement: 'AC-1: statement' });
+    assert.ok(results[1].err instanceof ConnectorUnavailableError);
+    assert.ok(results[2].err instanceof ConnectorUnavailableError);
+    assert.strictEqual(banking.status, 0);
+
+    // A failed trial reopens the breaker for another reset timeout.
+    await openBreaker();
+    invocations = invokeConcurrently();
+    settleStatement(new Error('Service unavailable'));
+    results = await Promise.all(invocations);
+    assert.strictEqual(results[0].err.message, 'Service unavailable');
+    assert.ok(results[1].err instanceof ConnectorUnavailableError);
+    assert.strictEqual(banking.status, 2);
+    assert.strictEqual(banking.isAvailable(), false);
+
+    console.log('testConnectors: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,104 @@
+const assert = require('assert');
+const {DialogFlowEsSimulator,Intent,MemorySessionStore,ContextBudget,Logger} = require('../src/codingforconvos');
+const {createClient} = require('./helpers');
+
+let records = [];
+let stateKeys;
+
+const convoClient = createClient({
+    logger: new Logger({ level: 'warn', write: (record) => records.push(record) }),
+    sessionStore: new MemorySessionStore(),
+    contextBudget: new ContextBudget({
+        budget: 2000,
+        warnRatio: 0.5,
+        rules: ['dropDefaults', 'offloadLargeValues'],
+        largeValueSize: 200
+    }),
+    baseParams: {
+        customerName: 'Jane',
+        statementText: ''
+    }
+}, {
+    params: { notes: '' }
+});
+
+convoClient.registerIntent(new Intent({
+    action: 'statement',
+    sequenceName: 'welcome',
+    handler: (dialogContext) => {
+        dialogContext.setParam(dialogContext.sessionParams, 'statementText', 'x'.repeat(500));
+        dialogContext.respondWithText('Statement loaded.');
+    }
+}));
+
+convoClient.registerIntent(new Intent({
+    action: 'read',
+    sequenceName: 'welcome',
+    handler: (dialogContext) => {
+        const params = dialogContext.params;
+        stateKeys = Object.keys(dialogContext.state);
+        dialogContext.respondWithText(params.customerName+' '+params.statementText.length+' '+params.helpCounter);
+    }
+}));
+
+convoClient.registerIntent(new Intent({
+    action: 'help',
+    sequenceName: 'welcome',
+    handler: (dialogContext) => {
+        dialogContext.setParam(dialogContext.sessionParams, 'helpCounter', dialogContext.inparams.helpCounter);
+        dialogContext.respondWithText('Helped.');
+    }
+}));
+
+convoClient.registerIntent(new Intent({
+    action: 'notes',
+    sequenceName: 'welcome',
+    handler: (dialogContext) => {
+        dialogContext.setParam(dialogContext.getOrCreateCtx('welcome'), 'notes', 'n'.repeat(2500));
+        dialogContext.respondWithText('Noted.');
+    }
+}));
+
+(async () => {
+    // Defaults are dropped and large values are emptied from the session props, then restored on the next turn.
+    const simulator = new DialogFlowEsSimulator({ client: convoClient });
+    await simulator.send({ action: 'statement', fulfillmentText: 'Loading.' });
+    const sessionParams = simulator.getContext('sessionprops').parameters;
+    assert.strictEqual(sessionParams.customerName, undefined);
+    assert.strictEqual(sessionParams.helpCounter, undefined);
+    assert.strictEqual(sessionParams.statementText, '');
+    assert.strictEqual(sessionParams.turnCount, '1');
+    let result = await simulator.send({ action: 'read', fulfillmentText: 'Reading.' });
+    assert.strictEqual(result.fulfillmentText, 'Jane 500 0');
+
+    // Offloaded values are saved with the session state, but handlers don't see them in it.
+    assert.deepStrictEqual(stateKeys, []);
+    assert.strictEqual((await convoClient.sessionStore.get('simulated-session'))._offloadedParams.statementText.length, 500);
+
+    // Stack frames equal to the default stack, except for their entry time, are dropped too.
+    const sessionProps = { name: 'sessionprops', parameters: { sequenceStack: [{ name: 'welcome', enteredAt: '2022-06-01T12:00:05.000Z', triggerAction: '', step: '', result: {} }] } };
+    const defaults = { sequenceStack: [{ name: 'welcome', enteredAt: '2022-06-01T12:00:00.000Z', triggerAction: '', step: '', result: {} }] };
+    new ContextBudget({ rules: ['dropDefaults'] }).compact({ sessionParams: sessionProps, state: {}, dialogflowAgent: { context: { set: () => {} } } }, defaults, undefined, ['sequenceStack']);
+    assert.strictEqual(sessionProps.parameters.sequenceStack, undefined);
+    assert.deepStrictEqual(records, []);
+
+    // Dialogflow merges context parameters, so a parameter back at its default is written back, not dropped.
+    await simulator.send({ action: 'help', parameters: { helpCounter: '2' }, fulfillmentText: 'Helping.' });
+    await simulator.send({ action: 'help', parameters: { helpCounter: '0' }, fulfillmentText: 'Helping.' });
+    assert.strictEqual(simulator.getContext('sessionprops').parameters.helpCounter, '0');
+    result = await simulator.send({ action: 'read', fulfillmentText: 'Reading.' });
+    assert.strictEqual(result.fulfillmentText, 'Jane 500 0');
+
+    // Contexts near or over the budget are logged.
+    await simulator.send({ action: 'notes', fulfillmentText: 'Noting.' });
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].level, 'error');
+    assert.strictEqual(records[0].event, 'contextBudget');
+    assert.ok(records[0].contextBytes > 2000);
+    assert.ok(records[0].msg.includes('"welcome":'));
+
+    console.log('testContextBudget: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,181 @@
+const assert = require('assert');
+const {DialogflowCxClient,Sequence,Intent,SsmlBuilder,Logger} = require('../src/codingforconvos');
+
+const records = [];
+
+/**
+ * Create a CX client with the welcome sequence registered.
+ */
+function createClient(voiceMode) {
+    const client = new DialogflowCxClient({
+        logger: new Logger({ level: 'warn', write: (record) => records.push(record) }),
+        voiceMode: voiceMode,
+        baseParams: {
+            customerIdentified: '1'
+        }
+    });
+    client.registerSequence(new Sequence({
+        name: 'welcome',
+        activity: 'greeting each other',
+        identityRequired: false,
+        authRequired: false,
+        params: { appointmentDay: '' },
+        navigate: (dialogContext) => {
+            dialogContext.respondWithText();
+        }
+    }));
+    client.registerIntent(new Intent({
+        action: 'speak',
+        sequenceName: 'welcome',
+        handler: (dialogContext) => {
+            dialogContext.respondWithPrompt(new SsmlBuilder().say('Your code is').digits('42'));
+        }
+    }));
+    return client;
+}
+
+const convoClient = createClient((dialogContext) => dialogContext.currentAction === 'speak');
+
+convoClient.registerIntent(new Intent({
+    action: 'book',
+    sequenceName: 'welcome',
+    handler: (dialogContext) => {
+        dialogContext.setParam(dialogContext.getOrCreateCtx('welcome'), 'appointmentDay', String(dialogContext.inparams.appointment.day));
+        dialogContext.respondWithText('Booked for the '+dialogContext.inparams.appointment.day+'th.');
+    }
+}));
+
+convoClient.registerIntent(new Intent({
+    action: 'confirm',
+    sequenceName: 'welcome',
+    handler: (dialogContext) => {
+        dialogContext.respondWithText('Still booked for the '+dialogContext.getOrCreateCtx('welcome').parameters.appointmentDay+'th.');
+        dialogContext.buildResponse('messenger').quickReplies(['Change it', 'Keep it']).send();
+    }
+}));
+
+convoClient.registerIntent(new Intent({
+    action: 'cancel',
+    sequenceName: 'welcome',
+    handler: (dialogContext) => {
+        dialogContext.respondWithEvent('ConfirmCancel');
+    }
+}));
+
+convoClient.registerIntent(new Intent({
+    action: 'card',
+    sequenceName: 'welcome',
+    handler: (dialogContext) => {
+        dialogContext.buildResponse('dialogflow')
+            .text('Here is your card.')
+            .card({ title: 'Visa', subtitle: 'Ending in 1234', buttons: [{ text: 'Details', url: 'https://example.com/visa' }] })
+            .quickReplies(['Freeze it', 'Keep it'])
+            .send();
+    }
+}));
+
+convoClient.registerIntent(new Intent({
+    action: 'table',
+    sequenceName: 'welcome',
+    handler: (dialogContext) => {
+        dialogContext.respondWithText('Here are your payments.');
+        dialogContext.dialogflowAgent.add(new (class Table {})());
+    }
+}));
+
+/**
+ * Send a CX webhook request through the client, returning the webhook response body.
+ */
+async function send(tag, sessionParameters, formParameters, payload, client = convoClient) {
+    let body;
+    await client.handleRequest({
+        body: {
+            payload: payload,
+            fulfillmentInfo: { tag: tag },
+            sessionInfo: { session: 'projects/p/locations/l/agents/a/sessions/cx-session', parameters: sessionParameters },
+            pageInfo: { formInfo: { parameterInfo: Object.keys(formParameters || {}).map((name) => ({ displayName: name, value: formParameters[name] })) } },
+            text: 'hello',
+            languageCode: 'en'
+        }
+    }, { json: (json) => { body = json; } });
+    return body;
+}
+
+/**
+ * Merge the returned session parameters like Dialogflow CX does, where null removes a parameter.
+ */
+function merge(sessionParameters, returned) {
+    let merged = Object.assign({}, sessionParameters);
+    Object.keys(returned).forEach((name) => {
+        if (returned[name] === null) {
+            delete merged[name];
+        } else {
+            merged[name] = returned[name];
+        }
+    });
+    return merged;
+}
+
+(async () => {
+    // Object-valued session and form parameters stay parameters, and contexts are prefixed.
+    const appointment = { year: 2026, month: 11, day: 14 };
+    let sessionParameters = { appointment: appointment, channel: 'web' };
+    let body = await send('book', sessionParameters, { appointment: appointment });
+    assert.deepStrictEqual(body.fulfillmentResponse.messages, [{ text: { text: ['Booked for the 14th.'] } }]);
+    assert.strictEqual(body.sessionInfo.parameters.appointment, undefined);
+    assert.strictEqual(body.sessionInfo.parameters.ctx_sessionprops.turnCount, '1');
+    assert.strictEqual(body.sessionInfo.parameters.ctx_welcome.appointmentDay, '14');
+    assert.strictEqual(body.sessionInfo.parameters.followupEvent, null);
+    sessionParameters = merge(sessionParameters, body.sessionInfo.parameters);
+    assert.deepStrictEqual(sessionParameters.appointment, appointment);
+
+    // The contexts round-trip through the session parameters, and custom payloads pass through.
+    body = await send('confirm', sessionParameters);
+    assert.strictEqual(body.sessionInfo.parameters.ctx_sessionprops.turnCount, '2');
+    assert.deepStrictEqual(body.fulfillmentResponse.messages[0], { text: { text: ['Still booked for the 14th.'] } });
+    assert.deepStrictEqual(body.fulfillmentResponse.messages[1].payload.richContent[0][0].options, [{ text: 'Change it' }, { text: 'Keep it' }]);
+    sessionParameters = merge(sessionParameters, body.sessionInfo.parameters);
+
+    // Speech is returned as output audio, along with the plain text.
+    body = await send('speak', sessionParameters);
+    assert.deepStrictEqual(body.fulfillmentResponse.messages, [
+        { text: { text: ['Your code is 42'] } },
+        { outputAudioText: { ssml: '<speak>Your code is <say-as interpret-as="characters">42</say-as></speak>' } }
+    ]);
+    sessionParameters = merge(sessionParameters, body.sessionInfo.parameters);
+
+    // Cards and suggestions are converted to a richContent payload, and other rich responses are dropped with a warning.
+    body = await send('card', sessionParameters);
+    assert.deepStrictEqual(body.fulfillmentResponse.messages, [
+        { text: { text: ['Here is your card.'] } },
+        { payload: { richContent: [[
+            { type: 'info', title: 'Visa', subtitle: 'Ending in 1234' },
+            { type: 'button', text: 'Details', link: 'https://example.com/visa' },
+            { type: 'chips', options: [{ text: 'Freeze it' }, { text: 'Keep it' }] }
+        ]] } }
+    ]);
+    sessionParameters = merge(sessionParameters, body.sessionInfo.parameters);
+    body = await send('table', sessionParameters);
+    assert.deepStrictEqual(body.fulfillmentResponse.messages, [{ text: { text: ['Here are your payments.'] } }]);
+    assert.deepStrictEqual(records.map((record) => record.msg), ['Dropping a Table response, which Dialogflow CX can\'t render.']);
+    assert.strictEqual(records[0].sessionId, 'cx-session');
+    sessionParameters = merge(sessionParameters, body.sessionInfo.parameters);
+
+    // Calls through the CX phone gateway are telephony requests, so the default voice mode speaks.
+    const phoneClient = createClient();
+    body = await send('speak', {}, {}, { telephony: { caller_id: '+15551234567' } }, phoneClient);
+    assert.deepStrictEqual(body.fulfillmentResponse.messages[1], { outputAudioText: { ssml: '<speak>Your code is <say-as interpret-as="characters">42</say-as></speak>' } });
+    body = await send('speak', {}, {}, undefined, phoneClient);
+    assert.deepStrictEqual(body.fulfillmentResponse.messages, [{ text: { text: ['Your code is 42'] } }]);
+
+    // Follow-up events are returned for the page routes, without uttering the placeholder text.
+    body = await send('cancel', sessionParameters);
+    assert.strictEqual(body.sessionInfo.parameters.followupEvent, 'ConfirmCancel');
+    assert.deepStrictEqual(body.fulfillmentResponse.messages, []);
+    assert.strictEqual(body.fulfillmentResponse.mergeBehavior, 'REPLACE');
+
+    console.log('testDialogflowCxClient: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
\ No newline at end of file
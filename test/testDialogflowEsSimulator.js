@@ -0,0 +1,30 @@
+const assert = require('assert');
+const {DialogFlowEsSimulator} = require('../src/codingforconvos');
+const {createGreetingClient} = require('./helpers');
+
+const convoClient = createGreetingClient();
+
+(async () => {
+    const simulator = new DialogFlowEsSimulator({
+        client: convoClient,
+        payload: { customerName: 'Justin' },
+        events: {
+            'SayIntro': { action: 'welcome.sayintro', fulfillmentText: 'My name is Bot.' }
+        }
+    });
+
+    let result = await simulator.send({ action: 'welcome', queryText: 'Hi there!', fulfillmentText: 'Hello!' });
+    assert.deepStrictEqual(result.events, ['SayIntro']);
+    assert.strictEqual(result.fulfillmentText, 'How are you today, Justin?');
+    assert.strictEqual(simulator.getContext('welcome').parameters.saidIntro, '1');
+    assert.strictEqual(simulator.getContext('sessionprops').parameters.lastEvent, 'SayIntro');
+
+    result = await simulator.send({ action: 'welcome.wellbeing', queryText: 'Great!', fulfillmentText: 'Great!' });
+    assert.strictEqual(result.fulfillmentText, 'Glad to hear it!');
+    assert.strictEqual(simulator.requestCount, 3);
+
+    console.log('testDialogflowEsSimulator: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,62 @@
+const assert = require('assert');
+const {DialogFlowEsSimulator,Intent} = require('../src/codingforconvos');
+const {createClient} = require('./helpers');
+
+const convoClient = createClient({
+    voiceMode: (dialogContext) => dialogContext.payload.channel === 'voice'
+});
+
+convoClient.registerIntent(new Intent({
+    action: 'pay',
+    sequenceName: 'welcome',
+    handler: (dialogContext) => {
+        dialogContext.queueResponse('Got it.');
+        dialogContext.queueResponse('Your payment of $50.00 is scheduled for tomorrow.');
+        dialogContext.respondWithEvent('AskAnythingElse');
+    }
+}));
+
+convoClient.registerIntent(new Intent({
+    action: 'thanks',
+    sequenceName: 'welcome',
+    handler: (dialogContext) => {
+        dialogContext.queueResponse('You\'re welcome.');
+        dialogContext.flushResponses();
+    }
+}));
+
+(async () => {
+    const events = {
+        'AskAnythingElse': { action: 'anything.else', fulfillmentText: 'Is there anything else?' }
+    };
+
+    // Queued messages survive the follow-up event hop, and are sent as separate messages before the prompt.
+    let simulator = new DialogFlowEsSimulator({ client: convoClient, events: events, payload: { channel: 'chat' } });
+    let result = await simulator.send({ action: 'pay', fulfillmentText: 'Sure.' });
+    assert.deepStrictEqual(result.events, ['AskAnythingElse']);
+    assert.deepStrictEqual(result.fulfillmentMessages.map((message) => message.text.text[0]), [
+        'Got it.',
+        'Your payment of $50.00 is scheduled for tomorrow.',
+        'Is there anything else?'
+    ]);
+    assert.deepStrictEqual(simulator.getContext('sessionprops').parameters.fulfillmentBuffer, []);
+
+    // The buffer alone can be flushed.
+    result = await simulator.send({ action: 'thanks', fulfillmentText: 'Sure.' });
+    assert.strictEqual(result.fulfillmentText, 'You\'re welcome.');
+
+    // Voice joins the queued messages into a single message.
+    simulator = new DialogFlowEsSimulator({ client: convoClient, events: events, payload: { channel: 'voice' } });
+    result = await simulator.send({ action: 'pay', fulfillmentText: 'Sure.' });
+    assert.strictEqual(result.fulfillmentText, 'Got it.  Your payment of $50.00 is scheduled for tomorrow.  Is there anything else?');
+
+    // Live sessions holding the legacy text buffer are still flushed.
+    simulator.getContext('sessionprops').parameters.fulfillmentBuffer = 'Welcome back.';
+    result = await simulator.send({ action: 'anything.else', fulfillmentText: 'How can I help?' });
+    assert.strictEqual(result.fulfillmentText, 'Welcome back.  How can I help?');
+
+    console.log('testFulfillmentBuffer: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
\ No newline at end of file
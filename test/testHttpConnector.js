@@ -0,0 +1,136 @@
+const assert = require('assert');
+const http = require('http');
+const {DialogFlowEsSimulator,Intent,HttpConnector} = require('../src/codingforconvos');
+const {createClient} = require('./helpers');
+
+let tokenRequests = 0;
+let requests = [];
+let slowRequestsClosed = 0;
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push({ method: req.method, path: url.pathname, query: url.searchParams.toString(), authorization: req.headers.authorization, body: body });
+        res.setHeader('Content-Type', 'application/json');
+
+        if (url.pathname === '/token') {
+            tokenRequests++;
+            const form = new URLSearchParams(body);
+            assert.strictEqual(form.get('grant_type'), 'client_credentials');
+            assert.strictEqual(form.get('client_secret'), 's3cret');
+            res.end(JSON.stringify({ access_token: 'tok-'+tokenRequests, expires_in: 3600 }));
+            return;
+        }
+        if (url.pathname === '/accounts/AC%201/balance' || url.pathname === '/accounts/AC 1/balance') {
+            res.end(JSON.stringify({ balance: { amount: '100.00', currency: url.searchParams.get('currency') } }));
+            return;
+        }
+        if (url.pathname === '/slow') {
+            res.on('close', () => slowRequestsClosed++);
+            return;
+        }
+        if (url.pathname === '/payments') {
+            res.end(JSON.stringify({ confirmation: 'PAY-1', received: JSON.parse(body) }));
+            return;
+        }
+        res.statusCode = 404;
+        res.end('{}');
+    });
+});
+
+(async () => {
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = 'http://127.0.0.1:'+server.address().port;
+
+    const convoClient = createClient({
+        populateFromEsPayload: (context, dialogContext) => {
+            context.parameters.accountId = dialogContext.payload.accountId;
+            return context;
+        },
+        baseParams: {
+            accountId: ''
+        }
+    });
+
+    convoClient.registerConnector(new HttpConnector({
+        name: 'banking',
+        baseUrl: baseUrl,
+        auth: { type: 'oauth', tokenUrl: baseUrl+'/token', clientId: 'bot', clientSecret: 's3cret' },
+        operations: {
+            getBalance: {
+                method: 'GET',
+                path: '/accounts/{accountId}/balance',
+                query: { currency: '{currency}' },
+                responseMapping: { accountBalance: 'balance.amount', balanceCurrency: (data) => data.balance.currency }
+            },
+            makePayment: {
+                method: 'POST',
+                path: '/payments',
+                body: { account: '{accountId}', amount: '{amount}', memo: 'Payment for {accountId}' },
+                responseMapping: { paymentConfirmation: 'confirmation' }
+            }
+        }
+    }));
+
+    convoClient.registerIntent(new Intent({
+        action: 'balance',
+        sequenceName: 'welcome',
+        handler: async (dialogContext) => {
+            await dialogContext.invokeConnector('banking', 'getBalance', [{ currency: 'USD' }]);
+            const context = dialogContext.getOrCreateCtx('banking');
+            dialogContext.respondWithText('Your balance is '+context.parameters.accountBalance+' '+context.parameters.balanceCurrency);
+        }
+    }));
+
+    convoClient.registerIntent(new Intent({
+        action: 'pay',
+        sequenceName: 'welcome',
+        handler: async (dialogContext) => {
+            await dialogContext.invokeConnector('banking', 'makePayment', [{ amount: 25 }]);
+            dialogContext.respondWithText('Confirmation '+dialogContext.getOrCreateCtx('banking').parameters.paymentConfirmation);
+        }
+    }));
+
+    // Path and query templates are filled from session parameters and results are mapped to the connector's context.
+    const simulator = new DialogFlowEsSimulator({ client: convoClient, payload: { accountId: 'AC 1' } });
+    let result = await simulator.send({ action: 'balance', fulfillmentText: 'Checking.' });
+    assert.strictEqual(result.fulfillmentText, 'Your balance is 100.00 USD');
+    const balanceRequest = requests.find((request) => request.path.startsWith('/accounts'));
+    assert.strictEqual(balanceRequest.query, 'currency=USD');
+    assert.strictEqual(balanceRequest.authorization, 'Bearer tok-1');
+
+    // Body templates keep the type of whole-value placeholders, and the OAuth token is reused.
+    result = await simulator.send({ action: 'pay', fulfillmentText: 'Paying.' });
+    assert.strictEqual(result.fulfillmentText, 'Confirmation PAY-1');
+    const paymentRequest = requests.find((request) => request.path === '/payments');
+    assert.deepStrictEqual(JSON.parse(paymentRequest.body), { account: 'AC 1', amount: 25, memo: 'Payment for AC 1' });
+    assert.strictEqual(tokenRequests, 1);
+
+    // Basic and bearer authentication.
+    const basic = new HttpConnector({ name: 'basic', baseUrl: baseUrl, auth: { type: 'basic', username: 'bot', password: 'pw' }, operations: { pay: { method: 'POST', path: '/payments', body: {} } } });
+    await basic.invoke('pay', [{}]);
+    assert.strictEqual(requests[requests.length-1].authorization, 'Basic '+Buffer.from('bot:pw').toString('base64'));
+    const bearer = new HttpConnector({ name: 'bearer', baseUrl: baseUrl, auth: { type: 'bearer', token: () => 'abc' }, operations: { pay: { method: 'POST', path: '/payments', body: {} } } });
+    await bearer.invoke('pay', [{}]);
+    assert.strictEqual(requests[requests.length-1].authorization, 'Bearer abc');
+
+    // Missing template values and HTTP errors are reported as failures.
+    const templated = new HttpConnector({ name: 'templated', baseUrl: baseUrl, operations: { get: { path: '/accounts/{accountId}' } } });
+    await assert.rejects(templated.invoke('get', [{}]), /Missing value for template parameter accountId/);
+    const missing = new HttpConnector({ name: 'missing', baseUrl: baseUrl, operations: { get: { path: '/missing' } } });
+    await assert.rejects(missing.invoke('get', [{}]), /404/);
+    assert.strictEqual(missing.failureCount, 1);
+
+    // Timed out requests are aborted, rather than left running on the backend.
+    const slow = new HttpConnector({ name: 'slow', baseUrl: baseUrl, timeout: 50, operations: { get: { path: '/slow' } } });
+    await assert.rejects(slow.invoke('get', [{}]), /timed out after 50ms/);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.strictEqual(slowRequestsClosed, 1);
+
+    console.log('testHttpConnector: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+}).then(() => server.close());
\ No newline at end of file
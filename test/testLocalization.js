@@ -0,0 +1,80 @@
+const assert = require('assert');
+const {DialogFlowEsSimulator,Intent,Logger} = require('../src/codingforconvos');
+const {createClient} = require('./helpers');
+
+let records = [];
+
+const convoClient = createClient({
+    logger: new Logger({ level: 'warn', write: (record) => records.push(record) }),
+    catalogs: {
+        'en': {
+            balance: 'Your balance is {accountBalance|currency:CAD}.',
+            goodbye: 'Have a nice day!',
+            help: 'I can help with {sequence.activity}.'
+        },
+        'fr': {
+            'balance': 'Votre solde est de {accountBalance|currency:CAD}.',
+            'goodbye': 'Bonne journée!',
+            'authValidationFailed': 'Désolé, mais je ne peux pas m\'occuper de {sequence.activity} sans valider votre identité.',
+            'sequence.welcome.activity': 'nos salutations'
+        },
+        'fr-CA': {
+            goodbye: 'Bonne fin de journée!'
+        }
+    },
+    baseParams: {
+        accountBalance: '1024.5'
+    }
+});
+
+convoClient.registerIntent(new Intent({
+    action: 'message',
+    sequenceName: 'welcome',
+    handler: (dialogContext) => {
+        dialogContext.respondWithText(dialogContext.getMessage(dialogContext.inparams.key));
+    }
+}));
+
+convoClient.registerIntent(new Intent({
+    action: 'language',
+    sequenceName: 'welcome',
+    handler: (dialogContext) => {
+        dialogContext.setLocale(dialogContext.inparams.locale);
+        dialogContext.respondWithTemplate('goodbye');
+    }
+}));
+
+(async () => {
+    const send = (simulator, key) => simulator.send({ action: 'message', parameters: { key: key }, fulfillmentText: 'Sure.' });
+
+    // Canadian French requests fall back from fr-CA to fr, and then to en.
+    let simulator = new DialogFlowEsSimulator({ client: convoClient, languageCode: 'fr-CA' });
+    assert.strictEqual((await send(simulator, 'goodbye')).fulfillmentText, 'Bonne fin de journée!');
+    // Node builds with small ICU data format Canadian amounts in en-US, for example CA$1,024.50.
+    assert.ok(/^Votre solde est de (1\s024,50\s\$|CA\$1,024\.50)\.$/.test((await send(simulator, 'balance')).fulfillmentText));
+    assert.strictEqual((await send(simulator, 'help')).fulfillmentText, 'I can help with nos salutations.');
+
+    // The library's own messages are localized by the catalogs too.
+    assert.strictEqual((await send(simulator, 'authValidationFailed')).fulfillmentText, 'Désolé, mais je ne peux pas m\'occuper de nos salutations sans valider votre identité.');
+
+    // Unknown keys are reported and returned as is.
+    assert.strictEqual((await send(simulator, 'transfer')).fulfillmentText, 'transfer');
+    assert.strictEqual(records[0].msg, 'Missing message transfer for locale fr-CA.');
+
+    // English requests use the en catalog, and the built-in messages otherwise.
+    simulator = new DialogFlowEsSimulator({ client: convoClient, languageCode: 'en-CA' });
+    assert.ok(/^Your balance is (CA)?\$1,024\.50\.$/.test((await send(simulator, 'balance')).fulfillmentText));
+    assert.strictEqual((await send(simulator, 'authValidationFailed')).fulfillmentText, 'I\'m sorry, but greeting each other isn\'t something I can do without validating your identity.');
+
+    // The session locale overrides the request languageCode for the rest of the session.
+    let result = await simulator.send({ action: 'language', parameters: { locale: 'fr' }, fulfillmentText: 'Sure.' });
+    assert.strictEqual(result.fulfillmentText, 'Bonne journée!');
+    assert.strictEqual((await send(simulator, 'goodbye')).fulfillmentText, 'Bonne journée!');
+
+    assert.deepStrictEqual(convoClient.templateManager.getLocaleChain('fr_CA'), ['fr-ca', 'fr', 'en']);
+
+    console.log('testLocalization: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,46 @@
+const assert = require('assert');
+const {DialogFlowEsSimulator,Intent,Logger} = require('../src/codingforconvos');
+const {createClient} = require('./helpers');
+
+// Debug messages are not built when debug logging is off.
+let built = false;
+const infoLogger = new Logger({ level: 'info', write: () => {} });
+infoLogger.debug('test', () => { built = true; return 'expensive'; });
+assert.strictEqual(built, false);
+assert.strictEqual(infoLogger.isLevelEnabled('warn'), true);
+assert.throws(() => new Logger({ level: 'verbose' }), /level must be one of/);
+
+let records = [];
+const convoClient = createClient({
+    logger: new Logger({ level: 'debug', write: (record) => records.push(record), fields: { service: 'testbot' } })
+});
+
+convoClient.registerIntent(new Intent({
+    action: 'welcome',
+    sequenceName: 'welcome',
+    handler: (dialogContext) => {
+        dialogContext.setFulfillmentText();
+    }
+}));
+
+(async () => {
+    const simulator = new DialogFlowEsSimulator({ client: convoClient });
+    await simulator.send({ action: 'welcome', fulfillmentText: 'Hi!' });
+    await simulator.send({ action: 'welcome', fulfillmentText: 'Hi again!' });
+
+    // Records are structured, with the standard fields taken from the dialog context.
+    const navigated = records.filter((record) => record.event === 'handleIntentAndNavigate' && record.msg === 'Calling welcome.navigate()');
+    assert.strictEqual(navigated.length, 2);
+    assert.strictEqual(navigated[1].level, 'debug');
+    assert.strictEqual(navigated[1].service, 'testbot');
+    assert.strictEqual(navigated[1].sessionId, 'simulated-session');
+    assert.strictEqual(navigated[1].action, 'welcome');
+    assert.strictEqual(navigated[1].sequence, 'welcome');
+    assert.strictEqual(navigated[1].turn, 2);
+    assert.ok(records.every((record) => typeof record.time === 'string' && typeof record.msg === 'string'));
+
+    console.log('testLogging: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,87 @@
+const assert = require('assert');
+const {DialogFlowEsSimulator,SequenceManager,Intent,Middleware} = require('../src/codingforconvos');
+const {createClient} = require('./helpers');
+
+const convoClient = createClient({
+    sequenceManager: new SequenceManager()
+});
+
+let audit = [];
+let maintenanceMode = false;
+
+convoClient.registerIntent(new Intent({
+    action: 'welcome',
+    sequenceName: 'welcome',
+    handler: (dialogContext) => {
+        dialogContext.setFulfillmentText();
+    }
+}));
+
+convoClient.registerIntent(new Intent({
+    action: 'input.unknown',
+    handler: (dialogContext) => {
+        dialogContext.setFulfillmentText('Let\'s keep it friendly.');
+    }
+}));
+
+convoClient.registerMiddleware(new Middleware({
+    name: 'audit',
+    handler: async (dialogContext, next) => {
+        const action = dialogContext.currentAction;
+        await next();
+        audit.push(action+' -> '+dialogContext.responseTexts.join(' '));
+    }
+}));
+
+convoClient.registerMiddleware(new Middleware({
+    name: 'maintenance',
+    handler: async (dialogContext, next) => {
+        if (maintenanceMode) {
+            dialogContext.respondWithText('We are down for maintenance.');
+            return;
+        }
+        await next();
+    }
+}));
+
+convoClient.registerMiddleware(new Middleware({
+    name: 'profanity',
+    handler: async (dialogContext, next) => {
+        if (/darn/i.test(dialogContext.dialogflowAgent.query)) {
+            dialogContext.currentAction = 'input.unknown';
+        }
+        await next();
+        dialogContext.rewriteResponseTexts((text) => text.replace(/darn/gi, '****'));
+    }
+}));
+
+// Middleware names must be unique.
+assert.throws(() => convoClient.registerMiddleware(new Middleware({ name: 'audit', handler: async () => {} })), /already registered/);
+
+(async () => {
+    const simulator = new DialogFlowEsSimulator({ client: convoClient });
+
+    // Post-processing rewrites the response after routing.
+    let result = await simulator.send({ action: 'welcome', queryText: 'Hi', fulfillmentText: 'Hi, darn good to see you!' });
+    assert.strictEqual(result.fulfillmentText, 'Hi, **** good to see you!');
+
+    // Rewriting the action routes the turn to another intent.
+    result = await simulator.send({ action: 'welcome', queryText: 'Darn you', fulfillmentText: 'Hello again!' });
+    assert.strictEqual(result.fulfillmentText, 'Let\'s keep it friendly.');
+
+    // Short-circuiting skips routing and the inner middleware.
+    maintenanceMode = true;
+    result = await simulator.send({ action: 'welcome', queryText: 'Hi', fulfillmentText: 'Hello again!' });
+    assert.strictEqual(result.fulfillmentText, 'We are down for maintenance.');
+
+    assert.deepStrictEqual(audit, [
+        'welcome -> Hi, **** good to see you!',
+        'welcome -> Let\'s keep it friendly.',
+        'welcome -> We are down for maintenance.'
+    ]);
+
+    console.log('testMiddleware: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
\ No newline at end of file
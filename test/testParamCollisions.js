@@ -0,0 +1,69 @@
+const assert = require('assert');
+const {DialogFlowEsClient,DialogFlowEsSimulator,Intent,Connector,ConnectorManager,DefaultParameterManager,Logger} = require('../src/codingforconvos');
+const {createClient} = require('./helpers');
+
+const convoClient = createClient({
+    baseParams: {
+        customerId: 'C-1'
+    }
+});
+
+convoClient.registerConnector(new Connector({
+    name: 'banking',
+    endpoint: {},
+    params: {},
+    sessionParams: { accountId: '' }
+}));
+
+convoClient.registerIntent(new Intent({
+    action: 'hello',
+    sequenceName: 'welcome',
+    handler: (dialogContext) => {}
+}));
+
+(async () => {
+    // Collisions with baseParams, the core session props, or another connector are reported with both owners.
+    assert.throws(() => convoClient.registerConnector(new Connector({ name: 'crm', endpoint: {}, params: {}, sessionParams: { customerId: '' } })),
+        /Session parameter customerId of connector crm collides with the same parameter of baseParams\./);
+    assert.throws(() => convoClient.registerConnector(new Connector({ name: 'events', endpoint: {}, params: {}, sessionParams: { lastEvent: '' } })),
+        /Session parameter lastEvent of connector events collides with the same parameter of the core session props\./);
+    assert.throws(() => convoClient.registerConnector(new Connector({ name: 'cards', endpoint: {}, params: {}, sessionParams: { accountId: '' } })),
+        /Session parameter accountId of connector cards collides with the same parameter of connector banking\./);
+
+    // A core session prop in baseParams is a warning, not a startup failure, except the authentication flags baseParams may initialize.
+    const warnings = [];
+    new DialogFlowEsClient({ logger: new Logger({ level: 'warn', write: (record) => warnings.push(record.msg) }), baseParams: { sessionId: '', customerValidated: '0' } });
+    assert.deepStrictEqual(warnings, ['baseParams sessionId overrides the core session prop of the same name.']);
+
+    // Clients sharing a parameter manager reserve the core session props and their baseParams again.
+    const defaultParameterManager = new DefaultParameterManager();
+    const shared = [1, 2].map(() => new DialogFlowEsClient({
+        logger: new Logger({ level: 'silent' }),
+        connectorManager: new ConnectorManager({ defaultParameterManager: defaultParameterManager }),
+        baseParams: { customerId: '' }
+    }));
+    const connectorManager = new ConnectorManager({ defaultParameterManager: new DefaultParameterManager() });
+    [1, 2].forEach(() => new DialogFlowEsClient({ logger: new Logger({ level: 'silent' }), connectorManager: connectorManager, baseParams: { customerId: '' } }));
+    shared[0].registerConnector(new Connector({ name: 'billing', endpoint: {}, params: {}, sessionParams: { invoiceId: '' } }));
+    assert.throws(() => shared[1].registerConnector(new Connector({ name: 'crm', endpoint: {}, params: {}, sessionParams: { customerId: '' } })),
+        /Session parameter customerId of connector crm collides with the same parameter of baseParams\./);
+
+    // Namespaced connectors keep their parameters apart.
+    const crm = new Connector({ name: 'crm', endpoint: {}, params: {}, namespace: 'crm', sessionParams: { customerId: 'unknown', accountId: '' }, sensitiveParams: ['accountId'] });
+    convoClient.registerConnector(crm);
+    assert.strictEqual(crm.qualifyParamName('customerId'), 'crm_customerId');
+    assert.ok(convoClient.redactor.isSensitive('crm_accountId'));
+
+    const simulator = new DialogFlowEsSimulator({ client: convoClient });
+    await simulator.send({ action: 'hello', fulfillmentText: 'Hello.' });
+    const sessionParams = simulator.getContext('sessionprops').parameters;
+    assert.strictEqual(sessionParams.customerId, 'C-1');
+    assert.strictEqual(sessionParams.crm_customerId, 'unknown');
+    assert.strictEqual(sessionParams.accountId, '');
+    assert.strictEqual(sessionParams.sessionId, 'simulated-session');
+
+    console.log('testParamCollisions: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,108 @@
+const assert = require('assert');
+const {DialogFlowEsSimulator,Intent,Connector,ParamSchema,Logger} = require('../src/codingforconvos');
+const helpers = require('./helpers');
+
+function createClient(strictParams, warnings) {
+    const convoClient = helpers.createClient({
+        logger: new Logger({ level: 'warn', write: (record) => warnings.push(record.msg) }),
+        strictParams: strictParams,
+        paramSchema: {
+            customerIdentified: { type: 'boolean', default: false, description: 'The caller was matched to a customer.' },
+            pinAttempts: { type: 'number', description: 'The number of PIN attempts.' },
+            callbackDate: { type: 'date', description: 'The requested callback date.' }
+        },
+        baseParams: {
+            customerName: ''
+        }
+    });
+    convoClient.registerConnector(new Connector({
+        name: 'banking',
+        endpoint: {},
+        params: {},
+        paramSchema: {
+            accountTier: { type: 'enum', values: ['basic', 'gold'], default: 'basic', description: 'The account tier.' }
+        }
+    }));
+    convoClient.registerIntent(new Intent({
+        action: 'pin',
+        sequenceName: 'welcome',
+        handler: (dialogContext) => {
+            dialogContext.setSessionParams({
+                pinAttempts: dialogContext.getSessionParam('pinAttempts') + 1,
+                callbackDate: new Date('2022-06-01T00:00:00.000Z')
+            });
+            dialogContext.respondWithText(dialogContext.getSessionParam('customerIdentified')+' '+dialogContext.getSessionParam('accountTier'));
+        }
+    }));
+    convoClient.registerIntent(new Intent({
+        action: 'raw',
+        sequenceName: 'welcome',
+        handler: (dialogContext) => {
+            dialogContext.setParams(dialogContext.sessionParams, { pinAttempts: 'three', customerName: 'Jane', favouriteColour: 'blue' });
+            dialogContext.setParam(dialogContext.getOrCreateCtx('welcome'), 'favouriteColour', 'blue');
+            dialogContext.respondWithText('Done.');
+        }
+    }));
+    convoClient.registerIntent(new Intent({
+        action: 'typo',
+        sequenceName: 'welcome',
+        handler: (dialogContext) => {
+            dialogContext.setSessionParams({ pinAtempts: 1, accountTier: 'platinum' });
+            dialogContext.respondWithText('Done.');
+        }
+    }));
+    return convoClient;
+}
+
+(async () => {
+    // Declarations are validated, and typed values are converted to and from storage.
+    assert.throws(() => new ParamSchema({ params: { tier: { type: 'enum' } } }), /values is required/);
+    assert.throws(() => new ParamSchema({ params: { flag: { type: 'boolean', default: '1' } } }), /expects a boolean value/);
+    const paramSchema = new ParamSchema({ params: { flag: { type: 'boolean' }, count: { type: 'number', default: 2 } } });
+    assert.deepStrictEqual(paramSchema.getDefaults(), { flag: '0', count: '2' });
+    assert.strictEqual(paramSchema.fromStorage('flag', '1'), true);
+    assert.strictEqual(paramSchema.fromStorage('count', undefined), 2);
+
+    // Session props hold the stored defaults, and the accessors read and write typed values.
+    let warnings = [];
+    let simulator = new DialogFlowEsSimulator({ client: createClient(false, warnings) });
+    let result = await simulator.send({ action: 'pin', fulfillmentText: 'Checking.' });
+    assert.strictEqual(result.fulfillmentText, 'true basic');
+    await simulator.send({ action: 'pin', fulfillmentText: 'Checking.' });
+    const sessionParams = simulator.getContext('sessionprops').parameters;
+    assert.strictEqual(sessionParams.pinAttempts, '2');
+    assert.strictEqual(sessionParams.callbackDate, '2022-06-01T00:00:00.000Z');
+    assert.strictEqual(sessionParams.accountTier, 'basic');
+
+    // Undeclared and wrongly typed values are logged as warnings, or thrown in strict mode.
+    result = await simulator.send({ action: 'typo', fulfillmentText: 'Updating.' });
+    assert.strictEqual(result.fulfillmentText, 'Done.');
+    assert.deepStrictEqual(warnings, [
+        'Session parameter pinAtempts is not declared.',
+        'Session parameter accountTier expects one of basic, gold, but got "platinum".'
+    ]);
+
+    // Raw session parameter writes are checked too, except for baseParams, while other contexts aren't.
+    warnings.length = 0;
+    result = await simulator.send({ action: 'raw', fulfillmentText: 'Updating.' });
+    assert.strictEqual(result.fulfillmentText, 'Done.');
+    assert.deepStrictEqual(warnings, [
+        'Session parameter pinAttempts expects a stored number value, but got "three".',
+        'Session parameter favouriteColour is not declared.'
+    ]);
+    assert.strictEqual(paramSchema.strict, false);
+
+    warnings = [];
+    simulator = new DialogFlowEsSimulator({ client: createClient(true, warnings) });
+    await assert.rejects(simulator.send({ action: 'raw', fulfillmentText: 'Updating.' }), /No responses defined/);
+    assert.ok(warnings.some((warning) => warning.startsWith('Unhandled error: Error: Session parameter pinAttempts expects a stored number value')));
+    warnings = [];
+    simulator = new DialogFlowEsSimulator({ client: createClient(true, warnings) });
+    await assert.rejects(simulator.send({ action: 'typo', fulfillmentText: 'Updating.' }), /No responses defined/);
+    assert.ok(warnings.some((warning) => warning.startsWith('Unhandled error: Error: Session parameter pinAtempts is not declared.')));
+
+    console.log('testParamSchema: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,127 @@
+const assert = require('assert');
+const {DialogFlowEsSimulator,TranscriptRunner,Intent,Connector,Logger,Redactor} = require('../src/codingforconvos');
+const {createClient} = require('./helpers');
+
+// Utterances are redacted by pattern.
+const redactor = new Redactor();
+assert.strictEqual(redactor.redactText('My card is 4111 1111 1111 1111.'), 'My card is [CARD].');
+assert.strictEqual(redactor.redactText('Call me at (555) 123-4567'), 'Call me at [PHONE]');
+assert.strictEqual(redactor.redactText('I have 2 accounts'), 'I have 2 accounts');
+
+let records = [];
+const convoClient = createClient({
+    logger: new Logger({ level: 'debug', write: (record) => records.push(record) }),
+    sensitiveParams: ['accountId'],
+    populateFromEsPayload: (context, dialogContext) => {
+        context.parameters.accountId = dialogContext.payload.accountId;
+        return context;
+    },
+    baseParams: {
+        accountId: ''
+    }
+});
+
+convoClient.registerConnector(new Connector({
+    name: 'otp',
+    endpoint: {},
+    params: {},
+    sessionParams: { otpCode: '' },
+    sensitiveParams: ['otpCode']
+}));
+
+convoClient.registerIntent(new Intent({
+    action: 'welcome',
+    sequenceName: 'welcome',
+    handler: (dialogContext) => {
+        dialogContext.setSessionParam('otpCode', '918273');
+        dialogContext.logger.info('welcome', 'Sent OTP '+dialogContext.params.otpCode+' for account '+dialogContext.params.accountId, dialogContext);
+        dialogContext.setFulfillmentText();
+    }
+}));
+
+(async () => {
+    const simulator = new DialogFlowEsSimulator({ client: convoClient, payload: { accountId: 'AC-778899' } });
+    await simulator.send({ action: 'welcome', queryText: 'Hi, my number is 555-123-4567', fulfillmentText: 'Hi!' });
+    await simulator.send({ action: 'welcome', queryText: 'Hi again', fulfillmentText: 'Hi!' });
+
+    // Sensitive values and utterances are masked in every log line and debug dump.
+    const output = records.map((record) => record.msg).join('\n');
+    assert.ok(output.includes('Sent OTP [REDACTED] for account [REDACTED]'));
+    assert.ok(output.includes('User Said: Hi, my number is [PHONE]'));
+    assert.ok(output.includes('"accountId":"[REDACTED]"'));
+    assert.ok(!output.includes('AC-778899'));
+    assert.ok(!output.includes('918273'));
+    assert.ok(!output.includes('555-123-4567'));
+    assert.strictEqual(simulator.getContext('sessionprops').parameters.accountId, 'AC-778899');
+
+    // Sensitive values are masked in transcript reports.
+    const runner = new TranscriptRunner({ client: convoClient });
+    const result = await runner.runTranscript({
+        name: 'redacted',
+        payload: { accountId: 'AC-778899' },
+        turns: [
+            { user: { action: 'welcome', fulfillmentText: 'Hi!' }, expect: { params: { accountId: 'AC-000000' } } }
+        ]
+    });
+    const report = runner.formatResults([result]);
+    assert.ok(!report.includes('AC-778899'));
+    assert.ok(!report.includes('AC-000000'));
+    assert.ok(report.includes('params.accountId: expected "[REDACTED]", got "[REDACTED]"'));
+
+    // Records are masked before they reach a custom logger, and error stacks are masked by the same rules.
+    let lines = [];
+    const write = (event, message, dialogContext, fields) => lines.push({ msg: message, fields: fields });
+    const customClient = createClient({
+        logger: { debug: write, info: write, warn: write, error: write },
+        sensitiveParams: ['accountId'],
+        populateFromEsPayload: (context, dialogContext) => {
+            context.parameters.accountId = dialogContext.payload.accountId;
+            return context;
+        },
+        baseParams: {
+            accountId: ''
+        }
+    });
+    customClient.registerIntent(new Intent({
+        action: 'welcome',
+        sequenceName: 'welcome',
+        handler: (dialogContext) => {
+            dialogContext.logger.info('welcome', 'Welcome account '+dialogContext.params.accountId, dialogContext, { accountId: dialogContext.params.accountId });
+            throw new Error('Lookup failed for account '+dialogContext.params.accountId+' and card 4111 1111 1111 1111');
+        }
+    }));
+    const customSimulator = new DialogFlowEsSimulator({ client: customClient, payload: { accountId: 'AC-778899' } });
+    await assert.rejects(customSimulator.send({ action: 'welcome', queryText: 'Hi, my number is 555-123-4567', fulfillmentText: 'Hi!' }), /No responses defined/);
+    const customOutput = JSON.stringify(lines);
+    assert.ok(customOutput.includes('Welcome account [REDACTED]'));
+    assert.ok(customOutput.includes('"accountId":"[REDACTED]"'));
+    assert.ok(customOutput.includes('Lookup failed for account [REDACTED] and card [CARD]'));
+    assert.ok(!customOutput.includes('AC-778899'));
+    assert.ok(!customOutput.includes('4111'));
+    assert.ok(!customOutput.includes('555-123-4567'));
+
+    // Custom loggers receive string messages unless they opt into lazy ones, and disabled levels are skipped before masking.
+    assert.ok(lines.every((line) => typeof line.msg === 'string'));
+    const customLogger = customClient.logger.logger;
+    customLogger.lazyMessages = true;
+    customLogger.isLevelEnabled = (level) => level !== 'debug';
+    const redactParams = customClient.redactor.redactParams;
+    let redactions = 0;
+    customClient.redactor.redactParams = (fields) => {
+        redactions++;
+        return redactParams(fields);
+    };
+    lines = [];
+    customClient.logger.debug('test', () => { throw new Error('Built a disabled message.'); }, undefined, { accountId: 'AC-778899' });
+    assert.deepStrictEqual(lines, []);
+    assert.strictEqual(redactions, 0);
+    customClient.logger.info('test', 'Card 4111 1111 1111 1111', undefined, { accountId: 'AC-778899' });
+    assert.strictEqual(redactions, 1);
+    assert.strictEqual(lines[0].msg(), 'Card [CARD]');
+    assert.deepStrictEqual(lines[0].fields, { accountId: '[REDACTED]' });
+
+    console.log('testRedaction: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,76 @@
+const assert = require('assert');
+const {DialogFlowEsSimulator,Intent} = require('../src/codingforconvos');
+const helpers = require('./helpers');
+
+const createClient = (responseChannel) => {
+    const convoClient = helpers.createClient({
+        responseChannel: responseChannel
+    });
+
+    convoClient.registerIntent(new Intent({
+        action: 'accounts',
+        sequenceName: 'welcome',
+        handler: (dialogContext) => {
+            dialogContext.buildResponse()
+                .text('Which account?')
+                .card({ title: 'Savings', subtitle: 'Balance $1,024.00', imageUrl: 'https://example.com/savings.png', buttons: [{ text: 'Details', url: 'https://example.com/savings' }] })
+                .quickReplies(['Savings', 'Chequing'])
+                .send();
+        }
+    }));
+
+    convoClient.registerIntent(new Intent({
+        action: 'card.only',
+        sequenceName: 'welcome',
+        handler: (dialogContext) => {
+            dialogContext.buildResponse()
+                .card({ title: 'Savings', subtitle: 'Balance $1,024.00' })
+                .payload('webexcc', { escalate: true })
+                .send();
+        }
+    }));
+
+    return convoClient;
+};
+
+(async () => {
+    // The default channel uses the dialogflow-fulfillment rich responses.
+    let simulator = new DialogFlowEsSimulator({ client: createClient() });
+    let result = await simulator.send({ action: 'accounts', fulfillmentText: 'Sure.' });
+    assert.deepStrictEqual(result.fulfillmentMessages[0], { text: { text: ['Which account?'] } });
+    assert.strictEqual(result.fulfillmentMessages[1].card.title, 'Savings');
+    assert.strictEqual(result.fulfillmentMessages[1].card.subtitle, 'Balance $1,024.00');
+    assert.deepStrictEqual(result.fulfillmentMessages[1].card.buttons, [{ text: 'Details', postback: 'https://example.com/savings' }]);
+    assert.deepStrictEqual(result.fulfillmentMessages[2].quickReplies.quickReplies, ['Savings', 'Chequing']);
+    assert.strictEqual(simulator.getContext('sessionprops').parameters.lastFulfillmentText, 'Which account?');
+
+    // Dialogflow Messenger gets a richContent custom payload.
+    simulator = new DialogFlowEsSimulator({ client: createClient('messenger') });
+    result = await simulator.send({ action: 'accounts', fulfillmentText: 'Sure.' });
+    assert.deepStrictEqual(result.fulfillmentMessages[1].payload.richContent, [[
+        { type: 'info', title: 'Savings', subtitle: 'Balance $1,024.00', image: { src: { rawUrl: 'https://example.com/savings.png' } } },
+        { type: 'button', text: 'Details', link: 'https://example.com/savings' },
+        { type: 'chips', options: [{ text: 'Savings' }, { text: 'Chequing' }] }
+    ]]);
+
+    // Webex gets an adaptive card, with the text as its markdown fallback.
+    simulator = new DialogFlowEsSimulator({ client: createClient('webex') });
+    result = await simulator.send({ action: 'accounts', fulfillmentText: 'Sure.' });
+    const webex = result.fulfillmentMessages[1].payload.webex;
+    assert.strictEqual(webex.markdown, 'Which account?');
+    assert.strictEqual(webex.attachments[0].contentType, 'application/vnd.microsoft.card.adaptive');
+    assert.deepStrictEqual(webex.attachments[0].content.actions.map((action) => action.title), ['Details', 'Savings', 'Chequing']);
+
+    // Without text, the card is the voice fallback, and custom platforms are merged into the same payload.
+    result = await simulator.send({ action: 'card.only', fulfillmentText: 'Sure.' });
+    assert.strictEqual(simulator.getContext('sessionprops').parameters.lastFulfillmentText, 'Savings.  Balance $1,024.00');
+    assert.strictEqual(result.fulfillmentMessages.length, 1);
+    assert.deepStrictEqual(result.fulfillmentMessages[0].payload.webexcc, { escalate: true });
+
+    assert.throws(() => createClient('sms'), /responseChannel must be one of/);
+
+    console.log('testResponseBuilder: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
\ No newline at end of file
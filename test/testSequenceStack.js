@@ -0,0 +1,94 @@
+const assert = require('assert');
+const {DialogFlowEsSimulator,Sequence,SequenceManager,Intent} = require('../src/codingforconvos');
+const {createClient} = require('./helpers');
+
+const convoClient = createClient({
+    sequenceManager: new SequenceManager()
+});
+
+let returnedResults = [];
+
+convoClient.registerSequence(new Sequence({
+    name: 'billing',
+    activity: 'paying your bill',
+    identityRequired: false,
+    authRequired: false,
+    params: {},
+    navigate: (dialogContext, result) => {
+        if (result === undefined) {
+            dialogContext.pushSequence('verify');
+            dialogContext.respondWithEvent('AskCode');
+            return;
+        }
+        returnedResults.push(result);
+        dialogContext.respondWithText('Verified in '+result.attempts+' attempt.');
+    }
+}));
+
+convoClient.registerSequence(new Sequence({
+    name: 'verify',
+    activity: 'verifying your identity',
+    identityRequired: false,
+    authRequired: false,
+    params: {},
+    navigate: (dialogContext) => {
+        if (dialogContext.currentFrame.result.verified !== '1') {
+            dialogContext.respondWithText();
+            return;
+        }
+        dialogContext.popSequenceAndNavigate('verify', { attempts: '1' });
+    }
+}));
+
+convoClient.registerIntent(new Intent({
+    action: 'billing',
+    sequenceName: 'billing',
+    handler: (dialogContext) => {
+        dialogContext.pushSequence('billing');
+    }
+}));
+
+convoClient.registerIntent(new Intent({
+    action: 'verify.code',
+    sequenceName: 'verify',
+    handler: (dialogContext) => {
+        dialogContext.setSequenceResult({ verified: '1' });
+    }
+}));
+
+(async () => {
+    const simulator = new DialogFlowEsSimulator({
+        client: convoClient,
+        events: {
+            'AskCode': { action: 'verify.ask.code', fulfillmentText: 'What is your code?' }
+        }
+    });
+    const sessionParams = () => simulator.getContext('sessionprops').parameters;
+
+    // Pushed frames record the sequence name, entry time, and triggering action.
+    let result = await simulator.send({ action: 'billing', fulfillmentText: 'Sure.' });
+    assert.strictEqual(result.fulfillmentText, 'What is your code?');
+    assert.deepStrictEqual(sessionParams().sequenceStack.map((frame) => frame.name), ['billing', 'verify']);
+    assert.strictEqual(sessionParams().sequenceStack[1].triggerAction, 'billing');
+    assert.ok(!isNaN(Date.parse(sessionParams().sequenceStack[1].enteredAt)));
+
+    // The popped sequence's result comes back to the caller.
+    result = await simulator.send({ action: 'verify.code', fulfillmentText: 'Thanks.' });
+    assert.strictEqual(result.fulfillmentText, 'Verified in 1 attempt.');
+    assert.deepStrictEqual(returnedResults, [{ verified: '1', attempts: '1' }]);
+    assert.deepStrictEqual(sessionParams().sequenceStack.map((frame) => frame.name), ['billing']);
+    assert.strictEqual(sessionParams().sequenceCurrent, 'billing');
+
+    // Live sessions holding the legacy pipe-delimited stack are migrated to frames.
+    sessionParams().sequenceStack = 'welcome|billing|verify';
+    sessionParams().sequenceCurrent = 'verify';
+    result = await simulator.send({ action: 'verify.code', fulfillmentText: 'Thanks.' });
+    assert.strictEqual(result.fulfillmentText, 'Verified in 1 attempt.');
+    assert.deepStrictEqual(sessionParams().sequenceStack.map((frame) => frame.name), ['welcome', 'billing']);
+    assert.strictEqual(sessionParams().sequenceStack[0].enteredAt, '');
+
+    console.log('testSequenceStack: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,85 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {DialogFlowEsSimulator,Intent,MemorySessionStore,FileSessionStore} = require('../src/codingforconvos');
+const helpers = require('./helpers');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cfc-sessions-'));
+
+function createClient(sessionStore) {
+    const convoClient = helpers.createClient({
+        sessionStore: sessionStore
+    });
+    convoClient.registerIntent(new Intent({
+        action: 'transactions',
+        sequenceName: 'welcome',
+        handler: (dialogContext) => {
+            if (dialogContext.state.transactions === undefined) {
+                dialogContext.state.transactions = Array.from({ length: 500 }, (value, index) => ({ id: 'T-'+index, amount: index }));
+                dialogContext.respondWithText('Loaded '+dialogContext.state.transactions.length+' transactions.');
+                return;
+            }
+            dialogContext.respondWithText('Still have '+dialogContext.state.transactions.length+' transactions.');
+        }
+    }));
+    return convoClient;
+}
+
+(async () => {
+    // The state is kept server-side across turns, keyed by the session ID and kept out of the session props.
+    for (const sessionStore of [new MemorySessionStore(), new FileSessionStore({ directory: directory })]) {
+        const simulator = new DialogFlowEsSimulator({ client: createClient(sessionStore) });
+        let result = await simulator.send({ action: 'transactions', fulfillmentText: 'Checking.' });
+        assert.strictEqual(result.fulfillmentText, 'Loaded 500 transactions.');
+        result = await simulator.send({ action: 'transactions', fulfillmentText: 'Checking.' });
+        assert.strictEqual(result.fulfillmentText, 'Still have 500 transactions.');
+        const sessionParams = simulator.getContext('sessionprops').parameters;
+        assert.strictEqual(sessionParams.transactions, undefined);
+        assert.strictEqual((await sessionStore.get('simulated-session')).transactions.length, 500);
+
+        // A request naming another session's state in its session props still gets its own state.
+        const forged = new DialogFlowEsSimulator({ client: createClient(sessionStore), sessionId: 'forged-session' });
+        await forged.send({ action: 'transactions', fulfillmentText: 'Checking.' });
+        forged.getContext('sessionprops').parameters.sessionStateRef = 'simulated-session';
+        await sessionStore.set('forged-session', {});
+        result = await forged.send({ action: 'transactions', fulfillmentText: 'Checking.' });
+        assert.strictEqual(result.fulfillmentText, 'Loaded 500 transactions.');
+        assert.strictEqual((await sessionStore.get('simulated-session')).transactions.length, 500);
+        await sessionStore.delete('forged-session');
+
+        // Concurrent writes of the same session don't share a temporary file.
+        await Promise.all(Array.from({ length: 10 }, (value, index) => sessionStore.set('concurrent', { write: index })));
+        assert.ok((await sessionStore.get('concurrent')).write >= 0);
+        await sessionStore.delete('concurrent');
+    }
+    assert.deepStrictEqual(fs.readdirSync(directory), ['simulated-session.json']);
+
+    // Entries expire after the TTL, and cleanup removes them.
+    for (const sessionStore of [new MemorySessionStore({ ttl: 20 }), new FileSessionStore({ directory: directory, ttl: 20 })]) {
+        await sessionStore.set('expiring/session', { step: 'one' });
+        assert.deepStrictEqual(await sessionStore.get('expiring/session'), { step: 'one' });
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        assert.deepStrictEqual(await sessionStore.get('expiring/session'), {});
+        await sessionStore.set('stale', { step: 'two' });
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        assert.strictEqual(await sessionStore.cleanup(), 1);
+    }
+    assert.deepStrictEqual(fs.readdirSync(directory), ['simulated-session.json']);
+
+    // A partially written session file doesn't fail saves or cleanup, and the timer removes expired entries.
+    const corruptPath = path.join(directory, 'corrupt.json');
+    fs.writeFileSync(corruptPath, '{"state":');
+    const timedStore = new FileSessionStore({ directory: directory, ttl: 20, cleanupInterval: 40 });
+    await timedStore.set('timed', { step: 'three' });
+    assert.strictEqual(await timedStore.cleanup(), 0);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.deepStrictEqual(fs.readdirSync(directory).sort(), ['corrupt.json', 'simulated-session.json']);
+    timedStore.close();
+    fs.unlinkSync(corruptPath);
+
+    console.log('testSessionStore: passed');
+})().finally(() => helpers.removeDir(directory)).catch((err) => {
+    console.error(err);
+    process.exitCode = 1;
+});
\ No newline at end of file
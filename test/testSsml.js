@@ -0,0 +1,66 @@
+const assert = require('assert');
+const {DialogFlowEsSimulator,Intent,SsmlBuilder} = require('../src/codingforconvos');
+const helpers = require('./helpers');
+
+const createClient = (voiceMode) => {
+    const convoClient = helpers.createClient({
+        voiceMode: voiceMode
+    });
+
+    convoClient.registerIntent(new Intent({
+        action: 'code',
+        sequenceName: 'welcome',
+        handler: (dialogContext) => {
+            dialogContext.respondWithPrompt(new SsmlBuilder()
+                .audio('https://example.com/chime.wav')
+                .say('Your code is')
+                .digits('4821')
+                .pause(500)
+                .say('and expires on')
+                .date('2026-11-01')
+                .emphasis('Don\'t share it.', 'strong'));
+        }
+    }));
+
+    return convoClient;
+};
+
+(async () => {
+    // The prompt renders as SSML, escaping text, and as plain text without pauses or clips.
+    const prompt = new SsmlBuilder().say('Q&A <today>').pause('1s').sayAs('555-0100', 'telephone').audio('https://example.com/a.wav?x=1&y=2', 'Ding.');
+    assert.strictEqual(prompt.toSsml(), '<speak>Q&amp;A &lt;today&gt; <break time="1s"/> <say-as interpret-as="telephone">555-0100</say-as> <audio src="https://example.com/a.wav?x=1&amp;y=2">Ding.</audio></speak>');
+    assert.strictEqual(prompt.toText(), 'Q&A <today> 555-0100 Ding.');
+    assert.throws(() => new SsmlBuilder().emphasis('Hi', 'loud'), /emphasis level must be one of/);
+
+    // Voice turns get a telephony speech response along with the plain text.
+    const convoClient = createClient((dialogContext) => dialogContext.payload.channel === 'voice');
+    let simulator = new DialogFlowEsSimulator({ client: convoClient, payload: { channel: 'voice' } });
+    let result = await simulator.send({ action: 'code', fulfillmentText: 'Sure.' });
+    const plainText = 'Your code is 4821 and expires on 2026-11-01 Don\'t share it.';
+    assert.deepStrictEqual(result.fulfillmentMessages[0], { text: { text: [plainText] } });
+    assert.deepStrictEqual(result.fulfillmentMessages[1], {
+        platform: 'TELEPHONY',
+        telephonySynthesizeSpeech: {
+            ssml: '<speak><audio src="https://example.com/chime.wav"></audio> Your code is <say-as interpret-as="characters">4821</say-as> <break time="500ms"/> and expires on <say-as interpret-as="date" format="yyyymmdd">2026-11-01</say-as> <emphasis level="strong">Don&apos;t share it.</emphasis></speak>'
+        }
+    });
+    assert.strictEqual(simulator.getContext('sessionprops').parameters.lastFulfillmentText, plainText);
+
+    // Text turns get the same prompt as plain text.
+    simulator = new DialogFlowEsSimulator({ client: convoClient, payload: { channel: 'chat' } });
+    result = await simulator.send({ action: 'code', fulfillmentText: 'Sure.' });
+    assert.strictEqual(result.fulfillmentText, plainText);
+
+    // A voice mode flag speaks every turn.
+    simulator = new DialogFlowEsSimulator({ client: createClient(true), payload: { channel: 'chat' } });
+    result = await simulator.send({ action: 'code', fulfillmentText: 'Sure.' });
+    assert.strictEqual(result.fulfillmentMessages[1].platform, 'TELEPHONY');
+    simulator = new DialogFlowEsSimulator({ client: createClient(false), payload: { channel: 'voice' } });
+    result = await simulator.send({ action: 'code', fulfillmentText: 'Sure.' });
+    assert.strictEqual(result.fulfillmentText, plainText);
+
+    console.log('testSsml: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
\ No newline at end of file
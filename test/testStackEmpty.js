@@ -0,0 +1,101 @@
+const assert = require('assert');
+const {DialogFlowEsSimulator,Sequence,Intent,Logger} = require('../src/codingforconvos');
+const {createClient} = require('./helpers');
+
+const createSimulator = (options, sequenceNames, records = []) => {
+    const convoClient = createClient(Object.assign({
+        logger: new Logger({ level: 'error', write: (record) => records.push(record) })
+    }, options), null);
+
+    sequenceNames.forEach((name) => {
+        convoClient.registerSequence(new Sequence({
+            name: name,
+            activity: 'testing',
+            identityRequired: false,
+            authRequired: false,
+            params: {},
+            navigate: (dialogContext) => {
+                dialogContext.respondWithText('In '+name+'.');
+            }
+        }));
+    });
+
+    convoClient.registerIntent(new Intent({
+        action: 'billing',
+        sequenceName: 'billing',
+        handler: (dialogContext) => {
+            dialogContext.pushSequence('billing');
+        }
+    }));
+
+    convoClient.registerIntent(new Intent({
+        action: 'done',
+        sequenceName: 'billing',
+        handler: (dialogContext) => {
+            dialogContext.popSequenceAndNavigate(dialogContext.params.sequenceCurrent);
+        }
+    }));
+
+    return new DialogFlowEsSimulator({ client: convoClient });
+};
+
+const stackNames = (simulator) => simulator.getContext('sessionprops').parameters.sequenceStack.map((frame) => frame.name);
+
+(async () => {
+    // Sessions start in a custom root sequence and return to it when the stack empties.
+    let simulator = createSimulator({ rootSequence: 'main', rfcSequence: null }, ['main', 'billing']);
+    let result = await simulator.send({ action: 'billing', fulfillmentText: 'Sure.' });
+    assert.strictEqual(result.fulfillmentText, 'In billing.');
+    assert.deepStrictEqual(stackNames(simulator), ['billing']);
+    result = await simulator.send({ action: 'done', fulfillmentText: 'Okay.' });
+    assert.strictEqual(result.fulfillmentText, 'In main.');
+    assert.deepStrictEqual(stackNames(simulator), ['main']);
+    assert.strictEqual(simulator.getContext('sessionprops').parameters.sequenceCurrent, 'main');
+
+    // By default, a registered reason for contact sequence sits under the pushed sequence and survives its own pop.
+    simulator = createSimulator({}, ['welcome', 'reasonforcontact', 'billing']);
+    await simulator.send({ action: 'billing', fulfillmentText: 'Sure.' });
+    assert.deepStrictEqual(stackNames(simulator), ['reasonforcontact', 'billing']);
+    result = await simulator.send({ action: 'done', fulfillmentText: 'Okay.' });
+    assert.strictEqual(result.fulfillmentText, 'In reasonforcontact.');
+    result = await simulator.send({ action: 'done', fulfillmentText: 'Okay.' });
+    assert.strictEqual(result.fulfillmentText, 'In reasonforcontact.');
+    assert.deepStrictEqual(stackNames(simulator), ['reasonforcontact']);
+
+    // By default, without a reason for contact sequence, the empty stack returns to the root.
+    simulator = createSimulator({}, ['welcome', 'billing']);
+    await simulator.send({ action: 'billing', fulfillmentText: 'Sure.' });
+    result = await simulator.send({ action: 'done', fulfillmentText: 'Okay.' });
+    assert.strictEqual(result.fulfillmentText, 'In welcome.');
+    assert.deepStrictEqual(stackNames(simulator), ['welcome']);
+
+    // A custom policy picks the next sequence, given the popped sequence's name.
+    let poppedNames = [];
+    simulator = createSimulator({
+        rfcSequence: null,
+        onStackEmpty: (dialogContext, name) => {
+            poppedNames.push(name);
+            return 'goodbye';
+        }
+    }, ['welcome', 'billing', 'goodbye']);
+    await simulator.send({ action: 'billing', fulfillmentText: 'Sure.' });
+    result = await simulator.send({ action: 'done', fulfillmentText: 'Okay.' });
+    assert.strictEqual(result.fulfillmentText, 'In goodbye.');
+    assert.deepStrictEqual(stackNames(simulator), ['goodbye']);
+    assert.deepStrictEqual(poppedNames, ['billing']);
+
+    // A custom policy naming an unregistered sequence falls back to the root and logs an error.
+    const records = [];
+    simulator = createSimulator({ rfcSequence: null, onStackEmpty: () => 'missing' }, ['welcome', 'billing'], records);
+    await simulator.send({ action: 'billing', fulfillmentText: 'Sure.' });
+    result = await simulator.send({ action: 'done', fulfillmentText: 'Okay.' });
+    assert.strictEqual(result.fulfillmentText, 'In welcome.');
+    assert.deepStrictEqual(stackNames(simulator), ['welcome']);
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].event, 'getSequenceOnStackEmpty');
+
+    console.log('testStackEmpty: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
\ No newline at end of file
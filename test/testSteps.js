@@ -0,0 +1,103 @@
+const assert = require('assert');
+const {DialogFlowEsSimulator,Sequence,SequenceManager,Logger} = require('../src/codingforconvos');
+const {createClient} = require('./helpers');
+
+// Invalid step definitions are rejected when the sequence is created.
+assert.throws(() => new Sequence({
+    name: 'broken',
+    activity: 'breaking things',
+    identityRequired: false,
+    authRequired: false,
+    params: { done: '0' },
+    steps: [
+        { name: 'start', when: { started: '0' }, then: { step: 'missing' } }
+    ]
+}), /undeclared parameter started.*unknown step missing/);
+
+const sequenceManager = new SequenceManager();
+const convoClient = createClient({
+    sequenceManager: sequenceManager
+}, null);
+
+convoClient.registerSequence(new Sequence({
+    name: 'welcome',
+    activity: 'greeting each other',
+    identityRequired: false,
+    authRequired: false,
+    params: {
+        saidIntro: '0',
+        confirmedWellbeing: '0'
+    },
+    steps: [
+        { name: 'sayIntro', when: { saidIntro: '0' }, set: { saidIntro: '1' }, prompt: 'SayIntro' },
+        { name: 'askWellbeing', when: { confirmedWellbeing: '0' }, prompt: 'AskWellbeing' },
+        { name: 'done', when: { confirmedWellbeing: '1' }, then: { push: 'billing' } }
+    ]
+}));
+
+convoClient.registerSequence(new Sequence({
+    name: 'billing',
+    activity: 'paying your bill',
+    identityRequired: false,
+    authRequired: false,
+    params: {
+        none: '0'
+    },
+    steps: [
+        { name: 'askAmount', prompt: 'AskAmount' }
+    ]
+}));
+
+convoClient.registerIntents({
+    actions: ['welcome', 'welcome.wellbeing'],
+    sequenceName: 'welcome',
+    handler: (dialogContext) => {
+        if (dialogContext.currentAction === 'welcome.wellbeing') {
+            dialogContext.setCurrentParam('confirmedWellbeing', '1');
+        }
+    }
+});
+
+assert.deepStrictEqual(sequenceManager.validate(), []);
+
+(async () => {
+    const simulator = new DialogFlowEsSimulator({ client: convoClient });
+
+    let result = await simulator.send({ action: 'welcome', fulfillmentText: 'Hi!' });
+    assert.strictEqual(result.followupEvent, 'SayIntro');
+    assert.strictEqual(simulator.getContext('welcome').parameters.saidIntro, '1');
+
+    result = await simulator.send({ action: 'welcome', fulfillmentText: 'Hi!' });
+    assert.strictEqual(result.followupEvent, 'AskWellbeing');
+
+    result = await simulator.send({ action: 'welcome.wellbeing', fulfillmentText: 'Good.' });
+    assert.strictEqual(result.followupEvent, 'AskAmount');
+    assert.strictEqual(simulator.getContext('sessionprops').parameters.sequenceCurrent, 'billing');
+
+    // Pushing an unregistered sequence fails with an error naming it.
+    const errors = [];
+    const brokenSequenceManager = new SequenceManager();
+    const brokenClient = createClient({
+        sequenceManager: brokenSequenceManager,
+        logger: new Logger({ level: 'error', write: (record) => errors.push(record.msg) })
+    }, null);
+    brokenClient.registerSequence(new Sequence({
+        name: 'welcome',
+        activity: 'greeting each other',
+        identityRequired: false,
+        authRequired: false,
+        params: {},
+        steps: [
+            { name: 'start', then: { push: 'feedback' } }
+        ]
+    }));
+    brokenClient.registerIntents({ actions: ['welcome'], sequenceName: 'welcome', handler: (dialogContext) => {} });
+    assert.deepStrictEqual(brokenSequenceManager.validate(), ['Sequence welcome step start pushes unregistered sequence feedback.']);
+    await assert.rejects(new DialogFlowEsSimulator({ client: brokenClient }).send({ action: 'welcome', fulfillmentText: 'Hi!' }), /No responses defined/);
+    assert.ok(errors[0].startsWith('Unhandled error: Error: Sequence welcome step start pushes unregistered sequence feedback.'));
+
+    console.log('testSteps: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,118 @@
+const assert = require('assert');
+const {DialogFlowEsSimulator,Intent,Logger} = require('../src/codingforconvos');
+const helpers = require('./helpers');
+
+const createClient = (records, strictTemplates) => {
+    const convoClient = helpers.createClient({
+        logger: new Logger({ level: 'warn', write: (record) => records.push(record) }),
+        templates: {
+            paymentDue: 'Your payment of {amountDue|currency} is due {dueDate|date}, {customerName}.',
+            code: 'Your code is {code|digits}.',
+            activity: 'We were {sequence.activity} for {account.type}.',
+            reminder: 'Pay {amountDue|money} by {dueDate|date:short}, or {dueDate|date:full} at the latest.'
+        },
+        strictTemplates: strictTemplates,
+        baseParams: {
+            customerName: 'Jane'
+        }
+    }, {
+        activity: 'paying your bill',
+        params: { amountDue: '1024.5', dueDate: '2026-11-01' }
+    });
+
+    convoClient.registerIntent(new Intent({
+        action: 'billing.due',
+        sequenceName: 'welcome',
+        handler: (dialogContext) => {
+            dialogContext.respondWithTemplate('paymentDue');
+        }
+    }));
+
+    convoClient.registerIntent(new Intent({
+        action: 'billing.code',
+        sequenceName: 'welcome',
+        handler: (dialogContext) => {
+            dialogContext.respondWithTemplate('code', { code: '555-0100' });
+        }
+    }));
+
+    convoClient.registerIntent(new Intent({
+        action: 'billing.activity',
+        sequenceName: 'welcome',
+        handler: (dialogContext) => {
+            dialogContext.queueResponse(dialogContext.renderTemplate('authValidationFailed'));
+            dialogContext.respondWithTemplate('activity');
+        }
+    }));
+
+    convoClient.registerIntent(new Intent({
+        action: 'billing.reminder',
+        sequenceName: 'welcome',
+        handler: (dialogContext) => {
+            dialogContext.respondWithTemplate('reminder');
+        }
+    }));
+
+    convoClient.registerIntent(new Intent({
+        action: 'billing.text',
+        sequenceName: 'welcome',
+        handler: (dialogContext) => {
+            dialogContext.queueResponse(dialogContext.renderText('code'));
+            dialogContext.queueResponse(dialogContext.renderTemplate('balance'));
+            dialogContext.respondWithText(dialogContext.renderText('Thanks, {customerName}.'));
+        }
+    }));
+
+    return convoClient;
+};
+
+(async () => {
+    // Values come from the context, session parameters and sequence, and are formatted.
+    let records = [];
+    let simulator = new DialogFlowEsSimulator({ client: createClient(records) });
+    let result = await simulator.send({ action: 'billing.due', fulfillmentText: 'Sure.' });
+    assert.strictEqual(result.fulfillmentText, 'Your payment of $1,024.50 is due November 1, 2026, Jane.');
+    assert.strictEqual(simulator.getContext('sessionprops').parameters.lastFulfillmentText, result.fulfillmentText);
+
+    result = await simulator.send({ action: 'billing.code', fulfillmentText: 'Sure.' });
+    assert.strictEqual(result.fulfillmentText, 'Your code is five five five, zero one zero zero.');
+
+    // Missing values render empty and are reported as warnings.
+    result = await simulator.send({ action: 'billing.activity', fulfillmentText: 'Sure.' });
+    assert.deepStrictEqual(result.fulfillmentMessages.map((message) => message.text.text[0]), [
+        'I\'m sorry, but paying your bill isn\'t something I can do without validating your identity.',
+        'We were paying your bill for .'
+    ]);
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].event, 'renderTemplate');
+    assert.strictEqual(records[0].msg, 'Missing values for template activity: account.type.');
+    assert.deepStrictEqual(records[0].missing, ['account.type']);
+
+    // Text is never swapped for a registered template of the same name, and unregistered names render as is.
+    records.length = 0;
+    result = await simulator.send({ action: 'billing.text', fulfillmentText: 'Sure.' });
+    assert.deepStrictEqual(result.fulfillmentMessages.map((message) => message.text.text[0]), ['code', 'balance', 'Thanks, Jane.']);
+    assert.deepStrictEqual(records.map((record) => record.msg), ['Missing template balance for locale en.']);
+
+    // Unknown formatters render the raw value and are reported as warnings.
+    records.length = 0;
+    result = await simulator.send({ action: 'billing.reminder', fulfillmentText: 'Sure.' });
+    assert.strictEqual(result.fulfillmentText, 'Pay 1024.5 by 11/1/26, or Sunday, November 1, 2026 at the latest.');
+    assert.deepStrictEqual(records.map((record) => record.msg), ['Unknown formatters for template reminder: money.']);
+    assert.deepStrictEqual(records[0].unknownFormatters, ['money']);
+
+    // Strict template mode throws on missing templates and values, leaving the turn without a response.
+    records = [];
+    simulator = new DialogFlowEsSimulator({ client: createClient(records, true) });
+    await assert.rejects(simulator.send({ action: 'billing.activity', fulfillmentText: 'Sure.' }));
+    assert.ok(records.some((record) => record.level === 'error' && /Missing values for template activity/.test(record.msg)));
+    await assert.rejects(simulator.send({ action: 'billing.text', fulfillmentText: 'Sure.' }));
+    assert.ok(records.some((record) => record.level === 'error' && /Missing template balance for locale en/.test(record.msg)));
+    await assert.rejects(simulator.send({ action: 'billing.reminder', fulfillmentText: 'Sure.' }));
+    assert.ok(records.some((record) => record.level === 'error' && /Unknown formatters for template reminder: money/.test(record.msg)));
+
+    console.log('testTemplates: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
\ No newline at end of file
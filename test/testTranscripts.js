@@ -0,0 +1,38 @@
+const assert = require('assert');
+const path = require('path');
+const {DialogflowCxClient,DialogflowCxSimulator,TranscriptRunner,loadTranscript} = require('../src/codingforconvos');
+const {createGreetingClient,createAccountClient} = require('./helpers');
+
+const convoClient = createGreetingClient();
+
+(async () => {
+    const runner = new TranscriptRunner({ client: convoClient });
+    const transcriptPath = path.join(__dirname, 'transcripts', 'welcome.yaml');
+
+    let results = await runner.runFiles([transcriptPath]);
+    assert.strictEqual(results[0].passed, true, runner.formatResults(results));
+
+    // A wrong expectation is reported as a diff on the failing turn.
+    let script = loadTranscript(transcriptPath);
+    script.turns[1].expect.fulfillmentText = 'Sorry to hear that.';
+    let result = await runner.runTranscript(script);
+    assert.strictEqual(result.passed, false);
+    assert.strictEqual(result.turns[0].passed, true);
+    assert.deepStrictEqual(result.turns[1].diffs, [
+        { field: 'fulfillmentText', expected: 'Sorry to hear that.', actual: 'Glad to hear it!' }
+    ]);
+
+    // The authentication and password reset flows are regressed on Dialogflow ES and CX.
+    const accountPaths = ['authsuccess.yaml', 'authfailure.yaml', 'passwordreset.yaml'].map((name) => path.join(__dirname, 'transcripts', name));
+    results = await new TranscriptRunner({ client: createAccountClient() }).runFiles(accountPaths);
+    assert.deepStrictEqual(results.map((result) => result.name), ['auth success', 'auth failure', 'password reset']);
+    assert.ok(results.every((result) => result.passed), runner.formatResults(results));
+
+    results = await new TranscriptRunner({ client: createAccountClient(DialogflowCxClient), simulatorClass: DialogflowCxSimulator }).runFiles(accountPaths);
+    assert.ok(results.every((result) => result.passed), runner.formatResults(results));
+
+    console.log('testTranscripts: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});
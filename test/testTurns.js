@@ -0,0 +1,116 @@
+const assert = require('assert');
+const {DialogFlowEsSimulator,Sequence,Turn,Intent} = require('../src/codingforconvos');
+const {createClient} = require('./helpers');
+
+const convoClient = createClient({}, null);
+
+convoClient.registerSequence(new Sequence({
+    name: 'welcome',
+    activity: 'greeting each other',
+    identityRequired: false,
+    authRequired: false,
+    params: {
+        gaveName: '0',
+        gaveWellbeing: '0'
+    },
+    turns: [
+        new Turn({
+            name: 'askName',
+            promptAction: 'welcome.ask.name',
+            promptEvent: 'AskName',
+            activity: 'asking for your name',
+            paraphrases: [ 'Sorry, what was your name?', 'Could you tell me your name one more time?' ],
+            isComplete: (dialogContext) => dialogContext.getOrCreateCtx('welcome').parameters.gaveName === '1'
+        }),
+        new Turn({
+            name: 'askWellbeing',
+            promptAction: 'welcome.ask.wellbeing',
+            promptEvent: 'AskWellbeing',
+            activity: 'asking how you are',
+            paraphrases: [],
+            isComplete: (dialogContext) => dialogContext.getOrCreateCtx('welcome').parameters.gaveWellbeing === '1'
+        })
+    ],
+    onComplete: (dialogContext) => {
+        dialogContext.respondWithText('Thanks!');
+    }
+}));
+
+convoClient.registerIntents({
+    actions: ['welcome.ask.name', 'welcome.ask.wellbeing'],
+    sequenceName: 'welcome',
+    waitForReply: true,
+    handler: (dialogContext) => {
+        dialogContext.setFulfillmentText();
+    }
+});
+
+convoClient.registerIntent(new Intent({
+    action: 'welcome',
+    sequenceName: 'welcome',
+    handler: (dialogContext) => {}
+}));
+
+convoClient.registerIntent(new Intent({
+    action: 'welcome.name',
+    sequenceName: 'welcome',
+    handler: (dialogContext) => {
+        dialogContext.setCurrentParam('gaveName', '1');
+    }
+}));
+
+convoClient.registerIntent(new Intent({
+    action: 'welcome.wellbeing',
+    sequenceName: 'welcome',
+    handler: (dialogContext) => {
+        dialogContext.setCurrentParam('gaveWellbeing', '1');
+    }
+}));
+
+convoClient.registerIntent(new Intent({
+    action: 'input.unknown',
+    handler: (dialogContext) => {
+        dialogContext.setFulfillmentCourseCorrect('Sorry?');
+    }
+}));
+
+(async () => {
+    const simulator = new DialogFlowEsSimulator({
+        client: convoClient,
+        events: {
+            'AskName': { action: 'welcome.ask.name', fulfillmentText: 'What is your name?' },
+            'AskWellbeing': { action: 'welcome.ask.wellbeing', fulfillmentText: 'How are you?' }
+        }
+    });
+    const sessionParams = () => simulator.getContext('sessionprops').parameters;
+
+    let result = await simulator.send({ action: 'welcome', fulfillmentText: 'Hi!' });
+    assert.strictEqual(result.fulfillmentText, 'What is your name?');
+    assert.strictEqual(sessionParams().turnCurrent, 'askName');
+    assert.strictEqual(sessionParams().turnPromptCount, '1');
+
+    // Repeated prompts rotate through the paraphrases and count fallbacks on the turn.
+    result = await simulator.send({ action: 'input.unknown', fulfillmentText: 'Pardon?' });
+    assert.strictEqual(result.fulfillmentText, 'Sorry, what was your name?');
+    result = await simulator.send({ action: 'input.unknown', fulfillmentText: 'Pardon?' });
+    assert.strictEqual(result.fulfillmentText, 'Could you tell me your name one more time?');
+    result = await simulator.send({ action: 'input.unknown', fulfillmentText: 'Pardon?' });
+    assert.strictEqual(result.fulfillmentText, 'Sorry, what was your name?');
+    assert.strictEqual(sessionParams().turnPromptCount, '4');
+    assert.strictEqual(sessionParams().turnFallbackCount, '3');
+    assert.strictEqual(sessionParams().fallbackCounter, '3');
+
+    // Completing a turn moves to the next one and resets its counters.
+    result = await simulator.send({ action: 'welcome.name', fulfillmentText: 'Nice to meet you.' });
+    assert.strictEqual(result.fulfillmentText, 'How are you?');
+    assert.strictEqual(sessionParams().turnCurrent, 'askWellbeing');
+    assert.strictEqual(sessionParams().turnFallbackCount, '0');
+
+    result = await simulator.send({ action: 'welcome.wellbeing', fulfillmentText: 'Good.' });
+    assert.strictEqual(result.fulfillmentText, 'Thanks!');
+
+    console.log('testTurns: passed');
+})().catch((err) => {
+    console.error(err);
+    process.exit(1);
+});